@@ -1,7 +1,8 @@
 import Database from 'better-sqlite3';
-import { readFileSync } from 'fs';
+import { readFileSync, existsSync, mkdirSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { runMigrations } from './migrations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -9,6 +10,11 @@ const __dirname = dirname(__filename);
 const DB_PATH = process.env.USER_DB_PATH || join(__dirname, '../../data/users.db');
 
 export function initDatabase() {
+  // Ensure data directory exists
+  if (!existsSync(dirname(DB_PATH))) {
+    mkdirSync(dirname(DB_PATH), { recursive: true });
+  }
+
   const db = new Database(DB_PATH);
   
   // Enable foreign keys
@@ -17,12 +23,23 @@ export function initDatabase() {
   // Read and execute schema
   const schema = readFileSync(join(__dirname, 'schema.sql'), 'utf8');
   db.exec(schema);
+
+  // Bring existing databases up to date with the current code
+  runMigrations(db);
   
   console.log('Database initialized:', DB_PATH);
   
   return db;
 }
 
+// Open without running schema or migrations (for reports and tooling)
+export function openDatabase() {
+  if (!existsSync(DB_PATH)) {
+    return null;
+  }
+  return new Database(DB_PATH);
+}
+
 export function getDatabase() {
   const db = new Database(DB_PATH);
   db.pragma('foreign_keys = ON');
@@ -0,0 +1,32 @@
+import 'dotenv/config';
+import { initDatabase, openDatabase } from './init.js';
+import { getMigrationStatus } from './migrations.js';
+
+// Command line entry point for schema migrations:
+//   node src/db/migrate.js            apply pending migrations (same as at startup)
+//   node src/db/migrate.js --status   report the schema version without changing anything
+
+function printStatus(status) {
+  console.log(`Schema version: ${status.current_version} (latest: ${status.latest_version})`);
+  for (const migration of status.migrations) {
+    const state = migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+    console.log(`  ${String(migration.version).padStart(4)}  ${migration.name.padEnd(40)} ${state}`);
+  }
+  for (const row of status.unknown) {
+    console.log(`  ${String(row.version).padStart(4)}  ${row.name.padEnd(40)} applied ${row.applied_at} (unknown to this version)`);
+  }
+}
+
+const statusOnly = process.argv.includes('--status');
+const db = statusOnly ? openDatabase() : initDatabase();
+
+if (!db) {
+  console.log('Database does not exist yet; it is created and migrated on first start.');
+  process.exit(0);
+}
+
+try {
+  printStatus(getMigrationStatus(db));
+} finally {
+  db.close();
+}
@@ -0,0 +1,95 @@
+// Versioned schema migrations.
+//
+// schema.sql is the baseline and only ever creates missing tables, so it can't
+// change tables that already exist on older installs. Every change after the
+// baseline is a numbered migration here. Pending migrations run at startup in
+// order, each in its own transaction together with its schema_migrations row,
+// so a failing step leaves the database at the previous version.
+//
+// Never edit or renumber a migration that has been released; add a new one.
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(col => col.name === column);
+}
+
+export const migrations = [
+  {
+    version: 1,
+    name: 'add users.email',
+    up(db) {
+      // createUser/updateUser have always accepted an email, but the column was missing
+      if (!hasColumn(db, 'users', 'email')) {
+        db.exec('ALTER TABLE users ADD COLUMN email TEXT');
+      }
+    }
+  },
+  {
+    version: 2,
+    name: 'add users.preferences',
+    up(db) {
+      // Per-user UI settings as a JSON object
+      db.exec('ALTER TABLE users ADD COLUMN preferences TEXT');
+    }
+  }
+];
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+function getApplied(db) {
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+// Apply every pending migration; returns the migrations that ran
+export function runMigrations(db) {
+  ensureMigrationsTable(db);
+
+  const applied = new Set(getApplied(db).map(row => row.version));
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  const ran = [];
+
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) continue;
+
+    try {
+      db.transaction(() => {
+        migration.up(db);
+        record.run(migration.version, migration.name);
+      })();
+    } catch (err) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`);
+    }
+
+    console.log(`Applied migration ${migration.version}: ${migration.name}`);
+    ran.push(migration);
+  }
+
+  return ran;
+}
+
+// Current version plus the state of every known migration
+export function getMigrationStatus(db) {
+  // Read-only: a database that predates migrations simply has none applied
+  const tracked = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+  const applied = new Map((tracked ? getApplied(db) : []).map(row => [row.version, row]));
+  const known = new Set(migrations.map(m => m.version));
+
+  return {
+    current_version: Math.max(0, ...applied.keys()),
+    latest_version: Math.max(0, ...known),
+    migrations: migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied_at: applied.get(m.version)?.applied_at || null
+    })),
+    // Applied by a newer release of the code (e.g. after a downgrade)
+    unknown: [...applied.values()].filter(row => !known.has(row.version))
+  };
+}
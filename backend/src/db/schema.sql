@@ -1,3 +1,6 @@
+-- Baseline schema, executed on every start. Only add new tables here;
+-- changes to existing tables go in migrations.js.
+
 -- Users table for both web and FTP authentication
 CREATE TABLE IF NOT EXISTS users (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -31,3 +34,147 @@ CREATE TABLE IF NOT EXISTS links (
 );
 
 CREATE INDEX IF NOT EXISTS idx_links_created_at ON links(created_at DESC);
+
+-- Bandwidth profiles applied by the scheduler through session-set
+CREATE TABLE IF NOT EXISTS bandwidth_profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    download_limit INTEGER,            -- kB/s, NULL = unlimited
+    upload_limit INTEGER,              -- kB/s, NULL = unlimited
+    alt_speed_enabled INTEGER DEFAULT 0,
+    pause_all INTEGER DEFAULT 0,
+    is_default INTEGER DEFAULT 0,      -- applied whenever no schedule is active
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Time windows that activate a bandwidth profile
+CREATE TABLE IF NOT EXISTS bandwidth_schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    profile_id INTEGER NOT NULL,
+    days INTEGER NOT NULL DEFAULT 127, -- bitmask, Sunday = 1 (same as Transmission)
+    start_minute INTEGER NOT NULL,     -- minutes after midnight
+    end_minute INTEGER NOT NULL,       -- end <= start wraps past midnight
+    enabled INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (profile_id) REFERENCES bandwidth_profiles(id) ON DELETE CASCADE
+);
+
+-- Small key/value store for service state that must survive restarts
+CREATE TABLE IF NOT EXISTS app_state (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Categories: named download directories with an optional seeding policy
+CREATE TABLE IF NOT EXISTS categories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    download_dir TEXT NOT NULL,
+    seed_ratio_limit REAL,             -- NULL = use the global setting
+    seed_idle_limit INTEGER,           -- minutes, NULL = use the global setting
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rules for auto-assigning torrents added outside the frontend to a user
+CREATE TABLE IF NOT EXISTS ownership_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    match_type TEXT NOT NULL,          -- 'download_dir' (path prefix) or 'tracker' (host)
+    pattern TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Torrent ownership metadata, keyed by info hash (the permanent identifier)
+CREATE TABLE IF NOT EXISTS torrent_metadata (
+    hash_string TEXT PRIMARY KEY,
+    owner_id INTEGER,                  -- 0 = system (RSS)
+    owner_username TEXT,
+    added_at TEXT,
+    block_auto_remove INTEGER DEFAULT 0,
+    feed_id INTEGER,
+    feed_url TEXT,
+    category_id INTEGER,
+    labels TEXT,                       -- JSON array
+    extra TEXT                         -- JSON object for any other fields
+);
+
+CREATE INDEX IF NOT EXISTS idx_torrent_metadata_owner ON torrent_metadata(owner_id);
+CREATE INDEX IF NOT EXISTS idx_torrent_metadata_category ON torrent_metadata(category_id);
+
+-- RSS feeds and their matching rules
+CREATE TABLE IF NOT EXISTS rss_feeds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    regex TEXT NOT NULL DEFAULT '.*',
+    min_size INTEGER NOT NULL DEFAULT 0,
+    max_size INTEGER NOT NULL,
+    category TEXT NOT NULL DEFAULT '',
+    added_at TEXT,
+    last_poll TEXT,
+    matched_count INTEGER NOT NULL DEFAULT 0
+);
+
+-- RSS items already processed (deduplication)
+CREATE TABLE IF NOT EXISTS rss_seen_items (
+    item_hash TEXT PRIMARY KEY,
+    feed_id INTEGER,
+    seen_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_rss_seen_items_feed ON rss_seen_items(feed_id);
+
+-- Soft-deleted torrents: stopped and hidden, purged after purge_at
+CREATE TABLE IF NOT EXISTS torrent_trash (
+    hash_string TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    total_size INTEGER,
+    download_dir TEXT,
+    owner_id INTEGER,
+    owner_username TEXT,
+    trashed_by TEXT,
+    was_running INTEGER DEFAULT 0,     -- resumed on restore
+    trashed_at TEXT NOT NULL,
+    purge_at TEXT NOT NULL
+);
+
+-- Disk monitor cleanups: one run per volume that had to be freed
+CREATE TABLE IF NOT EXISTS disk_cleanup_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    volume_path TEXT NOT NULL,
+    triggered_by TEXT NOT NULL,        -- startup, schedule or manual
+    strategy TEXT,
+    threshold REAL,                    -- critical threshold (percent free)
+    total_bytes INTEGER,
+    free_before INTEGER,
+    free_after INTEGER,
+    started_at TEXT NOT NULL,
+    finished_at TEXT NOT NULL
+);
+
+-- Torrents removed by a cleanup run (purged from the trash or removed outright)
+CREATE TABLE IF NOT EXISTS disk_cleanup_removals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER NOT NULL REFERENCES disk_cleanup_runs(id) ON DELETE CASCADE,
+    hash_string TEXT NOT NULL,
+    name TEXT NOT NULL,
+    size INTEGER,
+    owner_id INTEGER,
+    owner_username TEXT,
+    from_trash INTEGER DEFAULT 0,
+    seen_at TEXT                       -- owner dismissed the dashboard notice
+);
+
+CREATE INDEX IF NOT EXISTS idx_disk_cleanup_removals_run ON disk_cleanup_removals(run_id);
+CREATE INDEX IF NOT EXISTS idx_disk_cleanup_removals_owner ON disk_cleanup_removals(owner_id);
+
+-- Storage quotas per torrent owner (owner_id 0 = RSS automation); NULL = no limit
+CREATE TABLE IF NOT EXISTS storage_quotas (
+    owner_id INTEGER PRIMARY KEY,
+    max_bytes INTEGER,
+    max_torrents INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
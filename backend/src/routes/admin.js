@@ -1,6 +1,12 @@
 import express from 'express';
 import { requireAdmin } from '../middleware/auth.js';
 import userDB from '../services/user-db.js';
+import transmissionService from '../services/transmission.js';
+import reconciler, { RULE_TYPES } from '../services/reconciler.js';
+import diskMonitor from '../services/disk-monitor.js';
+import { CLEANUP_STRATEGIES } from '../services/cleanup-strategies.js';
+import { setThresholds, DEFAULT_THRESHOLD, DEFAULT_WARNING_THRESHOLD } from '../services/storage-volumes.js';
+import storageUsage, { RSS_OWNER_ID } from '../services/storage-usage.js';
 import { logSecurityEvent } from '../services/logger.js';
 import { z } from 'zod';
 
@@ -21,6 +27,95 @@ const updateUserSchema = z.object({
   is_admin: z.boolean().optional()
 });
 
+// Whitelisted Transmission session-set keys that admins may change
+const speedLimit = z.number().int().min(0).max(10000000); // kB/s
+const minuteOfDay = z.number().int().min(0).max(1439);
+const sessionSettingsSchema = z.object({
+  'speed-limit-down': speedLimit,
+  'speed-limit-down-enabled': z.boolean(),
+  'speed-limit-up': speedLimit,
+  'speed-limit-up-enabled': z.boolean(),
+  'alt-speed-down': speedLimit,
+  'alt-speed-up': speedLimit,
+  'alt-speed-enabled': z.boolean(),
+  'alt-speed-time-enabled': z.boolean(),
+  'alt-speed-time-begin': minuteOfDay,
+  'alt-speed-time-end': minuteOfDay,
+  'alt-speed-time-day': z.number().int().min(0).max(127), // Bitmask, Sunday = 1
+  'peer-limit-global': z.number().int().min(1).max(65535),
+  'peer-limit-per-torrent': z.number().int().min(1).max(65535),
+  'download-queue-enabled': z.boolean(),
+  'download-queue-size': z.number().int().min(0).max(10000),
+  'seed-queue-enabled': z.boolean(),
+  'seed-queue-size': z.number().int().min(0).max(10000),
+  'queue-stalled-enabled': z.boolean(),
+  'queue-stalled-minutes': z.number().int().min(1).max(10080),
+  'seedRatioLimit': z.number().min(0).max(1000),
+  'seedRatioLimited': z.boolean(),
+  'dht-enabled': z.boolean(),
+  'pex-enabled': z.boolean(),
+  'lpd-enabled': z.boolean(),
+  'encryption': z.enum(['required', 'preferred', 'tolerated']),
+  'incomplete-dir': z.string().min(1).max(1024).startsWith('/', 'Incomplete directory must be an absolute path'),
+  'incomplete-dir-enabled': z.boolean()
+}).partial().strict();
+
+const SESSION_SETTING_KEYS = Object.keys(sessionSettingsSchema.shape);
+
+function pickSessionSettings(session) {
+  const settings = {};
+  for (const key of SESSION_SETTING_KEYS) {
+    if (session[key] !== undefined) {
+      settings[key] = session[key];
+    }
+  }
+  return settings;
+}
+
+// Validation schemas for orphan reassignment and ownership rules
+const assignOwnerSchema = z.object({
+  hashes: z.array(z.string().regex(/^[0-9a-fA-F]{40}$/, 'Invalid torrent hash').transform(h => h.toLowerCase()))
+    .min(1, 'No torrents selected')
+    .max(1000),
+  user_id: z.number().int().positive()
+});
+
+const ownershipRuleSchema = z.object({
+  match_type: z.enum(RULE_TYPES),
+  pattern: z.string().trim().min(1, 'Pattern required').max(1024),
+  user_id: z.number().int().positive()
+});
+
+// Validation schemas for the disk cleanup policy and its dry run
+const cleanupPolicySchema = z.object({
+  strategy: z.enum(Object.keys(CLEANUP_STRATEGIES)),
+  min_age_hours: z.number().min(0).max(24 * 365, 'Retention age too long (max one year)'),
+  min_ratio: z.number().min(0).max(1000),
+  prefer_over_quota: z.boolean()
+}).partial().strict();
+
+const cleanupPreviewSchema = z.object({
+  strategy: z.enum(Object.keys(CLEANUP_STRATEGIES)).optional(),
+  min_age_hours: z.coerce.number().min(0).max(24 * 365).optional(),
+  min_ratio: z.coerce.number().min(0).max(1000).optional(),
+  prefer_over_quota: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
+  bytes: z.coerce.number().int().min(0).optional(),
+  volume: z.string().startsWith('/').optional()
+});
+
+// null = no limit
+const quotaSchema = z.object({
+  max_bytes: z.number().int().min(0).nullable(),
+  max_torrents: z.number().int().min(0).nullable()
+}).strict();
+
+// Percent free; null resets to DISK_THRESHOLD / DISK_WARNING_THRESHOLD
+const volumeThresholdSchema = z.object({
+  path: z.string().startsWith('/', 'Volume path must be absolute'),
+  threshold: z.number().min(0).max(100).nullable().optional(),
+  warning_threshold: z.number().min(0).max(100).nullable().optional()
+});
+
 // All routes require admin
 router.use(requireAdmin);
 
@@ -102,6 +197,7 @@ router.delete('/users/:id', (req, res, next) => {
 
     const targetUser = userDB.getUserById(userId);
     userDB.deleteUser(userId);
+    storageUsage.setQuota(userId, {});
     
     logSecurityEvent('USER_DELETED', {
       adminUser: req.session.username,
@@ -169,4 +265,343 @@ router.delete('/users/:id/ftp-password', async (req, res, next) => {
   }
 });
 
+// Get editable Transmission session settings
+router.get('/transmission/session', async (req, res, next) => {
+  try {
+    const session = await transmissionService.getServerStats();
+    res.json(pickSessionSettings(session));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update Transmission session settings
+router.patch('/transmission/session', async (req, res, next) => {
+  try {
+    const settings = sessionSettingsSchema.parse(req.body);
+
+    if (Object.keys(settings).length === 0) {
+      return res.status(400).json({ error: 'No settings provided' });
+    }
+
+    await transmissionService.setSession(settings);
+
+    logSecurityEvent('TRANSMISSION_SESSION_UPDATED', {
+      adminUser: req.session.username,
+      settings,
+      ip: req.ip
+    });
+
+    const session = await transmissionService.getServerStats();
+    res.json(pickSessionSettings(session));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const issue = error.errors[0];
+      const message = issue.code === 'unrecognized_keys'
+        ? `Unsupported setting: ${issue.keys.join(', ')}`
+        : `${issue.path.join('.')}: ${issue.message}`;
+      return res.status(400).json({ error: message });
+    }
+    next(error);
+  }
+});
+
+// List torrents without an owner
+router.get('/orphans', async (req, res, next) => {
+  try {
+    res.json(await reconciler.getOrphans());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Assign torrents to a user (also reassigns owned torrents)
+router.post('/orphans/assign', async (req, res, next) => {
+  try {
+    const { hashes, user_id } = assignOwnerSchema.parse(req.body);
+
+    const user = userDB.getUserById(user_id);
+    if (!user) {
+      return res.status(400).json({ error: 'User not found' });
+    }
+
+    const assigned = await reconciler.assignOwner(hashes, user);
+
+    logSecurityEvent('TORRENTS_ASSIGNED', {
+      adminUser: req.session.username,
+      targetUser: user.username,
+      count: assigned.length,
+      hashes: assigned,
+      ip: req.ip
+    });
+
+    res.json({ success: true, assigned, skipped: hashes.filter(h => !assigned.includes(h)) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
+// Get ownership auto-assignment rules
+router.get('/ownership-rules', (req, res, next) => {
+  try {
+    res.json(reconciler.getRules());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create ownership rule
+router.post('/ownership-rules', (req, res, next) => {
+  try {
+    const { match_type, pattern, user_id } = ownershipRuleSchema.parse(req.body);
+
+    if (!userDB.getUserById(user_id)) {
+      return res.status(400).json({ error: 'User not found' });
+    }
+
+    const rule = reconciler.createRule(match_type, pattern, user_id);
+
+    logSecurityEvent('OWNERSHIP_RULE_CREATED', {
+      adminUser: req.session.username,
+      ruleId: rule.id,
+      matchType: match_type,
+      pattern,
+      targetUser: rule.username,
+      ip: req.ip
+    });
+
+    res.json(rule);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
+// Delete ownership rule
+router.delete('/ownership-rules/:id', (req, res, next) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+
+    if (!reconciler.deleteRule(ruleId)) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    logSecurityEvent('OWNERSHIP_RULE_DELETED', {
+      adminUser: req.session.username,
+      ruleId,
+      ip: req.ip
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Last reconciliation report
+router.get('/reconcile', (req, res, next) => {
+  try {
+    res.json(reconciler.getLastReport());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run reconciliation now (auto-assign orphans, purge stale metadata)
+router.post('/reconcile', async (req, res, next) => {
+  try {
+    const report = await reconciler.runOnce();
+
+    logSecurityEvent('RECONCILIATION_RUN', {
+      adminUser: req.session.username,
+      autoAssigned: report.auto_assigned.length,
+      purged: report.purged.length,
+      ip: req.ip
+    });
+
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Disk cleanup policy and available strategies
+router.get('/disk/cleanup-policy', (req, res, next) => {
+  try {
+    res.json({ policy: diskMonitor.getPolicy(), strategies: diskMonitor.getStrategies() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update the disk cleanup policy (only the fields sent change)
+router.patch('/disk/cleanup-policy', (req, res, next) => {
+  try {
+    const changes = cleanupPolicySchema.parse(req.body);
+    const policy = diskMonitor.setPolicy(changes);
+
+    logSecurityEvent('CLEANUP_POLICY_UPDATED', {
+      adminUser: req.session.username,
+      policy,
+      ip: req.ip
+    });
+
+    res.json({ policy, strategies: diskMonitor.getStrategies() });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
+// Dry run of the cleanup: what would be removed and how much that frees.
+// Query parameters override the saved policy (to try one before saving) and
+// ?bytes= previews freeing a given amount instead of what is missing now.
+router.get('/disk/cleanup-preview', async (req, res, next) => {
+  try {
+    const { bytes, volume, ...overrides } = cleanupPreviewSchema.parse(req.query);
+    const policy = { ...diskMonitor.getPolicy(), ...overrides };
+    res.json(await diskMonitor.previewCleanup({ bytes, policy, volumePath: volume }));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
+// Run the disk check now (pause, remove and resume as the tiers require)
+router.post('/disk/check', async (req, res, next) => {
+  try {
+    const result = await diskMonitor.checkOnce('manual');
+
+    logSecurityEvent('DISK_CHECK_RUN', {
+      adminUser: req.session.username,
+      removed: result.removed,
+      ip: req.ip
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Storage volumes with their space, status, thresholds and paused downloads
+router.get('/disk/volumes', async (req, res, next) => {
+  try {
+    res.json({ volumes: await diskMonitor.getStorageState() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set the warning (pause downloads, refuse adds) and critical (remove
+// torrents) thresholds of one volume, in percent free
+router.patch('/disk/volumes/threshold', async (req, res, next) => {
+  try {
+    const { path, ...changes } = volumeThresholdSchema.parse(req.body);
+    diskMonitor.invalidateStorageState();
+    const volumes = await diskMonitor.getStorageState();
+    const volume = volumes.find(v => v.paths.includes(path));
+    if (!volume) {
+      return res.status(404).json({ error: 'Storage volume not found' });
+    }
+
+    const resulting = (value, current, fallback) => (value === undefined ? current : value ?? fallback);
+    const warning = resulting(changes.warning_threshold, volume.warning_threshold, DEFAULT_WARNING_THRESHOLD);
+    const critical = resulting(changes.threshold, volume.threshold, DEFAULT_THRESHOLD);
+    if (warning < critical) {
+      return res.status(400).json({ error: 'Warning threshold must not be below the removal threshold' });
+    }
+
+    setThresholds(volume.path, changes);
+    diskMonitor.invalidateStorageState();
+
+    logSecurityEvent('DISK_THRESHOLD_UPDATED', {
+      adminUser: req.session.username,
+      volume: volume.path,
+      ...changes,
+      ip: req.ip
+    });
+
+    res.json({ volumes: await diskMonitor.getStorageState() });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
+// Storage usage and quota of every user, the RSS automation and any other
+// owner that still has torrents (e.g. deleted users)
+router.get('/usage', async (req, res, next) => {
+  try {
+    const usage = await storageUsage.getUsage();
+    const quotas = storageUsage.getQuotas();
+    const owners = [
+      ...userDB.getAllUsers().map(user => ({ owner_id: user.id, username: user.username, is_user: true })),
+      { owner_id: RSS_OWNER_ID, username: 'rss-auto', is_user: false }
+    ];
+    const listed = new Set(owners.map(owner => owner.owner_id));
+    for (const entry of usage.values()) {
+      if (!listed.has(entry.owner_id)) {
+        owners.push({ owner_id: entry.owner_id, username: entry.username, is_user: false });
+      }
+    }
+
+    res.json({
+      owners: owners.map(owner => {
+        const entry = usage.get(owner.owner_id);
+        return entry
+          ? { ...entry, ...owner }
+          : {
+            ...owner,
+            torrents: 0,
+            bytes_on_disk: 0,
+            bytes_total: 0,
+            downloading: { count: 0, bytes: 0 },
+            seeding: { count: 0, bytes: 0 },
+            quota: quotas.get(owner.owner_id) || null,
+            over_quota: false
+          };
+      })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set an owner's quota (user id, or 0 for RSS); both limits null removes it
+router.put('/quotas/:ownerId', (req, res, next) => {
+  try {
+    const ownerId = parseInt(req.params.ownerId);
+    if (Number.isNaN(ownerId) || (ownerId !== RSS_OWNER_ID && !userDB.getUserById(ownerId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const quota = storageUsage.setQuota(ownerId, quotaSchema.parse(req.body));
+
+    logSecurityEvent('STORAGE_QUOTA_UPDATED', {
+      adminUser: req.session.username,
+      ownerId,
+      quota,
+      ip: req.ip
+    });
+
+    res.json({ owner_id: ownerId, quota });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
 export default router;
@@ -73,7 +73,8 @@ router.post('/login', async (req, res, next) => {
       id: user.id,
       username: user.username,
       email: user.email,
-      is_admin: user.is_admin
+      is_admin: user.is_admin,
+      preferences: userDB.getPreferences(user.id)
     });
   } catch (error) {
     if (error instanceof z.ZodError) {
@@ -117,10 +118,40 @@ router.get('/me', (req, res) => {
     username: user.username,
     email: user.email,
     is_admin: user.is_admin,
-    ftp_enabled: user.ftp_password !== null
+    ftp_enabled: user.ftp_password !== null,
+    preferences: userDB.getPreferences(user.id)
   });
 });
 
+// Optional columns of the torrent table
+const TORRENT_COLUMNS = [
+  'category', 'labels', 'autoremove', 'ratio', 'eta', 'download', 'upload', 'added', 'tracker', 'location'
+];
+
+// Validation schema for UI preferences; only known keys are stored
+const preferencesSchema = z.object({
+  torrent_columns: z.array(z.enum(TORRENT_COLUMNS)).max(TORRENT_COLUMNS.length)
+    .transform(columns => [...new Set(columns)])
+    .optional()
+}).strict();
+
+// Update UI preferences of the current user (only the keys sent are changed)
+router.patch('/preferences', (req, res, next) => {
+  try {
+    if (!req.session || !req.session.userId) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const changes = preferencesSchema.parse(req.body);
+    res.json(userDB.setPreferences(req.session.userId, changes));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
 // Change password (for logged-in users)
 const changePasswordSchema = z.object({
   currentPassword: z.string().min(1, 'Current password required'),
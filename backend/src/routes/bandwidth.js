@@ -0,0 +1,217 @@
+import express from 'express';
+import { authenticateSession, requireAdmin } from '../middleware/auth.js';
+import bandwidthScheduler from '../services/bandwidth-scheduler.js';
+import { logSecurityEvent } from '../services/logger.js';
+import { z } from 'zod';
+
+const router = express.Router();
+
+// Validation schemas
+const speedLimit = z.number().int().min(0).max(10000000).nullable().optional();
+
+const profileSchema = z.object({
+  name: z.string().trim().min(1, 'Name required').max(100),
+  download_limit: speedLimit,
+  upload_limit: speedLimit,
+  alt_speed_enabled: z.boolean().optional(),
+  pause_all: z.boolean().optional(),
+  is_default: z.boolean().optional()
+});
+
+const minuteOfDay = z.number().int().min(0).max(24 * 60 - 1);
+
+const scheduleSchema = z.object({
+  profile_id: z.number().int().positive(),
+  days: z.number().int().min(1, 'Select at least one day').max(127),
+  start_minute: minuteOfDay,
+  end_minute: minuteOfDay,
+  enabled: z.boolean().optional().default(true)
+});
+
+const handleValidationError = (error, res, next) => {
+  if (error instanceof z.ZodError) {
+    const issue = error.errors[0];
+    return res.status(400).json({ error: `${issue.path.join('.')}: ${issue.message}` });
+  }
+  next(error);
+};
+
+// All routes require authentication
+router.use(authenticateSession);
+
+// Active profile and next change (all authenticated users)
+router.get('/status', (req, res, next) => {
+  try {
+    res.json(bandwidthScheduler.getStatus());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get all profiles (admin only)
+router.get('/profiles', requireAdmin, (req, res, next) => {
+  try {
+    res.json(bandwidthScheduler.getProfiles());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create profile (admin only)
+router.post('/profiles', requireAdmin, (req, res, next) => {
+  try {
+    const data = profileSchema.parse(req.body);
+
+    if (bandwidthScheduler.getProfileByName(data.name)) {
+      return res.status(400).json({ error: 'A profile with this name already exists' });
+    }
+
+    const profile = bandwidthScheduler.createProfile(data);
+
+    logSecurityEvent('BANDWIDTH_PROFILE_CREATED', {
+      adminUser: req.session.username,
+      profileId: profile.id,
+      name: profile.name,
+      ip: req.ip
+    });
+
+    res.json(profile);
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+});
+
+// Update profile (admin only)
+router.put('/profiles/:id', requireAdmin, (req, res, next) => {
+  try {
+    const profileId = parseInt(req.params.id);
+    const data = profileSchema.parse(req.body);
+
+    if (!bandwidthScheduler.getProfile(profileId)) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const existing = bandwidthScheduler.getProfileByName(data.name);
+    if (existing && existing.id !== profileId) {
+      return res.status(400).json({ error: 'A profile with this name already exists' });
+    }
+
+    const profile = bandwidthScheduler.updateProfile(profileId, data);
+
+    logSecurityEvent('BANDWIDTH_PROFILE_UPDATED', {
+      adminUser: req.session.username,
+      profileId,
+      name: profile.name,
+      ip: req.ip
+    });
+
+    res.json(profile);
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+});
+
+// Delete profile and its schedules (admin only)
+router.delete('/profiles/:id', requireAdmin, (req, res, next) => {
+  try {
+    const profileId = parseInt(req.params.id);
+
+    if (!bandwidthScheduler.deleteProfile(profileId)) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    logSecurityEvent('BANDWIDTH_PROFILE_DELETED', {
+      adminUser: req.session.username,
+      profileId,
+      ip: req.ip
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get all schedules (admin only)
+router.get('/schedules', requireAdmin, (req, res, next) => {
+  try {
+    res.json(bandwidthScheduler.getSchedules());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create schedule (admin only)
+router.post('/schedules', requireAdmin, (req, res, next) => {
+  try {
+    const data = scheduleSchema.parse(req.body);
+
+    if (!bandwidthScheduler.getProfile(data.profile_id)) {
+      return res.status(400).json({ error: 'Profile not found' });
+    }
+
+    const schedule = bandwidthScheduler.createSchedule(data);
+
+    logSecurityEvent('BANDWIDTH_SCHEDULE_CREATED', {
+      adminUser: req.session.username,
+      scheduleId: schedule.id,
+      profileId: schedule.profile_id,
+      ip: req.ip
+    });
+
+    res.json(schedule);
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+});
+
+// Update schedule (admin only)
+router.put('/schedules/:id', requireAdmin, (req, res, next) => {
+  try {
+    const scheduleId = parseInt(req.params.id);
+    const data = scheduleSchema.parse(req.body);
+
+    if (!bandwidthScheduler.getSchedule(scheduleId)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    if (!bandwidthScheduler.getProfile(data.profile_id)) {
+      return res.status(400).json({ error: 'Profile not found' });
+    }
+
+    const schedule = bandwidthScheduler.updateSchedule(scheduleId, data);
+
+    logSecurityEvent('BANDWIDTH_SCHEDULE_UPDATED', {
+      adminUser: req.session.username,
+      scheduleId,
+      profileId: schedule.profile_id,
+      ip: req.ip
+    });
+
+    res.json(schedule);
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+});
+
+// Delete schedule (admin only)
+router.delete('/schedules/:id', requireAdmin, (req, res, next) => {
+  try {
+    const scheduleId = parseInt(req.params.id);
+
+    if (!bandwidthScheduler.deleteSchedule(scheduleId)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    logSecurityEvent('BANDWIDTH_SCHEDULE_DELETED', {
+      adminUser: req.session.username,
+      scheduleId,
+      ip: req.ip
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
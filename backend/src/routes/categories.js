@@ -0,0 +1,125 @@
+import express from 'express';
+import path from 'path';
+import { authenticateSession, requireAdmin } from '../middleware/auth.js';
+import categories from '../services/categories.js';
+import torrentMetadata from '../services/torrent-metadata.js';
+import { logSecurityEvent } from '../services/logger.js';
+import { z } from 'zod';
+
+const router = express.Router();
+
+// Validation schema
+const categorySchema = z.object({
+  name: z.string().trim().min(1, 'Name required').max(100),
+  download_dir: z.string().trim().max(4096)
+    .refine(dir => path.isAbsolute(dir), 'Download directory must be an absolute path')
+    .refine(dir => !dir.split(/[\\/]/).includes('..'), 'Download directory cannot contain ".."'),
+  seed_ratio_limit: z.number().min(0).max(1000).nullable().optional(),
+  seed_idle_limit: z.number().int().min(1).max(525600).nullable().optional()
+});
+
+const handleValidationError = (error, res, next) => {
+  if (error instanceof z.ZodError) {
+    const issue = error.errors[0];
+    return res.status(400).json({ error: `${issue.path.join('.')}: ${issue.message}` });
+  }
+  next(error);
+};
+
+// All routes require authentication
+router.use(authenticateSession);
+
+// Get all categories (all authenticated users pick from these when adding)
+router.get('/', (req, res, next) => {
+  try {
+    res.json(categories.getCategories());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create category (admin only)
+router.post('/', requireAdmin, (req, res, next) => {
+  try {
+    const data = categorySchema.parse(req.body);
+
+    if (categories.getCategoryByName(data.name)) {
+      return res.status(400).json({ error: 'A category with this name already exists' });
+    }
+
+    const category = categories.createCategory(data);
+
+    logSecurityEvent('CATEGORY_CREATED', {
+      adminUser: req.session.username,
+      categoryId: category.id,
+      name: category.name,
+      downloadDir: category.download_dir,
+      ip: req.ip
+    });
+
+    res.json(category);
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+});
+
+// Update category (admin only); existing torrents are not moved
+router.put('/:id', requireAdmin, (req, res, next) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+    const data = categorySchema.parse(req.body);
+
+    if (!categories.getCategory(categoryId)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const existing = categories.getCategoryByName(data.name);
+    if (existing && existing.id !== categoryId) {
+      return res.status(400).json({ error: 'A category with this name already exists' });
+    }
+
+    const category = categories.updateCategory(categoryId, data);
+
+    logSecurityEvent('CATEGORY_UPDATED', {
+      adminUser: req.session.username,
+      categoryId,
+      name: category.name,
+      downloadDir: category.download_dir,
+      ip: req.ip
+    });
+
+    res.json(category);
+  } catch (error) {
+    handleValidationError(error, res, next);
+  }
+});
+
+// Delete category (admin only); torrents stay where they are, uncategorized
+router.delete('/:id', requireAdmin, (req, res, next) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+
+    if (!categories.deleteCategory(categoryId)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const metadata = torrentMetadata.getAllTorrentMetadata();
+    for (const [hashString, meta] of Object.entries(metadata)) {
+      if (meta.category_id === categoryId) {
+        torrentMetadata.updateTorrentMetadata(hashString, { category_id: null });
+      }
+    }
+
+    logSecurityEvent('CATEGORY_DELETED', {
+      adminUser: req.session.username,
+      categoryId,
+      ip: req.ip
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,73 @@
+import express from 'express';
+import { authenticateSession } from '../middleware/auth.js';
+import diskHistory from '../services/disk-history.js';
+import storageUsage from '../services/storage-usage.js';
+import { z } from 'zod';
+
+const router = express.Router();
+
+const historyQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+  before: z.coerce.number().int().min(1).optional()
+});
+
+const dismissSchema = z.object({
+  up_to: z.number().int().min(1)
+});
+
+// All routes require authentication
+router.use(authenticateSession);
+
+// Cleanup runs, newest first: own removals for users, everything for admins
+router.get('/history', (req, res, next) => {
+  try {
+    const { limit, before } = historyQuerySchema.parse(req.query);
+    const runs = diskHistory.getRuns({
+      ownerId: req.session.isAdmin ? null : req.session.userId,
+      limit,
+      before: before ?? null
+    });
+    res.json({
+      runs,
+      next_before: runs.length === limit ? runs[runs.length - 1].id : null
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
+// Own storage usage (on disk, downloading, seeding) and quota
+router.get('/usage', async (req, res, next) => {
+  try {
+    res.json(await storageUsage.getOwnerUsage(req.session.userId, req.session.username));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Own torrents removed by a cleanup that haven't been acknowledged yet
+router.get('/notices', (req, res, next) => {
+  try {
+    res.json({ removals: diskHistory.getUnseen(req.session.userId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Acknowledge notices up to (and including) a removal id
+router.post('/notices/dismiss', (req, res, next) => {
+  try {
+    const { up_to } = dismissSchema.parse(req.body);
+    res.json({ dismissed: diskHistory.markSeen(req.session.userId, up_to) });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,98 @@
+import express from 'express';
+import { authenticateSession } from '../middleware/auth.js';
+import torrentEvents from '../services/torrent-events.js';
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL = 15000;
+
+// All routes require authentication
+router.use(authenticateSession);
+
+// Server-Sent Events stream of torrent changes.
+// ?scope=mine limits the stream to the user's own torrents.
+router.get('/', async (req, res) => {
+  const userId = req.session.userId;
+  const mineOnly = req.query.scope === 'mine';
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const forUser = (torrent) => ({ ...torrent, is_own: torrent.owner_id === userId });
+  const visible = (torrent) => !mineOnly || torrent.owner_id === userId;
+
+  const onDelta = (delta) => {
+    const userDelta = {
+      added: delta.added.filter(visible).map(forUser),
+      removed: [...delta.removed],
+      updated: []
+    };
+
+    for (const { hashString, changes, torrent } of delta.updated) {
+      if (!visible(torrent)) {
+        // Ownership moved away from this user - drop it from a "mine" view
+        if ('owner_id' in changes) userDelta.removed.push(hashString);
+        continue;
+      }
+      if (mineOnly && 'owner_id' in changes) {
+        // Newly assigned to this user - send the whole torrent
+        userDelta.added.push(forUser(torrent));
+        continue;
+      }
+      const update = { hashString, ...changes };
+      if ('owner_id' in changes) update.is_own = changes.owner_id === userId;
+      userDelta.updated.push(update);
+    }
+
+    if (userDelta.added.length || userDelta.removed.length || userDelta.updated.length) {
+      send('delta', userDelta);
+    }
+  };
+
+  const onStats = (stats) => send('stats', stats);
+  const onPollError = (err) => send('poll-error', { error: err.message });
+  const onRecovered = () => send('poll-recovered', {});
+
+  const unsubscribe = torrentEvents.subscribe();
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  let closed = false;
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    torrentEvents.off('delta', onDelta);
+    torrentEvents.off('stats', onStats);
+    torrentEvents.off('poll-error', onPollError);
+    torrentEvents.off('recovered', onRecovered);
+    unsubscribe();
+  });
+
+  // Initial snapshot so the client can render without a separate request.
+  // Listeners are attached right after it so no delta predates the snapshot.
+  await torrentEvents.ready();
+  if (closed) return;
+
+  send('snapshot', {
+    torrents: torrentEvents.getSnapshot().filter(visible).map(forUser),
+    stats: torrentEvents.stats
+  });
+  // The daemon isn't answering: an empty snapshot doesn't mean no torrents
+  if (torrentEvents.lastError) {
+    onPollError(torrentEvents.lastError);
+  }
+  torrentEvents.on('delta', onDelta);
+  torrentEvents.on('stats', onStats);
+  torrentEvents.on('poll-error', onPollError);
+  torrentEvents.on('recovered', onRecovered);
+});
+
+export default router;
@@ -1,48 +1,275 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
 import { authenticateSession } from '../middleware/auth.js';
-import transmissionService from '../services/transmission.js';
+import transmissionService, { DETAIL_FIELDS } from '../services/transmission.js';
 import torrentMetadata from '../services/torrent-metadata.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import categories from '../services/categories.js';
+import { assertPublicHttpUrl } from '../services/url-guard.js';
+import { parseTorrentFile } from '../services/torrent-file.js';
+import { getDownloadRoots, assertAllowedDownloadDir } from '../services/download-roots.js';
+import diskMonitor from '../services/disk-monitor.js';
+import storageUsage from '../services/storage-usage.js';
+import trash from '../services/trash.js';
+import { withOwnership, buildStats } from '../services/torrent-view.js';
+import { queryTorrents, STATUS_FILTERS, SORT_FIELDS } from '../services/torrent-query.js';
+import { z } from 'zod';
 
 const router = express.Router();
 
-// Helper function to convert Transmission status codes to readable labels
-function getStatusLabel(status) {
-  const statusMap = {
-    0: 'stopped',
-    1: 'queued-to-check',
-    2: 'checking',
-    3: 'queued-to-download',
-    4: 'downloading',
-    5: 'queued-to-seed',
-    6: 'seeding'
-  };
-  return statusMap[status] || 'unknown';
+// Route params identify a torrent either by numeric id or by 40-char infohash
+const TORRENT_ID_PATTERN = '\\d+|[0-9a-fA-F]{40}';
+
+function parseTorrentId(param) {
+  return /^\d+$/.test(param) ? parseInt(param) : param.toLowerCase();
 }
 
-// Configure multer for file uploads
-const uploadDir = path.join(__dirname, '../../uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
+// Validation schema for adding torrents by magnet link or URL
+const addUrlsSchema = z.object({
+  urls: z.union([z.string(), z.array(z.string())])
+    .transform(val => (Array.isArray(val) ? val : val.split(/\r?\n/)))
+    .transform(list => list.map(u => u.trim()).filter(Boolean))
+    .pipe(z.array(z.string().max(4096, 'URL too long'))
+      .min(1, 'No magnet links or URLs provided')
+      .max(50, 'Too many URLs (max 50 per request)'))
+});
+
+function isMagnetLink(url) {
+  return /^magnet:\?/i.test(url) && /xt=urn:bt(ih|mh):/i.test(url);
 }
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    cb(null, `${Date.now()}-${file.originalname}`);
+// Validation schema for file selection and priorities (file indices)
+const fileIndexList = z.array(z.number().int().nonnegative()).max(100000).optional();
+const fileChangesSchema = z.object({
+  wanted: fileIndexList,
+  unwanted: fileIndexList,
+  high: fileIndexList,
+  normal: fileIndexList,
+  low: fileIndexList
+});
+
+// Torrent labels (Transmission does not allow commas in labels)
+const labelList = z.array(
+  z.string().trim().min(1, 'Label cannot be empty').max(64, 'Label too long')
+    .regex(/^[^,]+$/, 'Labels cannot contain commas')
+).max(20, 'Too many labels (max 20)')
+  .transform(labels => [...new Set(labels)]);
+
+// Validation schema for add-time options, named like the torrent-add arguments
+const addOptionsSchema = z.object({
+  paused: z.boolean().optional(),
+  'download-dir': z.string().trim().min(1).max(4096, 'Download location too long').optional(),
+  bandwidthPriority: z.union([z.literal(-1), z.literal(0), z.literal(1)]).optional(),
+  'peer-limit': z.number().int().min(1, 'Peer limit must be at least 1').max(10000, 'Peer limit too high').optional(),
+  labels: labelList.optional()
+});
+
+// Validation schema for upload options (multipart field "options", JSON encoded).
+// files[i] applies to the i-th uploaded file.
+const uploadOptionsSchema = addOptionsSchema.extend({
+  files: z.array(z.object({ unwanted: fileIndexList }).nullable()).max(10).optional()
+});
+
+function parseUploadOptions(value) {
+  if (value === undefined || value === '') {
+    return {};
+  }
+  try {
+    return uploadOptionsSchema.parse(JSON.parse(value));
+  } catch (err) {
+    const error = new Error(err instanceof z.ZodError ? err.errors[0].message : 'Invalid upload options');
+    error.status = 400;
+    throw error;
+  }
+}
+
+// Validation schema for changing torrent labels
+const labelsSchema = z.object({
+  labels: labelList
+});
+
+// Validation schema for moving a torrent between categories (null = no category)
+const categoryChangeSchema = z.object({
+  category_id: z.number().int().positive().nullable()
+});
+
+// Validation schema for bulk actions; parameters depend on the action
+const BULK_ACTIONS = ['start', 'stop', 'verify', 'delete', 'labels', 'category', 'block-auto-remove'];
+const bulkSchema = z.object({
+  hashes: z.array(z.string().regex(/^[0-9a-fA-F]{40}$/, 'Invalid torrent hash'))
+    .min(1, 'No torrents selected')
+    .max(1000, 'Too many torrents (max 1000 per request)')
+    .transform(hashes => [...new Set(hashes.map(h => h.toLowerCase()))]),
+  action: z.enum(BULK_ACTIONS),
+  deleteData: z.boolean().optional(),
+  labels: labelList.optional(),
+  category_id: z.number().int().positive().nullable().optional(),
+  block: z.boolean().optional()
+}).superRefine((data, ctx) => {
+  const required = { labels: 'labels', category: 'category_id', 'block-auto-remove': 'block' }[data.action];
+  if (required && data[required] === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `${required} is required for ${data.action}` });
   }
 });
 
+// Validation schema for the torrent list query string
+const listQuerySchema = z.object({
+  status: z.enum(Object.keys(STATUS_FILTERS)).optional(),
+  owner: z.string().trim().min(1).max(64).optional(),
+  mine: z.enum(['true', 'false', '1', '0']).optional().transform(value => value === 'true' || value === '1'),
+  label: z.string().trim().min(1).max(64).optional(),
+  category: z.string().regex(/^(\d+|none)$/, 'category must be a category id or "none"').optional()
+    .transform(value => (value === undefined ? undefined : value === 'none' ? null : parseInt(value))),
+  tracker: z.string().trim().min(1).max(255).optional(),
+  search: z.string().trim().max(256).optional(),
+  sort: z.enum(Object.keys(SORT_FIELDS)).optional(),
+  order: z.enum(['asc', 'desc']).optional(),
+  limit: z.string().regex(/^\d+$/, 'limit must be a number').optional()
+    .transform(value => (value === undefined ? undefined : parseInt(value)))
+    .pipe(z.number().int().min(1, 'limit must be at least 1').max(1000, 'limit too high (max 1000)').optional()),
+  cursor: z.string().max(1024).optional()
+});
+
+// Resolve the optional category of an upload/add request (multipart sends strings)
+function resolveCategory(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const category = categories.getCategory(parseInt(value));
+  if (!category) {
+    const error = new Error('Category not found');
+    error.status = 400;
+    throw error;
+  }
+  return category;
+}
+
+// torrent-add arguments for an upload/add request. An explicit download-dir must
+// be inside an approved root and takes precedence over the category directory.
+async function buildAddArgs(options, category) {
+  const args = { ...categories.addArgs(category) };
+  if (options.paused) {
+    args.paused = true;
+  }
+  if (options['download-dir']) {
+    args['download-dir'] = await assertAllowedDownloadDir(options['download-dir']);
+  }
+  if (options.bandwidthPriority !== undefined) {
+    args.bandwidthPriority = options.bandwidthPriority;
+  }
+  if (options['peer-limit'] !== undefined) {
+    args['peer-limit'] = options['peer-limit'];
+  }
+  if (options.labels?.length) {
+    args.labels = options.labels;
+  }
+  return args;
+}
+
+// Store metadata for a newly added torrent and apply its category's seeding policy.
+// Labels are kept in the metadata as well for daemons without label support.
+async function registerAddedTorrent(torrent, session, category, labels = []) {
+  const extraData = {};
+  if (category) {
+    extraData.category_id = category.id;
+  }
+  if (labels.length > 0) {
+    extraData.labels = labels;
+  }
+  torrentMetadata.setTorrentMetadata(torrent.hashString, session.userId, session.username, extraData);
+  if (category && (category.seed_ratio_limit !== null || category.seed_idle_limit !== null)) {
+    await categories.applySeedingPolicy(torrent.id, category);
+  }
+}
+
+// Parse an uploaded .torrent and look for the same info hash in the daemon.
+// A torrent in the trash is no duplicate: its owner adding it again takes it
+// out of the trash (see reclaimFromTrash).
+function inspectUpload(file, torrentsByHash, userId) {
+  const parsed = parseTorrentFile(file.buffer);
+  const existing = torrentsByHash.get(parsed.hashString);
+  const trashed = trash.getEntry(parsed.hashString);
+  let duplicate = null;
+  if (existing && !trashed) {
+    const meta = torrentMetadata.getTorrentMetadata(existing.hashString);
+    duplicate = {
+      torrentId: existing.id,
+      name: existing.name,
+      owner_username: meta?.owner_username ?? null
+    };
+  }
+  const inTrash = trashed && {
+    owner_username: trashed.owner_username,
+    restore: trashed.owner_id === userId
+  };
+  return { parsed, duplicate, inTrash };
+}
+
+// A torrent added again while it sits in the trash: its owner gets it back
+// as it was. Anyone else is refused (status 409) until the owner restores or
+// purges it, so nobody can cut short someone else's restore window.
+// Returns { restored, message }, or null if it isn't in the trash.
+async function reclaimFromTrash(hashString, session) {
+  const entry = trash.getEntry(hashString);
+  if (!entry) return null;
+
+  if (entry.owner_id !== session.userId) {
+    const error = new Error(
+      `Torrent is in the trash${entry.owner_username ? ` of ${entry.owner_username}` : ''}; ` +
+      'it can be added once it is restored or purged'
+    );
+    error.status = 409;
+    throw error;
+  }
+
+  try {
+    await trash.restore(hashString);
+    return { restored: true, message: 'It was in your trash and has been restored' };
+  } catch (error) {
+    // Gone from the daemon meanwhile (the entry is dropped): add it anew
+    if (error.status !== 410) throw error;
+    return { restored: false, message: 'It was in your trash and has been added again' };
+  }
+}
+
+// Trashed torrents are hidden and left alone until restored: the
+// single-torrent routes answer 404 for them, as for missing torrents
+function assertNotTrashed(torrent) {
+  if (trash.getEntry(torrent.hashString)) {
+    const error = new Error('Torrent not found');
+    error.status = 404;
+    throw error;
+  }
+  return torrent;
+}
+
+// deleteData flag of a removal (query string or JSON body), deleting by default
+function parseDeleteData(req) {
+  const value = req.body?.deleteData ?? req.query.deleteData;
+  if (value === undefined || value === true || value === 'true' || value === '1') {
+    return true;
+  }
+  if (value === false || value === 'false' || value === '0') {
+    return false;
+  }
+  const error = new Error('deleteData must be true or false');
+  error.status = 400;
+  throw error;
+}
+
+// Per-torrent actions exposed as POST /:id/<action>
+const torrentActions = {
+  'start': (id) => transmissionService.startTorrent(id),
+  'start-now': (id) => transmissionService.startTorrentNow(id),
+  'stop': (id) => transmissionService.stopTorrent(id),
+  'verify': (id) => transmissionService.verifyTorrent(id),
+  'reannounce': (id) => transmissionService.reannounceTorrent(id)
+};
+
+// Configure multer for file uploads. Files are kept in memory: they are small,
+// parsed before use and sent to the daemon inline, so nothing is left on disk.
 const upload = multer({ 
-  storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB max per file
     files: 10 // Max 10 files per request
@@ -59,58 +286,153 @@ const upload = multer({
 // All routes require authentication
 router.use(authenticateSession);
 
-// Get all torrents with ownership info
+// List torrents with ownership info: filters, sorting, facet counts and
+// cursor pagination (see listQuerySchema); trashed torrents are hidden
 router.get('/', async (req, res, next) => {
   try {
-    const torrents = await transmissionService.getTorrents();
+    const query = listQuerySchema.parse(req.query);
+    const torrents = trash.withoutTrashed(await transmissionService.getTorrents());
     const metadata = torrentMetadata.getAllTorrentMetadata();
+    // Needed for the tracker filter and facet; cached per torrent
+    const trackerHosts = await transmissionService.getTrackerHosts(torrents);
 
     // Merge torrent data with metadata (keyed by hashString, not id)
     const torrentsWithOwnership = torrents.map(torrent => ({
-      ...torrent,
-      owner: metadata[torrent.hashString]?.owner_username || 'unknown',
-      owner_id: metadata[torrent.hashString]?.owner_id,
-      added_at: metadata[torrent.hashString]?.added_at,
-      block_auto_remove: metadata[torrent.hashString]?.block_auto_remove || false,
-      is_own: metadata[torrent.hashString]?.owner_id === req.session.userId,
-      statusLabel: getStatusLabel(torrent.status)
+      ...withOwnership(torrent, metadata[torrent.hashString], req.session.userId),
+      trackerHosts: trackerHosts.get(torrent.hashString)
     }));
 
-    res.json(torrentsWithOwnership);
+    res.json(queryTorrents(torrentsWithOwnership, query, req.session.userId));
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
+// Directories that may be chosen as download location when adding
+router.get('/download-roots', async (req, res, next) => {
+  try {
+    res.json(await getDownloadRoots());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Preview uploaded torrent files without adding them
+router.post('/upload/preview', upload.array('torrents', 10), async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No torrent files uploaded' });
+    }
+
+    const torrents = await transmissionService.getTorrents();
+    const torrentsByHash = new Map(torrents.map(t => [t.hashString, t]));
+
+    res.json(req.files.map(file => {
+      try {
+        const { parsed, duplicate, inTrash } = inspectUpload(file, torrentsByHash, req.session.userId);
+        return { success: true, filename: file.originalname, ...parsed, duplicate, in_trash: inTrash };
+      } catch (error) {
+        return { success: false, filename: file.originalname, error: error.message };
+      }
+    }));
   } catch (error) {
     next(error);
   }
 });
 
-// Upload torrent file
+// Upload torrent file (optional "options" field: add-time options plus files: [{ unwanted }])
 router.post('/upload', upload.array('torrents', 10), async (req, res, next) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ error: 'No torrent files uploaded' });
     }
 
+    let category;
+    let options;
+    let baseArgs;
+    let storage;
+    try {
+      category = resolveCategory(req.body.category_id);
+      options = parseUploadOptions(req.body.options);
+      baseArgs = await buildAddArgs(options, category);
+      storage = await diskMonitor.checkAddAllowed(baseArgs['download-dir']);
+    } catch (error) {
+      return res.status(error.status || 500).json({ error: error.message, storage: error.storage });
+    }
+
+    const torrents = await transmissionService.getTorrents();
+    const torrentsByHash = new Map(torrents.map(t => [t.hashString, t]));
+    const guard = await storageUsage.quotaGuard(req.session.userId);
     const results = [];
     
-    for (const file of req.files) {
+    for (const [index, file] of req.files.entries()) {
       try {
-        const result = await transmissionService.addTorrent(file.path);
+        const { parsed, duplicate, inTrash } = inspectUpload(file, torrentsByHash, req.session.userId);
+        if (duplicate) {
+          results.push({
+            success: false,
+            filename: file.originalname,
+            error: duplicate.owner_username
+              ? `Torrent already exists (added by ${duplicate.owner_username})`
+              : 'Torrent already exists',
+            duplicate
+          });
+          continue;
+        }
+
+        const args = { ...baseArgs };
+        const unwanted = [...new Set(options.files?.[index]?.unwanted || [])];
+        if (unwanted.length > 0) {
+          if (unwanted.some(i => i >= parsed.files.length)) {
+            throw new Error('File selection does not match the torrent');
+          }
+          if (unwanted.length === parsed.files.length) {
+            throw new Error('Select at least one file to download');
+          }
+          args['files-unwanted'] = unwanted;
+        }
+
+        // Quotas count only the files that will be downloaded
+        const wantedSize = parsed.files
+          .filter((_, i) => !unwanted.includes(i))
+          .reduce((sum, f) => sum + f.length, 0);
+        guard.check(wantedSize);
+
+        const reclaimed = inTrash ? await reclaimFromTrash(parsed.hashString, req.session) : null;
+        if (reclaimed?.restored) {
+          guard.charge(wantedSize);
+          results.push({
+            success: true,
+            filename: file.originalname,
+            hashString: parsed.hashString,
+            name: parsed.name,
+            restored: true,
+            message: reclaimed.message
+          });
+          continue;
+        }
+
+        const result = await transmissionService.addTorrentData(file.buffer, args);
         
-        // Store metadata by hashString (permanent identifier)
-        torrentMetadata.setTorrentMetadata(
-          result.hashString,
-          req.session.userId,
-          req.session.username
-        );
+        // Store metadata by hashString (permanent identifier), unless another
+        // request added the same torrent in the meantime
+        if (!torrentMetadata.getTorrentMetadata(result.hashString)) {
+          await registerAddedTorrent(result, req.session, category, options.labels);
+          guard.charge(wantedSize);
+        }
+        torrentsByHash.set(result.hashString, result);
 
         results.push({
           success: true,
           filename: file.originalname,
           torrentId: result.id,
-          name: result.name
+          hashString: result.hashString,
+          name: result.name,
+          message: reclaimed?.message
         });
-
-        // Clean up uploaded file
-        fs.unlinkSync(file.path);
       } catch (error) {
         results.push({
           success: false,
@@ -120,39 +442,133 @@ router.post('/upload', upload.array('torrents', 10), async (req, res, next) => {
       }
     }
 
-    res.json(results);
+    res.json({ results, storage });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add torrents by magnet link or http(s) .torrent URL (optional add-time "options")
+router.post('/add', async (req, res, next) => {
+  try {
+    const { urls } = addUrlsSchema.parse(req.body);
+    const options = addOptionsSchema.parse(req.body.options || {});
+    const category = resolveCategory(req.body.category_id);
+    const args = await buildAddArgs(options, category);
+    const storage = await diskMonitor.checkAddAllowed(args['download-dir']);
+    const guard = await storageUsage.quotaGuard(req.session.userId);
+    const results = [];
+
+    for (const url of urls) {
+      try {
+        // Remote .torrent URLs are fetched by the daemon, so apply the same
+        // SSRF checks as RSS feeds before handing them over
+        if (!isMagnetLink(url)) {
+          await assertPublicHttpUrl(url);
+        }
+        // The size isn't known before the daemon has the metadata; the
+        // disk monitor pauses it later if it doesn't fit (enforceSizeQuotas)
+        guard.check(0);
+
+        let result = await transmissionService.addTorrentUrl(url, args);
+
+        // The daemon reports a trashed torrent as a duplicate: restore it for
+        // its owner (or add it again if it vanished meanwhile), refuse others
+        const reclaimed = await reclaimFromTrash(result.hashString, req.session);
+        if (reclaimed && !reclaimed.restored) {
+          result = await transmissionService.addTorrentUrl(url, args);
+        }
+
+        // Don't take over ownership of a torrent that is already tracked
+        const existing = torrentMetadata.getTorrentMetadata(result.hashString);
+        if (!existing) {
+          await registerAddedTorrent(result, req.session, category, options.labels);
+        }
+        if (!existing || reclaimed?.restored) {
+          guard.charge(0);
+        }
+
+        results.push({
+          success: true,
+          url,
+          torrentId: result.id,
+          name: result.name,
+          duplicate: !!existing && !reclaimed,
+          restored: !!reclaimed?.restored,
+          message: reclaimed?.message
+        });
+      } catch (error) {
+        results.push({
+          success: false,
+          url,
+          error: error.message
+        });
+      }
+    }
+
+    res.json({ results, storage });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    if (error.storage) {
+      return res.status(error.status).json({ error: error.message, storage: error.storage });
+    }
     next(error);
   }
 });
 
-// Delete torrent
+// Delete torrent (?deleteData=false removes it from the daemon but keeps the files).
+// Deleting with data moves the torrent to the trash while the trash is enabled.
 router.delete('/:id', async (req, res, next) => {
   try {
     const torrentId = parseInt(req.params.id);
     const isAdmin = req.session.isAdmin;
+    const deleteData = parseDeleteData(req);
+
+    // Data left behind keeps using shared storage without an owner,
+    // so only admins may remove a torrent and keep its files
+    if (!deleteData && !isAdmin) {
+      return res.status(403).json({ error: 'Only admins can remove a torrent without deleting its data' });
+    }
     
     // Get torrent details to find hashString
+    let torrent = null;
     let torrentHash = null;
     try {
-      const torrent = await transmissionService.getTorrentDetails(torrentId);
+      torrent = await transmissionService.getTorrentDetails(torrentId, ['name', 'totalSize', 'downloadDir', 'status']);
       torrentHash = torrent.hashString;
     } catch (err) {
       console.log(`Could not get torrent details for ${torrentId}: ${err.message}`);
     }
     
+    if (torrent) {
+      assertNotTrashed(torrent);
+    }
     const isOwner = torrentHash ? torrentMetadata.isOwner(torrentHash, req.session.userId) : false;
 
-    console.log(`Delete request: torrentId=${torrentId}, hash=${torrentHash}, isAdmin=${isAdmin}, isOwner=${isOwner}, userId=${req.session.userId}`);
+    console.log(`Delete request: torrentId=${torrentId}, hash=${torrentHash}, deleteData=${deleteData}, isAdmin=${isAdmin}, isOwner=${isOwner}, userId=${req.session.userId}`);
 
     // Check permission
     if (!isAdmin && !isOwner) {
       return res.status(403).json({ error: 'You can only delete your own torrents' });
     }
 
+    // Soft-delete: stop and hide it, data is purged once the grace period is over
+    if (deleteData && torrent && trash.isEnabled()) {
+      const entry = await trash.trashTorrent(torrent, req.session.username);
+      return res.json({
+        success: true,
+        deleteData,
+        trashed: true,
+        purge_at: entry.purge_at,
+        message: 'Torrent moved to trash'
+      });
+    }
+
     // Delete from transmission
     console.log(`Attempting to remove torrent ${torrentId} from Transmission...`);
-    await transmissionService.removeTorrent(torrentId, true);
+    await transmissionService.removeTorrent(torrentId, deleteData);
     console.log(`Torrent ${torrentId} removed from Transmission successfully`);
     
     // Delete metadata by hash
@@ -161,13 +577,288 @@ router.delete('/:id', async (req, res, next) => {
       console.log(`Metadata for torrent ${torrentId} (hash: ${torrentHash}) deleted`);
     }
 
-    res.json({ success: true, message: 'Torrent deleted' });
+    res.json({
+      success: true,
+      deleteData,
+      message: deleteData ? 'Torrent deleted' : 'Torrent removed, data kept'
+    });
   } catch (error) {
     console.error('Error deleting torrent:', error);
     next(error);
   }
 });
 
+// Bulk actions run once for all permitted torrents (one RPC call where the
+// daemon allows it) and may return per-hash errors for partial failures
+const bulkActions = {
+  start: async (torrents) => { await transmissionService.startTorrent(torrents.map(t => t.id)); },
+  stop: async (torrents) => { await transmissionService.stopTorrent(torrents.map(t => t.id)); },
+  verify: async (torrents) => { await transmissionService.verifyTorrent(torrents.map(t => t.id)); },
+
+  delete: async (torrents, params, session) => {
+    const deleteData = params.deleteData ?? true;
+    if (deleteData && trash.isEnabled()) {
+      await trash.trashTorrents(torrents, session.username);
+      return;
+    }
+    await transmissionService.removeTorrents(torrents.map(t => t.id), deleteData);
+    for (const torrent of torrents) {
+      torrentMetadata.deleteTorrentMetadata(torrent.hashString);
+    }
+  },
+
+  labels: async (torrents, params) => {
+    await transmissionService.setTorrent(torrents.map(t => t.id), { labels: params.labels });
+    for (const torrent of torrents) {
+      if (torrentMetadata.getTorrentMetadata(torrent.hashString)) {
+        torrentMetadata.updateTorrentMetadata(torrent.hashString, { labels: params.labels });
+      }
+    }
+  },
+
+  category: async (torrents, params) => {
+    const category = params.category_id === null ? null : categories.getCategory(params.category_id);
+    if (params.category_id !== null && !category) {
+      const error = new Error('Category not found');
+      error.status = 400;
+      throw error;
+    }
+    const location = category
+      ? category.download_dir
+      : (await transmissionService.getServerStats())['download-dir'];
+
+    const toMove = torrents.filter(t => location && t.downloadDir !== location).map(t => t.id);
+    if (toMove.length > 0) {
+      await transmissionService.setLocation(toMove, location, true);
+    }
+    await categories.applySeedingPolicy(torrents.map(t => t.id), category);
+    for (const torrent of torrents) {
+      if (torrentMetadata.getTorrentMetadata(torrent.hashString)) {
+        torrentMetadata.updateTorrentMetadata(torrent.hashString, { category_id: params.category_id });
+      }
+    }
+  },
+
+  'block-auto-remove': async (torrents, params) => {
+    const errors = {};
+    for (const torrent of torrents) {
+      if (torrentMetadata.getTorrentMetadata(torrent.hashString)) {
+        torrentMetadata.updateTorrentMetadata(torrent.hashString, { block_auto_remove: params.block });
+      } else {
+        errors[torrent.hashString] = 'Torrent has no owner metadata';
+      }
+    }
+    return errors;
+  }
+};
+
+// Run one action on many torrents: { hashes, action, ...parameters }.
+// Ownership is checked per torrent; the response lists a result per hash.
+router.post('/bulk', async (req, res, next) => {
+  try {
+    const params = bulkSchema.parse(req.body);
+    const { hashes, action } = params;
+    const isAdmin = req.session.isAdmin;
+
+    if (action === 'delete' && params.deleteData === false && !isAdmin) {
+      return res.status(403).json({ error: 'Only admins can remove a torrent without deleting its data' });
+    }
+
+    const torrents = trash.withoutTrashed(await transmissionService.getTorrents());
+    const byHash = new Map(torrents.map(t => [t.hashString, t]));
+    const results = new Map();
+    const permitted = [];
+
+    for (const hash of hashes) {
+      const torrent = byHash.get(hash);
+      if (!torrent) {
+        results.set(hash, { hashString: hash, success: false, error: 'Torrent not found' });
+      } else if (!isAdmin && !torrentMetadata.isOwner(hash, req.session.userId)) {
+        results.set(hash, { hashString: hash, name: torrent.name, success: false, error: 'You can only modify your own torrents' });
+      } else {
+        permitted.push(torrent);
+      }
+    }
+
+    let errors = {};
+    let batchError = null;
+    if (permitted.length > 0) {
+      try {
+        errors = (await bulkActions[action](permitted, params, req.session)) || {};
+      } catch (error) {
+        if (error.status === 400) throw error;
+        batchError = error;
+      }
+    }
+
+    for (const torrent of permitted) {
+      const error = batchError?.message || errors[torrent.hashString];
+      results.set(torrent.hashString, {
+        hashString: torrent.hashString,
+        name: torrent.name,
+        success: !error,
+        ...(error ? { error } : {})
+      });
+    }
+
+    const list = hashes.map(hash => results.get(hash));
+    const succeeded = list.filter(r => r.success).length;
+    console.log(`Bulk ${action} by ${req.session.username}: ${succeeded}/${list.length} succeeded`);
+
+    res.json({
+      action,
+      succeeded,
+      failed: list.length - succeeded,
+      results: list
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
+// Start, start-now, stop, verify or reannounce a torrent
+router.post('/:id/:action(start|start-now|stop|verify|reannounce)', async (req, res, next) => {
+  try {
+    const torrentId = parseInt(req.params.id);
+    const { action } = req.params;
+    const isAdmin = req.session.isAdmin;
+
+    // Get torrent details to find hashString
+    const torrent = assertNotTrashed(await transmissionService.getTorrentDetails(torrentId, ['hashString']));
+    const isOwner = torrentMetadata.isOwner(torrent.hashString, req.session.userId);
+
+    // Check permission
+    if (!isAdmin && !isOwner) {
+      return res.status(403).json({ error: 'You can only control your own torrents' });
+    }
+
+    await torrentActions[action](torrentId);
+    console.log(`Torrent ${torrentId} ${action} requested by ${req.session.username}`);
+
+    res.json({ success: true, action });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Select files and set file priorities
+router.patch(`/:id(${TORRENT_ID_PATTERN})/files`, async (req, res, next) => {
+  try {
+    const torrentId = parseTorrentId(req.params.id);
+    const changes = fileChangesSchema.parse(req.body);
+    const isAdmin = req.session.isAdmin;
+
+    const torrent = assertNotTrashed(await transmissionService.getTorrentDetails(torrentId, ['files']));
+    const isOwner = torrentMetadata.isOwner(torrent.hashString, req.session.userId);
+
+    // Check permission
+    if (!isAdmin && !isOwner) {
+      return res.status(403).json({ error: 'You can only modify your own torrents' });
+    }
+
+    const fileCount = torrent.files?.length || 0;
+    const allIndices = Object.values(changes).flat();
+    if (allIndices.some(index => index >= fileCount)) {
+      return res.status(400).json({ error: 'File index out of range' });
+    }
+
+    const wanted = changes.wanted || [];
+    if (wanted.some(index => changes.unwanted?.includes(index))) {
+      return res.status(400).json({ error: 'A file cannot be both wanted and unwanted' });
+    }
+
+    await transmissionService.setFilesWanted(torrent.id, wanted, true);
+    await transmissionService.setFilesWanted(torrent.id, changes.unwanted || [], false);
+    for (const priority of ['high', 'normal', 'low']) {
+      await transmissionService.setFilesPriority(torrent.id, changes[priority] || [], priority);
+    }
+
+    const updated = await transmissionService.getTorrentDetails(torrent.id, ['fileStats', 'sizeWhenDone']);
+    res.json({ success: true, fileStats: updated.fileStats, sizeWhenDone: updated.sizeWhenDone });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
+// Move a torrent into another category (or out of any category)
+router.patch(`/:id(${TORRENT_ID_PATTERN})/category`, async (req, res, next) => {
+  try {
+    const torrentId = parseTorrentId(req.params.id);
+    const { category_id } = categoryChangeSchema.parse(req.body);
+    const isAdmin = req.session.isAdmin;
+
+    const torrent = assertNotTrashed(await transmissionService.getTorrentDetails(torrentId, ['downloadDir']));
+    const isOwner = torrentMetadata.isOwner(torrent.hashString, req.session.userId);
+
+    // Check permission
+    if (!isAdmin && !isOwner) {
+      return res.status(403).json({ error: 'You can only modify your own torrents' });
+    }
+
+    const category = category_id === null ? null : categories.getCategory(category_id);
+    if (category_id !== null && !category) {
+      return res.status(400).json({ error: 'Category not found' });
+    }
+
+    // Without a category the torrent goes back to the daemon's default directory
+    const location = category
+      ? category.download_dir
+      : (await transmissionService.getServerStats())['download-dir'];
+
+    if (location && location !== torrent.downloadDir) {
+      await transmissionService.setLocation(torrent.id, location, true);
+    }
+    await categories.applySeedingPolicy(torrent.id, category);
+
+    if (torrentMetadata.getTorrentMetadata(torrent.hashString)) {
+      torrentMetadata.updateTorrentMetadata(torrent.hashString, { category_id });
+    }
+
+    console.log(`Torrent ${torrent.id} moved to ${location} (category ${category?.name || 'none'}) by ${req.session.username}`);
+    res.json({ success: true, category_id, downloadDir: location });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
+// Replace torrent labels
+router.patch(`/:id(${TORRENT_ID_PATTERN})/labels`, async (req, res, next) => {
+  try {
+    const torrentId = parseTorrentId(req.params.id);
+    const { labels } = labelsSchema.parse(req.body);
+    const isAdmin = req.session.isAdmin;
+
+    const torrent = assertNotTrashed(await transmissionService.getTorrentDetails(torrentId, ['hashString']));
+    const isOwner = torrentMetadata.isOwner(torrent.hashString, req.session.userId);
+
+    // Check permission
+    if (!isAdmin && !isOwner) {
+      return res.status(403).json({ error: 'You can only modify your own torrents' });
+    }
+
+    await transmissionService.setLabels(torrent.id, labels);
+    if (torrentMetadata.getTorrentMetadata(torrent.hashString)) {
+      torrentMetadata.updateTorrentMetadata(torrent.hashString, { labels });
+    }
+
+    res.json({ success: true, labels });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: error.errors[0].message });
+    }
+    next(error);
+  }
+});
+
 // Toggle block auto-remove flag
 router.patch('/:id/block-auto-remove', async (req, res, next) => {
   try {
@@ -176,7 +867,7 @@ router.patch('/:id/block-auto-remove', async (req, res, next) => {
     const isAdmin = req.session.isAdmin;
     
     // Get torrent details to find hashString
-    const torrent = await transmissionService.getTorrentDetails(torrentId);
+    const torrent = assertNotTrashed(await transmissionService.getTorrentDetails(torrentId, ['hashString']));
     const torrentHash = torrent.hashString;
     
     const isOwner = torrentMetadata.isOwner(torrentHash, req.session.userId);
@@ -205,62 +896,32 @@ router.get('/stats', async (req, res, next) => {
     ]);
 
     const metadata = torrentMetadata.getAllTorrentMetadata();
-    
-    // Count by owner
-    const ownerCounts = {};
-    torrents.forEach(torrent => {
-      const owner = metadata[torrent.hashString]?.owner_username || 'unknown';
-      ownerCounts[owner] = (ownerCounts[owner] || 0) + 1;
-    });
-
-    res.json({
-      total_torrents: torrents.length,
-      active_torrents: torrents.filter(t => t.status === 4).length, // 4 = downloading
-      completed_torrents: torrents.filter(t => t.percentDone === 1).length,
-      total_downloaded: sessionStats?.['cumulative-stats']?.downloadedBytes || 0,
-      total_uploaded: sessionStats?.['cumulative-stats']?.uploadedBytes || 0,
-      download_speed: sessionStats?.downloadSpeed || 0,
-      upload_speed: sessionStats?.uploadSpeed || 0,
-      owner_counts: ownerCounts
-    });
+    res.json(buildStats(trash.withoutTrashed(torrents), sessionStats, metadata));
   } catch (error) {
     next(error);
   }
 });
 
-// Get disk usage stats
+// Storage volumes (download, incomplete and category directories) with their
+// free space and tier ('ok', 'warning', 'critical'); a volume that can't be
+// read is reported with status 'unknown'
 router.get('/disk-usage', async (req, res, next) => {
   try {
-    const { statfs } = await import('fs/promises');
-
-    // Get disk usage for both download directories
-    const downloadDir = '/mnt/crypted/downloads';
-    const incompleteDir = '/mnt/crypted/downloads-incomplete';
-
-    const getDiskStats = async (path) => {
-      try {
-        const stats = await statfs(path);
-        const total = stats.blocks * stats.bsize;
-        const available = stats.bavail * stats.bsize; // Available to non-root
-        const used = (stats.blocks - stats.bfree) * stats.bsize;
-        const percent = total > 0 ? Math.round((used / total) * 100) : 0;
-        
-        return { total, used, available, percent };
-      } catch (err) {
-        console.error(`Disk usage error for ${path}:`, err.message);
-        return null; // Return null if mount point missing or inaccessible
-      }
-    };
+    res.json({ volumes: await diskMonitor.getStorageState() });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const [downloadStats, incompleteStats] = await Promise.all([
-      getDiskStats(downloadDir),
-      getDiskStats(incompleteDir)
-    ]);
+// Get full details for a single torrent (files, peers, trackers, pieces)
+// Registered last so it never shadows the fixed paths above
+router.get(`/:id(${TORRENT_ID_PATTERN})`, async (req, res, next) => {
+  try {
+    const torrentId = parseTorrentId(req.params.id);
+    const torrent = assertNotTrashed(await transmissionService.getTorrentDetails(torrentId, DETAIL_FIELDS));
 
-    res.json({
-      downloads: downloadStats,
-      incomplete: incompleteStats
-    });
+    const meta = torrentMetadata.getTorrentMetadata(torrent.hashString);
+    res.json(withOwnership(torrent, meta, req.session.userId));
   } catch (error) {
     next(error);
   }
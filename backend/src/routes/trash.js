@@ -0,0 +1,67 @@
+import express from 'express';
+import { authenticateSession } from '../middleware/auth.js';
+import trash from '../services/trash.js';
+
+const router = express.Router();
+
+const HASH_PATTERN = '[0-9a-fA-F]{40}';
+
+// Owners manage their own trashed torrents, admins everyone's
+function canManage(entry, session) {
+  return session.isAdmin || entry.owner_id === session.userId;
+}
+
+function findEntry(req, res) {
+  const entry = trash.getEntry(req.params.hash.toLowerCase());
+  if (!entry || !canManage(entry, req.session)) {
+    res.status(404).json({ error: 'Torrent is not in the trash' });
+    return null;
+  }
+  return entry;
+}
+
+// All routes require authentication
+router.use(authenticateSession);
+
+// List trashed torrents (own for users, all for admins)
+router.get('/', (req, res, next) => {
+  try {
+    res.json({
+      enabled: trash.isEnabled(),
+      grace_hours: trash.graceHours,
+      entries: trash.getEntries(req.session.isAdmin ? null : req.session.userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore a trashed torrent
+router.post(`/:hash(${HASH_PATTERN})/restore`, async (req, res, next) => {
+  try {
+    const entry = findEntry(req, res);
+    if (!entry) return;
+
+    await trash.restore(entry.hash_string);
+    console.log(`Torrent ${entry.name} restored from trash by ${req.session.username}`);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Purge a trashed torrent and its data now
+router.delete(`/:hash(${HASH_PATTERN})`, async (req, res, next) => {
+  try {
+    const entry = findEntry(req, res);
+    if (!entry) return;
+
+    await trash.purge(entry.hash_string);
+    console.log(`Torrent ${entry.name} purged from trash by ${req.session.username}`);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
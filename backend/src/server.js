@@ -29,15 +29,26 @@ import torrentsRoutes from './routes/torrents.js';
 import feedsRoutes from './routes/feeds.js';
 import adminRoutes from './routes/admin.js';
 import linksRoutes from './routes/links.js';
+import eventsRoutes from './routes/events.js';
+import bandwidthRoutes from './routes/bandwidth.js';
+import categoriesRoutes from './routes/categories.js';
+import trashRoutes from './routes/trash.js';
+import diskRoutes from './routes/disk.js';
 
 // Import services to initialize them (AFTER dotenv)
 import './services/rss-manager.js';
 import './services/disk-monitor.js';
+import './services/bandwidth-scheduler.js';
+import './services/reconciler.js';
 import './services/logger.js';
+import { importLegacyJson } from './services/legacy-import.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// One-time import of pre-SQLite JSON data (torrent metadata, RSS feeds)
+importLegacyJson();
+
 const app = express();
 const PORT = process.env.PORT || 42080;
 const HOST = process.env.HOST || '127.0.0.1';
@@ -137,6 +148,11 @@ app.use('/api/torrents', doubleCsrfProtection, torrentsRoutes); // CSRF protecti
 app.use('/api/feeds', doubleCsrfProtection, feedsRoutes);
 app.use('/api/admin', doubleCsrfProtection, adminRoutes);
 app.use('/api/links', doubleCsrfProtection, linksRoutes);
+app.use('/api/bandwidth', doubleCsrfProtection, bandwidthRoutes);
+app.use('/api/categories', doubleCsrfProtection, categoriesRoutes);
+app.use('/api/trash', doubleCsrfProtection, trashRoutes);
+app.use('/api/disk', doubleCsrfProtection, diskRoutes);
+app.use('/api/events', eventsRoutes); // Read-only SSE stream
 
 // Serve frontend static files (production)
 if (process.env.NODE_ENV === 'production') {
@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import { decode, parseTorrentFile } from '../torrent-file.js';
+
+// Minimal bencode encoder for building fixtures; keys are written in the
+// order given so tests can also produce unusual dictionaries
+function encode(value) {
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([Buffer.from(`${value.length}:`), value]);
+  }
+  if (typeof value === 'string') {
+    return encode(Buffer.from(value));
+  }
+  if (typeof value === 'number') {
+    return Buffer.from(`i${value}e`);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([Buffer.from('l'), ...value.map(encode), Buffer.from('e')]);
+  }
+  return Buffer.concat([
+    Buffer.from('d'),
+    ...Object.entries(value).flatMap(([key, item]) => [encode(key), encode(item)]),
+    Buffer.from('e')
+  ]);
+}
+
+const PIECE_LENGTH = 16384;
+
+function pieces(totalSize) {
+  return Buffer.alloc(Math.max(1, Math.ceil(totalSize / PIECE_LENGTH)) * 20);
+}
+
+function singleFile(overrides = {}) {
+  return {
+    announce: 'http://tracker.example/announce',
+    info: {
+      length: 1000,
+      name: 'file.bin',
+      'piece length': PIECE_LENGTH,
+      pieces: pieces(1000),
+      ...overrides
+    }
+  };
+}
+
+function multiFile(files) {
+  const totalSize = files.reduce((sum, file) => sum + file.length, 0);
+  return {
+    info: {
+      files,
+      name: 'album',
+      'piece length': PIECE_LENGTH,
+      pieces: pieces(totalSize)
+    }
+  };
+}
+
+describe('decode', () => {
+  test('decodes integers, strings, lists and dictionaries', () => {
+    const { value } = decode(Buffer.from('d1:ai-3e1:bl3:fooi0eee'));
+    expect(value.a).toBe(-3);
+    expect(value.b[0].toString()).toBe('foo');
+    expect(value.b[1]).toBe(0);
+  });
+
+  test('keeps "__proto__" and "constructor" as plain keys', () => {
+    const { value } = decode(Buffer.from('d9:__proto__d6:lengthi5ee11:constructori1ee'));
+    expect(Object.getPrototypeOf(value)).toBeNull();
+    expect(value.length).toBeUndefined();
+    expect(value.__proto__.length).toBe(5);
+    expect(value.constructor).toBe(1);
+  });
+
+  test.each([
+    ['leading zeros', 'i03e'],
+    ['negative zero', 'i-0e'],
+    ['unterminated number', 'i12'],
+    ['string past the end', '5:abc'],
+    ['unterminated list', 'l1:a'],
+    ['unknown type', 'x'],
+    ['trailing data', 'i1ei2e']
+  ])('rejects %s', (_, input) => {
+    expect(() => decode(Buffer.from(input))).toThrow(/Invalid torrent file/);
+  });
+
+  test('rejects nesting beyond the depth limit', () => {
+    const input = 'l'.repeat(100) + 'e'.repeat(100);
+    expect(() => decode(Buffer.from(input))).toThrow(/nesting too deep/);
+  });
+});
+
+describe('parseTorrentFile', () => {
+  test('parses a single-file torrent', () => {
+    const buffer = encode(singleFile());
+    const parsed = parseTorrentFile(buffer);
+    const info = encode(singleFile().info);
+
+    expect(parsed.name).toBe('file.bin');
+    expect(parsed.totalSize).toBe(1000);
+    expect(parsed.files).toEqual([{ index: 0, name: 'file.bin', length: 1000 }]);
+    expect(parsed.trackers).toEqual(['http://tracker.example/announce']);
+    expect(parsed.hashString).toBe(crypto.createHash('sha1').update(info).digest('hex'));
+  });
+
+  test('parses a multi-file torrent and skips padding files', () => {
+    const parsed = parseTorrentFile(encode(multiFile([
+      { length: 100, path: ['disc 1', 'a.flac'] },
+      { attr: 'p', length: 50, path: ['.pad', '50'] },
+      { length: 200, path: ['b.flac'] }
+    ])));
+
+    expect(parsed.totalSize).toBe(300);
+    expect(parsed.files).toEqual([
+      { index: 0, name: 'album/disc 1/a.flac', length: 100 },
+      { index: 1, name: 'album/b.flac', length: 200 }
+    ]);
+  });
+
+  test('hashes the info dictionary exactly as it appears in the file', () => {
+    // Unsorted keys: re-encoding would give a different hash
+    const info = { name: 'x', length: 1, 'piece length': PIECE_LENGTH, pieces: pieces(1) };
+    const buffer = encode({ info });
+    expect(parseTorrentFile(buffer).hashString)
+      .toBe(crypto.createHash('sha1').update(encode(info)).digest('hex'));
+  });
+
+  test('does not read fields through a "__proto__" key', () => {
+    const buffer = Buffer.concat([
+      Buffer.from('d4:infod9:__proto__d6:lengthi5ee4:name1:x12:piece lengthi16384e6:pieces20:'),
+      Buffer.alloc(20),
+      Buffer.from('ee')
+    ]);
+    expect(() => parseTorrentFile(buffer)).toThrow(/missing length or file list/);
+  });
+
+  test('prefers UTF-8 variants of names and paths', () => {
+    const parsed = parseTorrentFile(encode(singleFile({ 'name.utf-8': 'Ünïcode.bin' })));
+    expect(parsed.name).toBe('Ünïcode.bin');
+  });
+
+  test.each([
+    ['an empty file', Buffer.alloc(0), /file is empty/],
+    ['a root that is not a dictionary', encode(['x']), /root is not a dictionary/],
+    ['a missing info dictionary', encode({ announce: 'x' }), /missing info dictionary/],
+    ['a missing name', encode(singleFile({ name: '' })), /missing name/],
+    ['an invalid piece length', encode(singleFile({ 'piece length': 0 })), /piece length/],
+    ['a negative length', encode(singleFile({ length: -1 })), /invalid length/],
+    ['too few piece hashes', encode(singleFile({ length: PIECE_LENGTH * 2 })), /do not cover/],
+    ['malformed piece hashes', encode(singleFile({ pieces: Buffer.alloc(19) })), /piece hashes/],
+    ['a v2-only torrent', encode({ info: { 'file tree': {}, name: 'x', 'piece length': PIECE_LENGTH } }), /v2-only/]
+  ])('rejects %s', (_, buffer, message) => {
+    expect(() => parseTorrentFile(buffer)).toThrow(message);
+  });
+
+  test.each([
+    ['..'],
+    ['.'],
+    ['']
+  ])('rejects the path component "%s"', (component) => {
+    const buffer = encode(multiFile([{ length: 10, path: ['ok', component] }]));
+    expect(() => parseTorrentFile(buffer)).toThrow(/illegal components/);
+  });
+
+  test('fails with status 400', () => {
+    try {
+      parseTorrentFile(Buffer.from('garbage'));
+      throw new Error('expected a failure');
+    } catch (error) {
+      expect(error.status).toBe(400);
+    }
+  });
+});
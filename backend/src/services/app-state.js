@@ -0,0 +1,34 @@
+import { getDatabase } from '../db/init.js';
+
+// Persistent key/value state for background services (stored as JSON in app_state)
+
+let db = null;
+
+function getDb() {
+  if (!db) {
+    db = getDatabase();
+  }
+  return db;
+}
+
+export function getState(key, fallback = null) {
+  const row = getDb().prepare('SELECT value FROM app_state WHERE key = ?').get(key);
+  if (!row) return fallback;
+  try {
+    return JSON.parse(row.value);
+  } catch {
+    return fallback;
+  }
+}
+
+export function setState(key, value) {
+  getDb().prepare(`
+    INSERT INTO app_state (key, value, updated_at)
+    VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+  `).run(key, JSON.stringify(value));
+}
+
+export function deleteState(key) {
+  getDb().prepare('DELETE FROM app_state WHERE key = ?').run(key);
+}
@@ -0,0 +1,354 @@
+import cron from 'node-cron';
+import { getDatabase } from '../db/init.js';
+import transmissionService from './transmission.js';
+import trash from './trash.js';
+import { getState, setState, deleteState } from './app-state.js';
+
+const APPLIED_KEY = 'bandwidth_applied_profile';
+const PAUSED_KEY = 'bandwidth_paused_hashes';
+const MINUTES_PER_DAY = 24 * 60;
+const LOOKAHEAD_MINUTES = 7 * MINUTES_PER_DAY;
+
+function toProfile(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    alt_speed_enabled: !!row.alt_speed_enabled,
+    pause_all: !!row.pause_all,
+    is_default: !!row.is_default
+  };
+}
+
+function toSchedule(row) {
+  if (!row) return null;
+  return { ...row, enabled: !!row.enabled };
+}
+
+// Does a schedule cover the given day (0 = Sunday) and minute of day?
+// Windows with end <= start run past midnight and belong to the day they start on.
+function scheduleCovers(schedule, day, minute) {
+  const { days, start_minute: start, end_minute: end } = schedule;
+  const onDay = (d) => (days & (1 << ((d + 7) % 7))) !== 0;
+
+  if (start === end) {
+    return onDay(day);
+  }
+  if (start < end) {
+    return onDay(day) && minute >= start && minute < end;
+  }
+  return (onDay(day) && minute >= start) || (onDay(day - 1) && minute < end);
+}
+
+// Applies named bandwidth profiles (speed caps, alt-speed, pause all) to the
+// daemon according to the configured weekly schedules. Evaluated every minute;
+// when no schedule matches, the default profile (if any) is used.
+class BandwidthScheduler {
+  constructor() {
+    this.db = null;
+    this.evaluating = null;
+    // Other services that stop torrents (see addPauseHolder)
+    this.pauseHolders = [];
+    this.startScheduler();
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+    }
+    return this.db;
+  }
+
+  // --- Profiles ---
+
+  getProfiles() {
+    return this.getDb().prepare('SELECT * FROM bandwidth_profiles ORDER BY name').all().map(toProfile);
+  }
+
+  getProfile(id) {
+    return toProfile(this.getDb().prepare('SELECT * FROM bandwidth_profiles WHERE id = ?').get(id));
+  }
+
+  getProfileByName(name) {
+    return toProfile(this.getDb().prepare('SELECT * FROM bandwidth_profiles WHERE name = ?').get(name));
+  }
+
+  createProfile(profile) {
+    const db = this.getDb();
+    const id = db.transaction(() => {
+      if (profile.is_default) {
+        db.prepare('UPDATE bandwidth_profiles SET is_default = 0').run();
+      }
+      return db.prepare(`
+        INSERT INTO bandwidth_profiles (name, download_limit, upload_limit, alt_speed_enabled, pause_all, is_default)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        profile.name,
+        profile.download_limit ?? null,
+        profile.upload_limit ?? null,
+        profile.alt_speed_enabled ? 1 : 0,
+        profile.pause_all ? 1 : 0,
+        profile.is_default ? 1 : 0
+      ).lastInsertRowid;
+    })();
+
+    this.scheduleEvaluation();
+    return this.getProfile(id);
+  }
+
+  updateProfile(id, profile) {
+    const db = this.getDb();
+    db.transaction(() => {
+      if (profile.is_default) {
+        db.prepare('UPDATE bandwidth_profiles SET is_default = 0 WHERE id != ?').run(id);
+      }
+      db.prepare(`
+        UPDATE bandwidth_profiles
+        SET name = ?, download_limit = ?, upload_limit = ?, alt_speed_enabled = ?, pause_all = ?,
+            is_default = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(
+        profile.name,
+        profile.download_limit ?? null,
+        profile.upload_limit ?? null,
+        profile.alt_speed_enabled ? 1 : 0,
+        profile.pause_all ? 1 : 0,
+        profile.is_default ? 1 : 0,
+        id
+      );
+    })();
+
+    this.scheduleEvaluation({ force: true });
+    return this.getProfile(id);
+  }
+
+  deleteProfile(id) {
+    const result = this.getDb().prepare('DELETE FROM bandwidth_profiles WHERE id = ?').run(id);
+    this.scheduleEvaluation();
+    return result.changes > 0;
+  }
+
+  // --- Schedules ---
+
+  getSchedules() {
+    return this.getDb().prepare(`
+      SELECT s.*, p.name as profile_name
+      FROM bandwidth_schedules s
+      JOIN bandwidth_profiles p ON s.profile_id = p.id
+      ORDER BY s.id
+    `).all().map(toSchedule);
+  }
+
+  getSchedule(id) {
+    return toSchedule(this.getDb().prepare(`
+      SELECT s.*, p.name as profile_name
+      FROM bandwidth_schedules s
+      JOIN bandwidth_profiles p ON s.profile_id = p.id
+      WHERE s.id = ?
+    `).get(id));
+  }
+
+  createSchedule(schedule) {
+    const result = this.getDb().prepare(`
+      INSERT INTO bandwidth_schedules (profile_id, days, start_minute, end_minute, enabled)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(schedule.profile_id, schedule.days, schedule.start_minute, schedule.end_minute, schedule.enabled ? 1 : 0);
+
+    this.scheduleEvaluation();
+    return this.getSchedule(result.lastInsertRowid);
+  }
+
+  updateSchedule(id, schedule) {
+    this.getDb().prepare(`
+      UPDATE bandwidth_schedules
+      SET profile_id = ?, days = ?, start_minute = ?, end_minute = ?, enabled = ?
+      WHERE id = ?
+    `).run(schedule.profile_id, schedule.days, schedule.start_minute, schedule.end_minute, schedule.enabled ? 1 : 0, id);
+
+    this.scheduleEvaluation();
+    return this.getSchedule(id);
+  }
+
+  deleteSchedule(id) {
+    const result = this.getDb().prepare('DELETE FROM bandwidth_schedules WHERE id = ?').run(id);
+    this.scheduleEvaluation();
+    return result.changes > 0;
+  }
+
+  // --- Evaluation ---
+
+  // Which profile should be active at `date`? Schedules are checked in id order,
+  // first match wins.
+  resolve(date, schedules, defaultProfileId) {
+    const day = date.getDay();
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const match = schedules.find(s => scheduleCovers(s, day, minute));
+    if (match) {
+      return { profileId: match.profile_id, scheduleId: match.id, source: 'schedule' };
+    }
+    if (defaultProfileId) {
+      return { profileId: defaultProfileId, scheduleId: null, source: 'default' };
+    }
+    return { profileId: null, scheduleId: null, source: null };
+  }
+
+  loadRules() {
+    const schedules = this.getSchedules().filter(s => s.enabled);
+    const defaultProfile = this.getDb().prepare('SELECT id FROM bandwidth_profiles WHERE is_default = 1').get();
+    return { schedules, defaultProfileId: defaultProfile?.id || null };
+  }
+
+  // Find the next minute at which a different profile takes over (within a week)
+  nextChange(now = new Date()) {
+    const { schedules, defaultProfileId } = this.loadRules();
+    const current = this.resolve(now, schedules, defaultProfileId).profileId;
+
+    const cursor = new Date(now);
+    cursor.setSeconds(0, 0);
+    for (let i = 0; i < LOOKAHEAD_MINUTES; i++) {
+      cursor.setMinutes(cursor.getMinutes() + 1);
+      const next = this.resolve(cursor, schedules, defaultProfileId);
+      if (next.profileId !== current) {
+        const profile = next.profileId ? this.getProfile(next.profileId) : null;
+        return {
+          at: cursor.toISOString(),
+          profile: profile ? { id: profile.id, name: profile.name } : null
+        };
+      }
+    }
+    return null;
+  }
+
+  getStatus(now = new Date()) {
+    const { schedules, defaultProfileId } = this.loadRules();
+    const { profileId, scheduleId, source } = this.resolve(now, schedules, defaultProfileId);
+    const applied = getState(APPLIED_KEY);
+
+    return {
+      active_profile: profileId ? this.getProfile(profileId) : null,
+      source,
+      schedule_id: scheduleId,
+      applied_at: applied?.profile_id === profileId ? applied.applied_at : null,
+      next_change: this.nextChange(now)
+    };
+  }
+
+  // Register a service that keeps torrents stopped for its own reasons
+  // (getHashes() returns a Set of hashes): resumePaused() leaves those alone.
+  addPauseHolder(getHashes) {
+    this.pauseHolders.push(getHashes);
+  }
+
+  // Is a pause_all profile applied right now?
+  isPausingAll() {
+    const applied = getState(APPLIED_KEY);
+    return !!(applied && this.getProfile(applied.profile_id)?.pause_all);
+  }
+
+  // Torrents stopped by the current pause_all profile
+  getPausedHashes() {
+    return new Set(getState(PAUSED_KEY, []));
+  }
+
+  // Keep torrents stopped until the pause_all window ends, then resume them
+  holdPaused(hashes) {
+    setState(PAUSED_KEY, [...new Set([...getState(PAUSED_KEY, []), ...hashes])]);
+  }
+
+  async pauseAll() {
+    const torrents = await transmissionService.getTorrents();
+    const active = torrents.filter(t => t.status !== 0);
+    if (active.length > 0) {
+      // Remember what we paused so only those torrents are resumed later
+      this.holdPaused(active.map(t => t.hashString));
+      await transmissionService.stopTorrent(active.map(t => t.id));
+      console.log(`Bandwidth scheduler paused ${active.length} torrent(s)`);
+    }
+  }
+
+  async resumePaused() {
+    const hashes = getState(PAUSED_KEY, []);
+    if (hashes.length === 0) return;
+
+    // Torrents trashed during the pause stay stopped, and so do torrents
+    // another service still holds (e.g. the disk monitor, for lack of space)
+    const held = new Set(this.pauseHolders.flatMap(getHashes => [...getHashes()]));
+    const torrents = trash.withoutTrashed(await transmissionService.getTorrents());
+    const ids = torrents
+      .filter(t => hashes.includes(t.hashString) && !held.has(t.hashString))
+      .map(t => t.id);
+    if (ids.length > 0) {
+      await transmissionService.startTorrent(ids);
+    }
+    deleteState(PAUSED_KEY);
+    console.log(`Bandwidth scheduler resumed ${ids.length} torrent(s)`);
+  }
+
+  async applyProfile(profile) {
+    const settings = {
+      'speed-limit-down-enabled': profile.download_limit !== null,
+      'speed-limit-up-enabled': profile.upload_limit !== null,
+      'alt-speed-enabled': profile.alt_speed_enabled
+    };
+    if (profile.download_limit !== null) {
+      settings['speed-limit-down'] = profile.download_limit;
+    }
+    if (profile.upload_limit !== null) {
+      settings['speed-limit-up'] = profile.upload_limit;
+    }
+    await transmissionService.setSession(settings);
+
+    if (profile.pause_all) {
+      await this.pauseAll();
+    } else {
+      await this.resumePaused();
+    }
+  }
+
+  async evaluate({ force = false } = {}) {
+    const { schedules, defaultProfileId } = this.loadRules();
+    const { profileId } = this.resolve(new Date(), schedules, defaultProfileId);
+    const applied = getState(APPLIED_KEY);
+
+    if (!force && (applied?.profile_id ?? null) === profileId) {
+      // Torrents added or started during a pause_all window are stopped on
+      // the next tick as well
+      if (profileId && this.getProfile(profileId)?.pause_all) {
+        await this.pauseAll();
+      }
+      return;
+    }
+
+    if (profileId) {
+      const profile = this.getProfile(profileId);
+      console.log(`Applying bandwidth profile "${profile.name}"`);
+      await this.applyProfile(profile);
+      setState(APPLIED_KEY, { profile_id: profileId, applied_at: new Date().toISOString() });
+    } else {
+      // Nothing scheduled: leave session limits alone, just undo a pause
+      await this.resumePaused();
+      deleteState(APPLIED_KEY);
+    }
+  }
+
+  // Queue an evaluation; runs are serialized so cron ticks and edits never overlap
+  scheduleEvaluation(options) {
+    const run = () => this.evaluate(options).catch(err => {
+      console.error('Bandwidth schedule evaluation failed:', err.message);
+    });
+    this.evaluating = (this.evaluating || Promise.resolve()).then(run);
+    return this.evaluating;
+  }
+
+  startScheduler() {
+    console.log('Starting bandwidth scheduler');
+
+    // First evaluation once the database and daemon connection are up
+    setTimeout(() => this.scheduleEvaluation(), 10000);
+
+    cron.schedule('* * * * *', () => this.scheduleEvaluation());
+  }
+}
+
+// Singleton instance
+const bandwidthScheduler = new BandwidthScheduler();
+export default bandwidthScheduler;
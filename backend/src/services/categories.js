@@ -0,0 +1,76 @@
+import { getDatabase } from '../db/init.js';
+import transmissionService from './transmission.js';
+
+// Admin-managed categories. Each category maps to a download directory and may
+// override the global seeding limits for torrents added into it.
+class Categories {
+  constructor() {
+    this.db = null;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+    }
+    return this.db;
+  }
+
+  getCategories() {
+    return this.getDb().prepare('SELECT * FROM categories ORDER BY name').all();
+  }
+
+  getCategory(id) {
+    return this.getDb().prepare('SELECT * FROM categories WHERE id = ?').get(id) || null;
+  }
+
+  getCategoryByName(name) {
+    return this.getDb().prepare('SELECT * FROM categories WHERE name = ? COLLATE NOCASE').get(name) || null;
+  }
+
+  createCategory({ name, download_dir, seed_ratio_limit = null, seed_idle_limit = null }) {
+    const result = this.getDb().prepare(`
+      INSERT INTO categories (name, download_dir, seed_ratio_limit, seed_idle_limit)
+      VALUES (?, ?, ?, ?)
+    `).run(name, download_dir, seed_ratio_limit, seed_idle_limit);
+    return this.getCategory(result.lastInsertRowid);
+  }
+
+  updateCategory(id, { name, download_dir, seed_ratio_limit = null, seed_idle_limit = null }) {
+    this.getDb().prepare(`
+      UPDATE categories
+      SET name = ?, download_dir = ?, seed_ratio_limit = ?, seed_idle_limit = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(name, download_dir, seed_ratio_limit, seed_idle_limit, id);
+    return this.getCategory(id);
+  }
+
+  deleteCategory(id) {
+    const result = this.getDb().prepare('DELETE FROM categories WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  // torrent-add arguments for adding into a category (none without a category)
+  addArgs(category) {
+    return category ? { 'download-dir': category.download_dir } : {};
+  }
+
+  // Apply the category's seeding limits to one torrent id or a list of ids;
+  // no category (or no override) means global limits
+  async applySeedingPolicy(torrentId, category) {
+    const ratio = category?.seed_ratio_limit ?? null;
+    const idle = category?.seed_idle_limit ?? null;
+
+    const args = {
+      seedRatioMode: ratio === null ? 0 : 1,
+      seedIdleMode: idle === null ? 0 : 1
+    };
+    if (ratio !== null) args.seedRatioLimit = ratio;
+    if (idle !== null) args.seedIdleLimit = idle;
+
+    await transmissionService.setTorrent(torrentId, args);
+  }
+}
+
+// Singleton instance
+const categories = new Categories();
+export default categories;
@@ -0,0 +1,130 @@
+// Disk cleanup strategies: the order in which completed torrents are removed
+// when free space drops below the threshold. Candidates are Transmission
+// torrents merged with their metadata (owner_id, owner, added_at).
+
+const HOUR = 60 * 60 * 1000;
+
+// Bytes a torrent currently occupies on disk
+export function bytesOnDisk(torrent) {
+  return Math.max(0, (torrent.sizeWhenDone ?? torrent.totalSize ?? 0) - (torrent.leftUntilDone ?? 0));
+}
+
+// When the torrent was added, in ms. The daemon's date comes first: metadata
+// added_at is when ownership was recorded, later for reassigned orphans.
+export function addedTime(torrent) {
+  if (torrent.addedDate) {
+    return torrent.addedDate * 1000;
+  }
+  const fromMeta = torrent.added_at ? Date.parse(torrent.added_at) : NaN;
+  return Number.isNaN(fromMeta) ? 0 : fromMeta;
+}
+
+function sortBy(candidates, valueOf) {
+  return [...candidates].sort((a, b) => valueOf(a) - valueOf(b) || addedTime(a) - addedTime(b));
+}
+
+// Take from whoever uses the most space (over all their torrents, not only
+// candidates) and recount after every pick; oldest first within an owner
+function fairShareOrder(candidates, { usageByOwner }) {
+  const queues = new Map();
+  for (const torrent of sortBy(candidates, addedTime)) {
+    const owner = torrent.owner_id ?? null;
+    if (!queues.has(owner)) queues.set(owner, []);
+    queues.get(owner).push(torrent);
+  }
+
+  const usage = new Map([...queues.keys()].map(owner => [owner, usageByOwner.get(owner) || 0]));
+  const ordered = [];
+  while (queues.size > 0) {
+    let heaviest = null;
+    for (const owner of queues.keys()) {
+      if (heaviest === null || usage.get(owner) > usage.get(heaviest)) {
+        heaviest = owner;
+      }
+    }
+    const torrent = queues.get(heaviest).shift();
+    ordered.push(torrent);
+    usage.set(heaviest, usage.get(heaviest) - bytesOnDisk(torrent));
+    if (queues.get(heaviest).length === 0) {
+      queues.delete(heaviest);
+    }
+  }
+  return ordered;
+}
+
+export const CLEANUP_STRATEGIES = {
+  oldest: {
+    label: 'Oldest first',
+    description: 'Torrents added longest ago go first',
+    order: (candidates) => sortBy(candidates, addedTime)
+  },
+  largest: {
+    label: 'Largest first',
+    description: 'Frees the most space with the fewest removals',
+    order: (candidates) => sortBy(candidates, t => -bytesOnDisk(t))
+  },
+  lowest_ratio: {
+    label: 'Lowest ratio first',
+    description: 'Torrents that uploaded the least relative to their size go first',
+    order: (candidates) => sortBy(candidates, t => Math.max(0, t.uploadRatio))
+  },
+  least_active: {
+    label: 'Least recently active',
+    description: 'Torrents without upload or download activity for the longest time go first',
+    order: (candidates) => sortBy(candidates, t => t.activityDate || 0)
+  },
+  longest_seeding: {
+    label: 'Longest seeding',
+    description: 'Torrents that finished downloading longest ago go first',
+    order: (candidates) => sortBy(candidates, t => (t.doneDate || 0) * 1000 || addedTime(t))
+  },
+  fair_share: {
+    label: 'Per-owner fair share',
+    description: 'Takes from the users who occupy the most space first',
+    order: fairShareOrder
+  }
+};
+
+export const DEFAULT_CLEANUP_POLICY = {
+  strategy: 'oldest',
+  min_age_hours: 0,
+  min_ratio: 0,
+  // Take torrents of owners over their storage quota before anyone else's
+  prefer_over_quota: true
+};
+
+// Why a torrent may not be removed under the policy (null = eligible)
+export function protectionReason(torrent, policy, now = Date.now()) {
+  if (torrent.percentDone !== 1) {
+    return 'incomplete';
+  }
+  if (torrent.block_auto_remove) {
+    return 'blocked';
+  }
+  if (policy.min_age_hours > 0 && now - addedTime(torrent) < policy.min_age_hours * HOUR) {
+    return 'retention';
+  }
+  if (policy.min_ratio > 0 && !(torrent.uploadRatio >= policy.min_ratio)) {
+    return 'ratio';
+  }
+  return null;
+}
+
+// Eligible candidates in removal order. overQuota: owner ids over their
+// storage quota, whose torrents go first when the policy prefers them.
+export function orderCandidates(torrents, policy, now = Date.now(), overQuota = new Set()) {
+  const usageByOwner = new Map();
+  for (const torrent of torrents) {
+    const owner = torrent.owner_id ?? null;
+    usageByOwner.set(owner, (usageByOwner.get(owner) || 0) + bytesOnDisk(torrent));
+  }
+
+  const strategy = CLEANUP_STRATEGIES[policy.strategy] || CLEANUP_STRATEGIES[DEFAULT_CLEANUP_POLICY.strategy];
+  const eligible = torrents.filter(t => protectionReason(t, policy, now) === null);
+  const ordered = strategy.order(eligible, { usageByOwner });
+  if (!policy.prefer_over_quota || overQuota.size === 0) {
+    return ordered;
+  }
+  const isOver = (torrent) => overQuota.has(torrent.owner_id ?? null);
+  return [...ordered.filter(isOver), ...ordered.filter(t => !isOver(t))];
+}
@@ -0,0 +1,119 @@
+import { getDatabase } from '../db/init.js';
+
+// History of disk cleanups: the critical-tier runs of the disk monitor
+// (including ones that found nothing to remove, see checkStorage), with the
+// torrents they took and whose they were. Owners get a
+// dashboard notice for their removed torrents until they dismiss it.
+class DiskHistory {
+  constructor() {
+    this.db = null;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+    }
+    return this.db;
+  }
+
+  // Store a run and its removals ({ hashString, name, size, owner_id,
+  // owner_username, from_trash }); returns the run id
+  recordRun(run, removals) {
+    const db = this.getDb();
+    const insertRun = db.prepare(`
+      INSERT INTO disk_cleanup_runs
+        (volume_path, triggered_by, strategy, threshold, total_bytes, free_before, free_after, started_at, finished_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertRemoval = db.prepare(`
+      INSERT INTO disk_cleanup_removals
+        (run_id, hash_string, name, size, owner_id, owner_username, from_trash)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    return db.transaction(() => {
+      const { lastInsertRowid: runId } = insertRun.run(
+        run.volume_path,
+        run.triggered_by,
+        run.strategy,
+        run.threshold,
+        run.total_bytes,
+        run.free_before,
+        run.free_after,
+        run.started_at,
+        run.finished_at
+      );
+      for (const removal of removals) {
+        insertRemoval.run(
+          runId,
+          removal.hashString,
+          removal.name,
+          removal.size ?? null,
+          removal.owner_id ?? null,
+          removal.owner_username ?? null,
+          removal.from_trash ? 1 : 0
+        );
+      }
+      return Number(runId);
+    })();
+  }
+
+  // Runs, newest first, each with its removals. For a user (ownerId set)
+  // only runs that removed their torrents, listing only those torrents.
+  // `before` is a run id to continue from.
+  getRuns({ ownerId = null, limit = 50, before = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (ownerId !== null) {
+      conditions.push('id IN (SELECT run_id FROM disk_cleanup_removals WHERE owner_id = ?)');
+      params.push(ownerId);
+    }
+    if (before !== null) {
+      conditions.push('id < ?');
+      params.push(before);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const runs = this.getDb()
+      .prepare(`SELECT * FROM disk_cleanup_runs ${where} ORDER BY id DESC LIMIT ?`)
+      .all(...params, limit);
+    if (runs.length === 0) return [];
+
+    const removals = this.getDb()
+      .prepare(`
+        SELECT * FROM disk_cleanup_removals
+        WHERE run_id IN (${runs.map(() => '?').join(', ')})
+        ${ownerId !== null ? 'AND owner_id = ?' : ''}
+        ORDER BY id
+      `)
+      .all(...runs.map(run => run.id), ...(ownerId !== null ? [ownerId] : []));
+
+    return runs.map(run => ({
+      ...run,
+      removals: removals.filter(removal => removal.run_id === run.id)
+    }));
+  }
+
+  // A user's removed torrents they haven't been told about yet
+  getUnseen(ownerId) {
+    return this.getDb().prepare(`
+      SELECT r.id, r.hash_string, r.name, r.size, r.from_trash,
+             runs.volume_path, runs.finished_at AS removed_at
+      FROM disk_cleanup_removals r
+      JOIN disk_cleanup_runs runs ON runs.id = r.run_id
+      WHERE r.owner_id = ? AND r.seen_at IS NULL
+      ORDER BY r.id DESC
+    `).all(ownerId);
+  }
+
+  // Dismiss a user's notices up to a removal id (later ones stay)
+  markSeen(ownerId, upToId) {
+    return this.getDb().prepare(`
+      UPDATE disk_cleanup_removals SET seen_at = ?
+      WHERE owner_id = ? AND seen_at IS NULL AND id <= ?
+    `).run(new Date().toISOString(), ownerId, upToId).changes;
+  }
+}
+
+// Singleton instance
+const diskHistory = new DiskHistory();
+export default diskHistory;
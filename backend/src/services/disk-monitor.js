@@ -1,130 +1,516 @@
-import fs from 'fs';
-import { promisify } from 'util';
 import cron from 'node-cron';
 import transmissionService from './transmission.js';
 import torrentMetadata from './torrent-metadata.js';
+import trash from './trash.js';
+import diskHistory from './disk-history.js';
+import storageUsage from './storage-usage.js';
+import bandwidthScheduler from './bandwidth-scheduler.js';
+import { getState, setState } from './app-state.js';
+import { getVolumes, measureVolume, findVolume, dataDirectory, worseStatus } from './storage-volumes.js';
+import {
+  CLEANUP_STRATEGIES, DEFAULT_CLEANUP_POLICY, orderCandidates, protectionReason, bytesOnDisk
+} from './cleanup-strategies.js';
 
-const statfs = promisify(fs.statfs || fs.stat);
+const POLICY_KEY = 'disk_cleanup_policy';
+// Torrents paused for lack of space ({ hashString: volume path })
+const PAUSED_KEY = 'disk_paused_torrents';
+// Torrents paused for not fitting their owner's size quota ({ hashString: owner id })
+const QUOTA_PAUSED_KEY = 'quota_paused_torrents';
+// Volumes whose last critical-tier cleanup removed nothing (volume paths)
+const IDLE_CLEANUP_KEY = 'disk_cleanup_idle_volumes';
+// Downloading and queued to download
+const DOWNLOAD_STATUSES = [3, 4];
+// How long the last check's volumes are reused for add checks and the dashboard
+const STATE_MAX_AGE = 30000;
 
 class DiskMonitor {
   constructor() {
-    this.threshold = parseFloat(process.env.DISK_THRESHOLD || '10');
+    this.volumes = null;
+    this.checkedAt = 0;
+    this.checking = null;
+    // The bandwidth scheduler must not resume what is paused here
+    bandwidthScheduler.addPauseHolder(() => new Set([
+      ...Object.keys(getState(PAUSED_KEY, {})),
+      ...Object.keys(getState(QUOTA_PAUSED_KEY, {}))
+    ]));
     this.startMonitoring();
   }
 
-  // Get disk usage for a path
-  async getDiskUsage(path) {
-    try {
-      const stats = await statfs(path);
-      const totalBytes = stats.blocks * stats.bsize;
-      const freeBytes = stats.bavail * stats.bsize;
-      const usedBytes = totalBytes - freeBytes;
-      const freePercent = (freeBytes / totalBytes) * 100;
+  // Volumes as of the last check (re-measured when older than STATE_MAX_AGE),
+  // each with the number of downloads paused on it
+  async getStorageState() {
+    if (!this.volumes || Date.now() - this.checkedAt > STATE_MAX_AGE) {
+      this.volumes = await getVolumes();
+      this.checkedAt = Date.now();
+    }
+    const paused = Object.values(getState(PAUSED_KEY, {}));
+    return this.volumes.map(volume => ({
+      ...volume,
+      paused: paused.filter(volumePath => volumePath === volume.path).length
+    }));
+  }
 
-      return {
-        total: totalBytes,
-        used: usedBytes,
-        free: freeBytes,
-        freePercent: freePercent
-      };
-    } catch (error) {
-      console.error('Error getting disk usage:', error);
-      // Return mock data if statfs not available (Windows)
-      return {
-        total: 1000000000000,
-        used: 900000000000,
-        free: 100000000000,
-        freePercent: 10
-      };
+  // Forget the cached volumes (e.g. after thresholds changed)
+  invalidateStorageState() {
+    this.volumes = null;
+  }
+
+  // Check the volumes a new torrent would be written to (its download
+  // directory and the incomplete directory, if used). Throws (status 507)
+  // when one is at the warning tier or worse; returns the storage state
+  // otherwise, for the add response.
+  async checkAddAllowed(downloadDir = null) {
+    const session = await transmissionService.getServerStats();
+    const volumes = await this.getStorageState();
+    const dirs = [downloadDir || session['download-dir']];
+    if (session['incomplete-dir-enabled'] && session['incomplete-dir']) {
+      dirs.push(session['incomplete-dir']);
+    }
+    const targets = [...new Set(dirs.map(dir => findVolume(volumes, dir)).filter(Boolean))];
+
+    const storage = {
+      status: targets.reduce((status, volume) => worseStatus(status, volume.status), 'ok'),
+      volumes: targets.map(({ path, status, free, free_percent, threshold, warning_threshold }) => ({
+        path, status, free, free_percent, threshold, warning_threshold
+      }))
+    };
+
+    const full = targets.find(volume => volume.status === 'warning' || volume.status === 'critical');
+    if (full) {
+      const error = new Error(
+        `Not enough disk space on ${full.path}: ${full.free_percent.toFixed(1)}% free, ` +
+        `new torrents are refused below ${full.warning_threshold}%`
+      );
+      error.status = 507;
+      error.storage = storage;
+      throw error;
     }
+    return storage;
   }
 
-  // Get torrents eligible for auto-removal
-  async getAutoRemovalCandidates() {
-    const torrents = await transmissionService.getTorrents();
+  // Cleanup policy set by admins (strategy, retention age, ratio floor)
+  getPolicy() {
+    return { ...DEFAULT_CLEANUP_POLICY, ...getState(POLICY_KEY, {}) };
+  }
+
+  setPolicy(changes) {
+    const policy = { ...this.getPolicy(), ...changes };
+    setState(POLICY_KEY, policy);
+    return policy;
+  }
+
+  getStrategies() {
+    return Object.entries(CLEANUP_STRATEGIES).map(([id, { label, description }]) => ({ id, label, description }));
+  }
+
+  // The volume of `volumePath`, or the one holding the default download directory
+  async getVolume(volumePath = null) {
+    const volumes = await getVolumes();
+    let volume;
+    if (volumePath) {
+      volume = volumes.find(v => v.path === volumePath);
+    } else {
+      const session = await transmissionService.getServerStats();
+      volume = findVolume(volumes, session['download-dir']) || volumes[0];
+    }
+    if (!volume) {
+      const error = new Error('Storage volume not found');
+      error.status = 404;
+      throw error;
+    }
+    return { volume, volumes };
+  }
+
+  // Torrents merged with the metadata the cleanup strategies look at
+  async getCleanupTorrents() {
+    // Trashed torrents are purged separately, before any candidate
+    const torrents = trash.withoutTrashed(await transmissionService.getTorrents());
     const metadata = torrentMetadata.getAllTorrentMetadata();
 
-    // Filter: completed torrents, not blocked from auto-remove
-    const candidates = torrents
-      .filter(t => {
-        // Use hashString for metadata lookup
-        const meta = metadata[t.hashString];
-        return (
-          t.percentDone === 1 && // Completed
-          (!meta || !meta.block_auto_remove) // Not blocked
-        );
-      })
-      .map(t => ({
+    // Use hashString for metadata lookup
+    return torrents.map(t => {
+      const meta = metadata[t.hashString];
+      return {
         ...t,
-        added_at: metadata[t.hashString]?.added_at || new Date().toISOString()
-      }))
-      .sort((a, b) => new Date(a.added_at) - new Date(b.added_at)); // Oldest first
+        owner_id: meta?.owner_id ?? null,
+        owner: meta?.owner_username ?? null,
+        added_at: meta?.added_at ?? null,
+        block_auto_remove: !!meta?.block_auto_remove
+      };
+    });
+  }
 
-    return candidates;
+  // Owners over their storage quota (usage counted over all volumes)
+  getOverQuotaOwners(torrents) {
+    return storageUsage.overQuotaOwners(storageUsage.summarize(torrents));
   }
 
-  // Auto-remove oldest torrents until disk free > threshold
-  async autoRemoveOldestTorrents() {
-    try {
-      // Get download directory from transmission
-      const session = await transmissionService.getServerStats();
-      const downloadDir = session['download-dir'] || '/downloads';
+  // Get torrents on a volume eligible for auto-removal, in the policy's removal order
+  async getAutoRemovalCandidates(volume, volumes, policy = this.getPolicy()) {
+    const torrents = await this.getCleanupTorrents();
+    const onVolume = torrents.filter(t => findVolume(volumes, t.downloadDir) === volume);
+    return orderCandidates(onVolume, policy, Date.now(), this.getOverQuotaOwners(torrents));
+  }
 
-      const diskUsage = await this.getDiskUsage(downloadDir);
-      console.log(`Disk usage: ${diskUsage.freePercent.toFixed(2)}% free`);
+  // Dry run: which trash entries and torrents a cleanup of a volume (default:
+  // the one holding the download directory) would remove to free `bytes`
+  // (default: what is missing to reach its threshold right now). Sizes are
+  // estimates from the daemon; the real run re-checks the disk after every
+  // removal and stops as soon as there is enough space.
+  async previewCleanup({ bytes, policy = this.getPolicy(), volumePath = null } = {}) {
+    const { volume, volumes } = await this.getVolume(volumePath);
+    if (bytes === undefined && volume.total === null) {
+      const error = new Error(`Free space of ${volume.path} is unknown; give an amount to free instead`);
+      error.status = 409;
+      throw error;
+    }
+    const bytesNeeded = bytes ?? Math.max(0, Math.ceil(volume.total * volume.threshold / 100 - volume.free));
+    const onVolume = (dir) => findVolume(volumes, dir) === volume;
 
-      // Check if below threshold
-      if (diskUsage.freePercent >= this.threshold) {
-        return { removed: 0, message: 'Disk space above threshold' };
+    let remaining = bytesNeeded;
+    const fromTrash = [];
+    for (const entry of trash.getEntries().reverse()) { // Oldest first, like purgeForSpace
+      if (remaining <= 0) break;
+      if (!onVolume(entry.download_dir)) continue;
+      fromTrash.push({ hashString: entry.hash_string, name: entry.name, owner: entry.owner_username, size: entry.total_size || 0 });
+      remaining -= entry.total_size || 0;
+    }
+
+    const cleanupTorrents = await this.getCleanupTorrents();
+    const overQuota = this.getOverQuotaOwners(cleanupTorrents);
+    const all = cleanupTorrents.filter(t => onVolume(t.downloadDir));
+    const candidates = orderCandidates(all, policy, Date.now(), overQuota);
+    const torrents = [];
+    for (const torrent of candidates) {
+      if (remaining <= 0) break;
+      const size = bytesOnDisk(torrent);
+      torrents.push({
+        id: torrent.id,
+        hashString: torrent.hashString,
+        name: torrent.name,
+        owner: torrent.owner,
+        over_quota: overQuota.has(torrent.owner_id),
+        size,
+        ratio: torrent.uploadRatio,
+        added_date: torrent.addedDate,
+        activity_date: torrent.activityDate,
+        done_date: torrent.doneDate
+      });
+      remaining -= size;
+    }
+
+    return {
+      volume,
+      policy,
+      bytes_needed: bytesNeeded,
+      bytes_freed: bytesNeeded - remaining,
+      sufficient: remaining <= 0,
+      eligible_count: candidates.length,
+      // Torrents the policy keeps, by reason (incomplete, blocked, retention, ratio)
+      protected: all.reduce((counts, torrent) => {
+        const reason = protectionReason(torrent, policy);
+        if (reason) counts[reason] = (counts[reason] || 0) + 1;
+        return counts;
+      }, {}),
+      trash: fromTrash,
+      torrents
+    };
+  }
+
+  // Free space on one volume: purge its trash, then remove torrents in the
+  // policy's order until it is back above its critical threshold
+  async freeVolume(volume, volumes, policy) {
+    const onVolume = (dir) => findVolume(volumes, dir) === volume;
+    // Stop when the volume is fine again - or can no longer be read: never
+    // keep deleting without knowing the free space
+    const hasEnoughSpace = async () => {
+      const current = await measureVolume(volume);
+      if (current.status === 'unknown') {
+        console.error(`Lost track of free space on ${volume.path}, stopping auto-removal: ${current.error}`);
+        return true;
+      }
+      return current.status !== 'critical';
+    };
+
+    // Empty the trash first (oldest first): those torrents were already given up
+    const purged = await trash.purgeForSpace(hasEnoughSpace, entry => onVolume(entry.download_dir));
+    if (purged.length > 0) {
+      console.log(`Purged ${purged.length} torrent(s) from trash early to free space on ${volume.path}`);
+      if (await hasEnoughSpace()) {
+        return { purged, removed: [] };
+      }
+    }
+
+    const candidates = await this.getAutoRemovalCandidates(volume, volumes, policy);
+    if (candidates.length === 0) {
+      console.error(`No torrents on ${volume.path} available for auto-removal!`);
+      return { purged, removed: [] };
+    }
+
+    const removed = [];
+    for (const torrent of candidates) {
+      try {
+        // Remove torrent with data - keeping it would not free any space
+        await transmissionService.removeTorrent(torrent.id, true);
+        torrentMetadata.deleteTorrentMetadata(torrent.hashString);
+
+        removed.push({
+          id: torrent.id,
+          hashString: torrent.hashString,
+          name: torrent.name,
+          size: torrent.totalSize,
+          owner_id: torrent.owner_id,
+          owner_username: torrent.owner
+        });
+
+        console.log(`Removed: ${torrent.name} (${this.formatBytes(torrent.totalSize)})`);
+
+        if (await hasEnoughSpace()) {
+          break;
+        }
+      } catch (error) {
+        console.error(`Failed to remove torrent ${torrent.id}:`, error);
+      }
+    }
+    return { purged, removed };
+  }
+
+  // Stop downloads writing to a volume that runs out of space
+  async pauseDownloads(volume, volumeOf) {
+    const torrents = trash.withoutTrashed(await transmissionService.getTorrents());
+    // Unfinished torrents stopped by a pause_all profile or for their
+    // owner's quota would start downloading when that ends, so they are
+    // taken over as well
+    const heldElsewhere = new Set([
+      ...bandwidthScheduler.getPausedHashes(),
+      ...Object.keys(getState(QUOTA_PAUSED_KEY, {}))
+    ]);
+    const downloading = torrents.filter(t => volumeOf(t) === volume && (
+      DOWNLOAD_STATUSES.includes(t.status) ||
+      (t.status === 0 && t.percentDone < 1 && heldElsewhere.has(t.hashString) && !this.isPaused(t.hashString))
+    ));
+    if (downloading.length === 0) return [];
+
+    // Remember what we paused so only those torrents are resumed later
+    const paused = getState(PAUSED_KEY, {});
+    for (const torrent of downloading) {
+      paused[torrent.hashString] = volume.path;
+    }
+    setState(PAUSED_KEY, paused);
+    await transmissionService.stopTorrent(downloading.map(t => t.id));
+    console.warn(`Paused ${downloading.length} download(s) on ${volume.path} (below ${volume.warning_threshold}% free)`);
+    return downloading;
+  }
+
+  isPaused(hashString) {
+    return hashString in getState(PAUSED_KEY, {});
+  }
+
+  // Restart paused downloads whose volume is above its warning threshold
+  // again. During a pause_all profile they are handed to the bandwidth
+  // scheduler instead, which resumes them when the profile ends.
+  async resumeDownloads(volumeOf) {
+    const paused = getState(PAUSED_KEY, {});
+    const quotaPaused = getState(QUOTA_PAUSED_KEY, {});
+    if (Object.keys(paused).length === 0) return [];
+
+    const torrents = await transmissionService.getTorrents();
+    const torrentsByHash = new Map(torrents.map(t => [t.hashString, t]));
+    const trashed = trash.getTrashedHashes();
+    const resume = [];
+    for (const hash of Object.keys(paused)) {
+      const torrent = torrentsByHash.get(hash);
+      if (!torrent || trashed.has(hash) || torrent.status !== 0) {
+        // Removed, trashed or already started by hand
+        delete paused[hash];
+      } else if (volumeOf(torrent)?.status === 'ok') {
+        // Still past its owner's size quota: that pause takes over
+        if (!(hash in quotaPaused)) {
+          resume.push(torrent);
+        }
+        delete paused[hash];
       }
+    }
 
-      console.warn(`⚠️  Disk space below ${this.threshold}% threshold! Starting auto-removal...`);
+    setState(PAUSED_KEY, paused);
+    if (resume.length > 0 && bandwidthScheduler.isPausingAll()) {
+      bandwidthScheduler.holdPaused(resume.map(t => t.hashString));
+      console.log(`Disk space recovered; ${resume.length} download(s) stay paused until the bandwidth pause ends`);
+      return [];
+    }
+    if (resume.length > 0) {
+      await transmissionService.startTorrent(resume.map(t => t.id));
+      console.log(`Resumed ${resume.length} download(s) after disk space recovered`);
+    }
+    return resume;
+  }
+
+  // Stop downloads that don't fit their owner's size quota (see
+  // storageUsage.beyondSizeQuota) and restart the ones that fit again, e.g.
+  // after the owner removed torrents or got a larger quota. Those still paused
+  // for lack of space are left to resumeDownloads.
+  async enforceSizeQuotas() {
+    const torrents = await this.getCleanupTorrents();
+    const beyond = storageUsage.beyondSizeQuota(torrents);
+    const previous = getState(QUOTA_PAUSED_KEY, {});
+    const heldByScheduler = bandwidthScheduler.getPausedHashes();
 
-      const candidates = await this.getAutoRemovalCandidates();
-      
-      if (candidates.length === 0) {
-        console.error('No torrents available for auto-removal!');
-        return { removed: 0, message: 'No eligible torrents to remove' };
+    const held = {};
+    const pause = [];
+    for (const torrent of torrents) {
+      const hash = torrent.hashString;
+      if (!(hash in beyond)) continue;
+      // Downloading, or stopped by a pause that would start it again later
+      const downloading = DOWNLOAD_STATUSES.includes(torrent.status);
+      const stoppedByPause = torrent.status === 0 && (heldByScheduler.has(hash) || this.isPaused(hash));
+      if (downloading || stoppedByPause || hash in previous) {
+        held[hash] = beyond[hash];
       }
+      if (downloading) {
+        pause.push(torrent);
+      }
+    }
+
+    // No longer past the quota; removed, trashed and finished torrents are
+    // simply forgotten (trashed ones aren't in the list)
+    const release = torrents.filter(t =>
+      t.hashString in previous && !(t.hashString in held) && t.status === 0 && t.percentDone < 1 &&
+      !this.isPaused(t.hashString)
+    );
 
+    setState(QUOTA_PAUSED_KEY, held);
+    if (pause.length > 0) {
+      await transmissionService.stopTorrent(pause.map(t => t.id));
+      console.warn(`Paused ${pause.length} download(s) that don't fit their owner's storage quota`);
+    }
+    if (release.length > 0 && bandwidthScheduler.isPausingAll()) {
+      bandwidthScheduler.holdPaused(release.map(t => t.hashString));
+      console.log(`${release.length} download(s) fit their storage quota again; they stay paused until the bandwidth pause ends`);
+      return { paused: pause, resumed: [] };
+    }
+    if (release.length > 0) {
+      await transmissionService.startTorrent(release.map(t => t.id));
+      console.log(`Resumed ${release.length} download(s) that fit their storage quota again`);
+    }
+    return { paused: pause, resumed: release };
+  }
+
+  // Check every volume and react by tier: below the warning threshold
+  // downloads on it are paused (and adds refused, see checkAddAllowed), below
+  // the critical one torrents are removed as well. Paused downloads resume
+  // once their volume recovers. Volumes whose free space is unknown are left
+  // alone. Downloads past their owner's size quota are paused as well (see
+  // enforceSizeQuotas). Every critical-tier cleanup is recorded in the disk
+  // history (trigger: startup, schedule or manual). One that removed nothing
+  // only when run by hand, when the volume just became critical or when the
+  // last run did remove something, so a volume stuck at critical doesn't add
+  // a row every check.
+  async checkStorage(trigger = 'schedule') {
+    try {
+      const volumes = await getVolumes();
+      this.volumes = volumes;
+      this.checkedAt = Date.now();
+
+      const session = await transmissionService.getServerStats();
+      const volumeOf = (torrent) => findVolume(volumes, dataDirectory(torrent, session));
+      const policy = this.getPolicy();
+      const paused = [];
       const removed = [];
-      
-      for (const torrent of candidates) {
-        try {
-          // Remove torrent with data
-          await transmissionService.removeTorrent(torrent.id, true);
-          torrentMetadata.deleteTorrentMetadata(torrent.hashString);
-
-          removed.push({
-            id: torrent.id,
-            name: torrent.name,
-            size: torrent.totalSize
-          });
-
-          console.log(`Removed: ${torrent.name} (${this.formatBytes(torrent.totalSize)})`);
-
-          // Check if we're above threshold now
-          const newDiskUsage = await this.getDiskUsage(downloadDir);
-          if (newDiskUsage.freePercent >= this.threshold) {
-            console.log(`✓ Disk space recovered: ${newDiskUsage.freePercent.toFixed(2)}% free`);
-            break;
+      let purgedCount = 0;
+      const idle = new Set(getState(IDLE_CLEANUP_KEY, []));
+
+      for (const volume of volumes) {
+        if (volume.status === 'unknown') {
+          console.warn(`Disk usage of ${volume.path} unavailable, skipping: ${volume.error}`);
+          continue;
+        }
+        console.log(`Disk usage of ${volume.path}: ${volume.free_percent.toFixed(2)}% free`);
+        if (volume.status !== 'critical') {
+          idle.delete(volume.path);
+        }
+        if (volume.status === 'ok') {
+          continue;
+        }
+
+        paused.push(...await this.pauseDownloads(volume, volumeOf));
+
+        if (volume.status === 'critical') {
+          console.warn(`⚠️  ${volume.path} below ${volume.threshold}% threshold! Starting auto-removal (strategy: ${policy.strategy})...`);
+          const startedAt = new Date().toISOString();
+          const result = await this.freeVolume(volume, volumes, policy);
+          removed.push(...result.removed);
+          purgedCount += result.purged.length;
+
+          const after = await measureVolume(volume);
+          if (after.status !== 'critical' && after.status !== 'unknown') {
+            console.log(`✓ Disk space recovered on ${volume.path}: ${after.free_percent.toFixed(2)}% free`);
+          }
+
+          const removals = [
+            ...result.purged.filter(Boolean).map(entry => ({
+              hashString: entry.hash_string,
+              name: entry.name,
+              size: entry.total_size,
+              owner_id: entry.owner_id,
+              owner_username: entry.owner_username,
+              from_trash: true
+            })),
+            ...result.removed
+          ];
+          if (removals.length > 0 || trigger === 'manual' || !idle.has(volume.path)) {
+            diskHistory.recordRun({
+              volume_path: volume.path,
+              triggered_by: trigger,
+              strategy: policy.strategy,
+              threshold: volume.threshold,
+              total_bytes: volume.total,
+              free_before: volume.free,
+              free_after: after.free,
+              started_at: startedAt,
+              finished_at: new Date().toISOString()
+            }, removals);
+          }
+          if (removals.length > 0) {
+            idle.delete(volume.path);
+          } else {
+            idle.add(volume.path);
           }
-        } catch (error) {
-          console.error(`Failed to remove torrent ${torrent.id}:`, error);
         }
       }
 
+      setState(IDLE_CLEANUP_KEY, [...idle]);
+
+      const quota = await this.enforceSizeQuotas();
+      paused.push(...quota.paused);
+      const resumed = [...quota.resumed, ...await this.resumeDownloads(volumeOf)];
+
+      if (removed.length === 0 && purgedCount === 0 && paused.length === 0 && resumed.length === 0) {
+        return { removed: 0, message: 'Disk space above threshold' };
+      }
       return {
         removed: removed.length,
         torrents: removed,
-        message: `Removed ${removed.length} torrent(s)`
+        purged_from_trash: purgedCount,
+        paused: paused.length,
+        resumed: resumed.length,
+        message: `Removed ${removed.length} torrent(s), paused ${paused.length}, resumed ${resumed.length}`
       };
     } catch (error) {
-      console.error('Error in auto-removal:', error);
+      console.error('Error in disk check:', error);
       throw error;
     }
   }
 
+  // Run a check unless one is already in progress
+  checkOnce(trigger) {
+    if (!this.checking) {
+      this.checking = this.checkStorage(trigger).finally(() => {
+        this.checking = null;
+      });
+    }
+    return this.checking;
+  }
+
   formatBytes(bytes) {
     if (!bytes) return '0 B';
     const k = 1024;
@@ -140,12 +526,12 @@ class DiskMonitor {
 
     // Check immediately on startup (after 30 seconds)
     setTimeout(() => {
-      this.autoRemoveOldestTorrents().catch(console.error);
+      this.checkOnce('startup').catch(console.error);
     }, 30000);
 
     // Schedule periodic checks
     cron.schedule(`*/${interval} * * * *`, () => {
-      this.autoRemoveOldestTorrents().catch(console.error);
+      this.checkOnce('schedule').catch(console.error);
     });
   }
 }
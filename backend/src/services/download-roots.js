@@ -0,0 +1,52 @@
+import path from 'path';
+import transmissionService from './transmission.js';
+import categories from './categories.js';
+
+// Directories users may pick as download location when adding a torrent.
+// Approved roots are the daemon's default download directory, every category
+// directory and any extra roots listed in DOWNLOAD_ROOTS (comma-separated).
+// A location must be one of these roots or a directory below one.
+
+function normalizeDir(dir) {
+  return path.posix.normalize(dir).replace(/(.)\/+$/, '$1');
+}
+
+function configuredRoots() {
+  return (process.env.DOWNLOAD_ROOTS || '')
+    .split(',')
+    .map(dir => dir.trim())
+    .filter(Boolean);
+}
+
+export async function getDownloadRoots() {
+  const session = await transmissionService.getServerStats();
+  const roots = [
+    session['download-dir'],
+    ...categories.getCategories().map(category => category.download_dir),
+    ...configuredRoots()
+  ];
+  return [...new Set(roots.filter(dir => dir && path.posix.isAbsolute(dir)).map(normalizeDir))];
+}
+
+// Validate a requested download directory. Throws (status 400) when it is not
+// inside an approved root, returns the normalized path otherwise.
+export async function assertAllowedDownloadDir(dir) {
+  if (!path.posix.isAbsolute(dir) || dir.includes('\0')) {
+    const error = new Error('Download location must be an absolute path');
+    error.status = 400;
+    throw error;
+  }
+
+  // normalize() resolves "..", so a path can't climb out of its root
+  const normalized = normalizeDir(dir);
+  const roots = await getDownloadRoots();
+  const allowed = roots.some(root =>
+    normalized === root || normalized.startsWith(root === '/' ? '/' : `${root}/`)
+  );
+  if (!allowed) {
+    const error = new Error('Download location is outside the approved directories');
+    error.status = 400;
+    throw error;
+  }
+  return normalized;
+}
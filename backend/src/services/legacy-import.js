@@ -0,0 +1,95 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDatabase } from '../db/init.js';
+import torrentMetadata from './torrent-metadata.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// One-time import of the JSON files used before ownership metadata and RSS
+// state moved into SQLite. Each file is imported in a single transaction and
+// then renamed to <file>.imported so it is never imported twice.
+
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    console.error(`Cannot import ${filePath}: ${err.message}`);
+    return null;
+  }
+}
+
+function markImported(filePath) {
+  fs.renameSync(filePath, `${filePath}.imported`);
+}
+
+function importTorrentMetadata(filePath) {
+  const data = readJson(filePath);
+  if (!data) return;
+
+  // Use the service's own connection so its writes are part of the transaction
+  const db = torrentMetadata.getDb();
+  const entries = Object.entries(data.torrents || {});
+  db.transaction(() => {
+    for (const [hashString, meta] of entries) {
+      torrentMetadata.write(hashString, meta);
+    }
+  })();
+
+  markImported(filePath);
+  console.log(`Imported ${entries.length} torrent metadata entries from ${filePath}`);
+}
+
+function importFeeds(db, filePath) {
+  const data = readJson(filePath);
+  if (!data) return;
+
+  const feeds = data.feeds || [];
+  const seenItems = Object.entries(data.seenItems || {});
+
+  const insertFeed = db.prepare(`
+    INSERT OR IGNORE INTO rss_feeds (id, url, regex, min_size, max_size, category, added_at, last_poll, matched_count)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const insertSeen = db.prepare(`
+    INSERT OR IGNORE INTO rss_seen_items (item_hash, feed_id, seen_at)
+    VALUES (?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    for (const feed of feeds) {
+      insertFeed.run(
+        feed.id,
+        feed.url,
+        feed.rules?.regex || '.*',
+        feed.rules?.minSize || 0,
+        feed.rules?.maxSize || Number.MAX_SAFE_INTEGER,
+        feed.rules?.category || '',
+        feed.added_at || null,
+        feed.last_poll || null,
+        feed.matched_count || 0
+      );
+    }
+    for (const [hash, item] of seenItems) {
+      insertSeen.run(hash, item.feed_id ?? null, item.seen_at || null);
+    }
+  })();
+
+  markImported(filePath);
+  console.log(`Imported ${feeds.length} RSS feeds and ${seenItems.length} seen items from ${filePath}`);
+}
+
+export function importLegacyJson() {
+  importTorrentMetadata(process.env.METADATA_PATH || path.join(__dirname, '../../data/torrent-metadata.json'));
+
+  const db = getDatabase();
+  try {
+    importFeeds(db, process.env.FEEDS_PATH || path.join(__dirname, '../../data/rss-feeds.json'));
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,213 @@
+import cron from 'node-cron';
+import { getDatabase } from '../db/init.js';
+import transmissionService from './transmission.js';
+import torrentMetadata from './torrent-metadata.js';
+import { getState, setState } from './app-state.js';
+import { getTrackerHosts } from './torrent-view.js';
+
+const MISSING_KEY = 'reconcile_missing_since';
+const REPORT_KEY = 'reconcile_last_report';
+
+export const RULE_TYPES = ['download_dir', 'tracker'];
+
+function ruleMatches(rule, torrent) {
+  if (rule.match_type === 'download_dir') {
+    const prefix = rule.pattern.replace(/\/+$/, '');
+    const dir = (torrent.downloadDir || '').replace(/\/+$/, '');
+    return dir === prefix || dir.startsWith(`${prefix}/`);
+  }
+  if (rule.match_type === 'tracker') {
+    const pattern = rule.pattern.toLowerCase();
+    return getTrackerHosts(torrent.trackers).some(host => host === pattern || host.endsWith(`.${pattern}`));
+  }
+  return false;
+}
+
+// Periodic reconciliation between the daemon and torrent metadata:
+//  - orphans: torrents without an owner (added outside the frontend), auto-assigned by rules
+//  - stale metadata: entries for torrents that no longer exist, purged after a grace period
+// so a daemon that briefly reports an empty list doesn't wipe all ownership.
+class Reconciler {
+  constructor() {
+    this.db = null;
+    this.staleGraceHours = parseFloat(process.env.RECONCILE_STALE_GRACE_HOURS || '24');
+    this.running = null;
+    this.startReconciling();
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+    }
+    return this.db;
+  }
+
+  // --- Rules ---
+
+  getRules() {
+    return this.getDb().prepare(`
+      SELECT r.*, u.username
+      FROM ownership_rules r
+      JOIN users u ON r.user_id = u.id
+      ORDER BY r.id
+    `).all();
+  }
+
+  createRule(matchType, pattern, userId) {
+    const result = this.getDb().prepare(`
+      INSERT INTO ownership_rules (match_type, pattern, user_id)
+      VALUES (?, ?, ?)
+    `).run(matchType, pattern, userId);
+    return this.getRules().find(rule => rule.id === result.lastInsertRowid);
+  }
+
+  deleteRule(id) {
+    const result = this.getDb().prepare('DELETE FROM ownership_rules WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  // --- Orphans ---
+
+  // Torrents in the daemon without ownership metadata, with tracker hosts for rule matching
+  async getOrphans() {
+    const torrents = await transmissionService.getTorrents();
+    const metadata = torrentMetadata.getAllTorrentMetadata();
+    const orphans = torrents.filter(t => !metadata[t.hashString]);
+
+    // Same-tick detail requests are batched into one torrent-get
+    const details = await Promise.all(
+      orphans.map(t => transmissionService.getTorrentDetails(t.id, ['trackers']).catch(() => null))
+    );
+
+    return orphans.map((torrent, index) => ({
+      id: torrent.id,
+      hashString: torrent.hashString,
+      name: torrent.name,
+      downloadDir: torrent.downloadDir,
+      totalSize: torrent.totalSize,
+      addedDate: torrent.addedDate,
+      trackers: details[index]?.trackers || []
+    }));
+  }
+
+  // Assign (or reassign) torrents to a user; unknown hashes are skipped
+  async assignOwner(hashes, user, extraData = {}) {
+    const torrents = await transmissionService.getTorrents();
+    const known = new Set(torrents.map(t => t.hashString));
+    const assigned = [];
+
+    for (const hash of hashes) {
+      if (!known.has(hash)) continue;
+      if (torrentMetadata.getTorrentMetadata(hash)) {
+        torrentMetadata.updateTorrentMetadata(hash, {
+          owner_id: user.id,
+          owner_username: user.username,
+          ...extraData
+        });
+      } else {
+        torrentMetadata.setTorrentMetadata(hash, user.id, user.username, extraData);
+      }
+      assigned.push(hash);
+    }
+
+    return assigned;
+  }
+
+  // --- Reconciliation ---
+
+  async reconcile() {
+    const startedAt = new Date();
+    const torrents = await transmissionService.getTorrents();
+    const present = new Set(torrents.map(t => t.hashString));
+
+    // 1. Auto-assign orphans by rule (first matching rule wins)
+    const rules = this.getRules();
+    const orphans = await this.getOrphans();
+    const autoAssigned = [];
+
+    for (const orphan of orphans) {
+      const rule = rules.find(r => ruleMatches(r, orphan));
+      if (!rule) continue;
+      torrentMetadata.setTorrentMetadata(orphan.hashString, rule.user_id, rule.username, {
+        assigned_by_rule: rule.id
+      });
+      autoAssigned.push({
+        hashString: orphan.hashString,
+        name: orphan.name,
+        username: rule.username,
+        rule_id: rule.id
+      });
+    }
+
+    // 2. Purge metadata of torrents that have been gone longer than the grace period
+    const metadata = torrentMetadata.getAllTorrentMetadata();
+    const previouslyMissing = getState(MISSING_KEY, {});
+    const missingSince = {};
+    const purged = [];
+    const graceMs = this.staleGraceHours * 60 * 60 * 1000;
+
+    for (const [hash, meta] of Object.entries(metadata)) {
+      if (present.has(hash)) continue;
+
+      const since = previouslyMissing[hash] || startedAt.toISOString();
+      if (startedAt - new Date(since) >= graceMs) {
+        torrentMetadata.deleteTorrentMetadata(hash);
+        purged.push({
+          hashString: hash,
+          owner_username: meta.owner_username,
+          added_at: meta.added_at,
+          missing_since: since
+        });
+      } else {
+        missingSince[hash] = since;
+      }
+    }
+    setState(MISSING_KEY, missingSince);
+
+    const report = {
+      ran_at: startedAt.toISOString(),
+      torrents: torrents.length,
+      orphans: orphans.length - autoAssigned.length,
+      auto_assigned: autoAssigned,
+      purged,
+      pending_purge: Object.keys(missingSince).length
+    };
+    setState(REPORT_KEY, report);
+
+    if (autoAssigned.length || purged.length) {
+      console.log(`Reconciliation: ${autoAssigned.length} orphan(s) auto-assigned, ${purged.length} stale metadata entr${purged.length === 1 ? 'y' : 'ies'} purged`);
+    }
+    return report;
+  }
+
+  // Run now unless a run is already in progress
+  runOnce() {
+    if (!this.running) {
+      this.running = this.reconcile().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  getLastReport() {
+    return getState(REPORT_KEY);
+  }
+
+  startReconciling() {
+    const interval = parseInt(process.env.RECONCILE_INTERVAL || '15');
+    console.log(`Starting torrent reconciliation every ${interval} minutes`);
+
+    setTimeout(() => {
+      this.runOnce().catch(err => console.error('Reconciliation failed:', err.message));
+    }, 60000);
+
+    cron.schedule(`*/${interval} * * * *`, () => {
+      this.runOnce().catch(err => console.error('Reconciliation failed:', err.message));
+    });
+  }
+}
+
+// Singleton instance
+const reconciler = new Reconciler();
+export default reconciler;
@@ -1,122 +1,81 @@
 import FeedParser from 'feedparser';
 import fetch from 'node-fetch';
-import fs from 'fs';
-import path from 'path';
 import crypto from 'crypto';
-import dns from 'dns';
-import { fileURLToPath } from 'url';
-import { promisify } from 'util';
 import cron from 'node-cron';
+import { getDatabase } from '../db/init.js';
 import transmissionService from './transmission.js';
 import torrentMetadata from './torrent-metadata.js';
-
-const dnsLookup = promisify(dns.lookup);
-
-// Security: Block private/internal IP ranges to prevent SSRF
-const PRIVATE_IP_RANGES = [
-  /^127\./,                    // Loopback
-  /^10\./,                     // Private Class A
-  /^172\.(1[6-9]|2[0-9]|3[0-1])\./, // Private Class B
-  /^192\.168\./,               // Private Class C
-  /^169\.254\./,               // Link-local
-  /^0\./,                      // Current network
-  /^224\./,                    // Multicast
-  /^240\./,                    // Reserved
-  /^::1$/,                     // IPv6 loopback
-  /^fe80:/i,                   // IPv6 link-local
-  /^fc00:/i,                   // IPv6 unique local
-  /^fd00:/i,                   // IPv6 unique local
-];
-
-function isPrivateIP(ip) {
-  return PRIVATE_IP_RANGES.some(regex => regex.test(ip));
+import categories from './categories.js';
+import diskMonitor from './disk-monitor.js';
+import storageUsage, { RSS_OWNER_ID } from './storage-usage.js';
+import { assertPublicHttpUrl } from './url-guard.js';
+
+// Database row -> feed object (same shape the JSON file used to have)
+function toFeed(row) {
+  if (!row) return undefined;
+  return {
+    id: row.id,
+    url: row.url,
+    rules: {
+      regex: row.regex,
+      minSize: row.min_size,
+      maxSize: row.max_size,
+      category: row.category
+    },
+    added_at: row.added_at,
+    last_poll: row.last_poll,
+    matched_count: row.matched_count
+  };
 }
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 class RSSManager {
   constructor() {
-    const feedsPath = process.env.FEEDS_PATH || path.join(__dirname, '../../data/rss-feeds.json');
-    this.feedsPath = feedsPath;
-    const feedsDir = path.dirname(feedsPath);
-    
-    if (!fs.existsSync(feedsDir)) {
-      fs.mkdirSync(feedsDir, { recursive: true });
-    }
-
-    this.initFeeds();
+    this.db = null;
     this.startPolling();
   }
 
-  initFeeds() {
-    if (!fs.existsSync(this.feedsPath)) {
-      this.save({ feeds: [], seenItems: {}, nextId: 1 });
-    }
-  }
-
-  load() {
-    try {
-      const data = fs.readFileSync(this.feedsPath, 'utf8');
-      return JSON.parse(data);
-    } catch (err) {
-      console.error(`Failed to load RSS feeds: ${err.message}`);
-      console.log('Initializing with empty feeds...');
-      return { feeds: [], seenItems: {}, nextId: 1 };
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
     }
-  }
-
-  save(data) {
-    fs.writeFileSync(this.feedsPath, JSON.stringify(data, null, 2), 'utf8');
+    return this.db;
   }
 
   // Add new feed
   addFeed(url, rules = {}) {
-    const data = this.load();
-    
-    const feed = {
-      id: data.nextId++,
+    const result = this.getDb().prepare(`
+      INSERT INTO rss_feeds (url, regex, min_size, max_size, category, added_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
       url,
-      rules: {
-        regex: rules.regex || '.*',
-        minSize: rules.minSize || 0,
-        maxSize: rules.maxSize || Number.MAX_SAFE_INTEGER,
-        category: rules.category || ''
-      },
-      added_at: new Date().toISOString(),
-      last_poll: null,
-      matched_count: 0
-    };
+      rules.regex || '.*',
+      rules.minSize || 0,
+      rules.maxSize || Number.MAX_SAFE_INTEGER,
+      rules.category || '',
+      new Date().toISOString()
+    );
     
-    data.feeds.push(feed);
-    this.save(data);
-    
-    return feed;
+    return this.getFeed(result.lastInsertRowid);
   }
 
   // Get all feeds
   getFeeds() {
-    const data = this.load();
-    return data.feeds;
+    return this.getDb().prepare('SELECT * FROM rss_feeds ORDER BY id').all().map(toFeed);
   }
 
   // Get feed by ID
   getFeed(id) {
-    const data = this.load();
-    return data.feeds.find(f => f.id === id);
+    return toFeed(this.getDb().prepare('SELECT * FROM rss_feeds WHERE id = ?').get(id));
   }
 
   // Update feed
   updateFeed(id, updates) {
-    const data = this.load();
-    const feedIndex = data.feeds.findIndex(f => f.id === id);
+    const feed = this.getFeed(id);
     
-    if (feedIndex === -1) {
+    if (!feed) {
       throw new Error('Feed not found');
     }
 
-    const feed = data.feeds[feedIndex];
-    
     if (updates.url) feed.url = updates.url;
     if (updates.rules) {
       feed.rules = {
@@ -127,22 +86,22 @@ class RSSManager {
       };
     }
 
-    this.save(data);
+    this.getDb().prepare(`
+      UPDATE rss_feeds SET url = ?, regex = ?, min_size = ?, max_size = ?, category = ?
+      WHERE id = ?
+    `).run(feed.url, feed.rules.regex, feed.rules.minSize, feed.rules.maxSize, feed.rules.category, id);
+
     return feed;
   }
 
   // Delete feed
   deleteFeed(id) {
-    const data = this.load();
-    const feedIndex = data.feeds.findIndex(f => f.id === id);
+    const result = this.getDb().prepare('DELETE FROM rss_feeds WHERE id = ?').run(id);
     
-    if (feedIndex === -1) {
+    if (result.changes === 0) {
       throw new Error('Feed not found');
     }
     
-    data.feeds.splice(feedIndex, 1);
-    this.save(data);
-    
     return true;
   }
 
@@ -150,26 +109,8 @@ class RSSManager {
   async parseFeed(url) {
     return new Promise(async (resolve, reject) => {
       try {
-        // Parse and validate URL
-        const parsedUrl = new URL(url);
-        
-        // Only allow http and https protocols
-        if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-          throw new Error('Only HTTP and HTTPS URLs are allowed');
-        }
-
-        // Resolve hostname to IP and check for private IPs (SSRF protection)
-        try {
-          const { address } = await dnsLookup(parsedUrl.hostname);
-          if (isPrivateIP(address)) {
-            throw new Error('Access to private/internal networks is not allowed');
-          }
-        } catch (dnsError) {
-          if (dnsError.message.includes('private')) {
-            throw dnsError;
-          }
-          throw new Error(`DNS lookup failed: ${dnsError.message}`);
-        }
+        // Validate protocol and block private/internal hosts (SSRF protection)
+        await assertPublicHttpUrl(url);
 
         // Create abort controller for timeout
         const controller = new AbortController();
@@ -281,24 +222,20 @@ class RSSManager {
 
   // Check if item was seen before
   wasItemSeen(hash) {
-    const data = this.load();
-    return !!data.seenItems[hash];
+    return !!this.getDb().prepare('SELECT 1 FROM rss_seen_items WHERE item_hash = ?').get(hash);
   }
 
   // Mark item as seen
   markItemSeen(hash, feedId) {
-    const data = this.load();
-    data.seenItems[hash] = {
-      feed_id: feedId,
-      seen_at: new Date().toISOString()
-    };
-    this.save(data);
+    this.getDb().prepare(`
+      INSERT OR IGNORE INTO rss_seen_items (item_hash, feed_id, seen_at)
+      VALUES (?, ?, ?)
+    `).run(hash, feedId, new Date().toISOString());
   }
 
   // Poll single feed
   async pollFeed(feedId) {
-    const data = this.load();
-    const feed = data.feeds.find(f => f.id === feedId);
+    const feed = this.getFeed(feedId);
     
     if (!feed) {
       throw new Error('Feed not found');
@@ -313,6 +250,17 @@ class RSSManager {
       const existingTorrents = await transmissionService.getTorrents();
       const existingTorrentUrls = new Set(existingTorrents.map(t => t.magnetLink || t.name));
 
+      // Matches are added into the rule's category directory (by category name)
+      const category = feed.rules.category ? categories.getCategoryByName(feed.rules.category) : null;
+      if (feed.rules.category && !category) {
+        console.warn(`Feed ${feedId}: category "${feed.rules.category}" does not exist, using default download directory`);
+      }
+
+      // Refuse before any item is marked seen, so matches are picked up
+      // again once space is freed
+      await diskMonitor.checkAddAllowed(categories.addArgs(category)['download-dir']);
+      const guard = await storageUsage.quotaGuard(RSS_OWNER_ID);
+
       let skippedAlreadySeen = 0;
       let skippedNoMatch = 0;
       let skippedAlreadyExists = 0;
@@ -323,16 +271,19 @@ class RSSManager {
         const hash = this.getItemHash(item);
         
         // Skip if already seen
-        if (data.seenItems[hash]) {
+        if (this.wasItemSeen(hash)) {
           skippedAlreadySeen++;
           continue;
         }
 
-        // Mark as seen immediately in memory to prevent re-processing
-        data.seenItems[hash] = {
-          feed_id: feedId,
-          seen_at: new Date().toISOString()
-        };
+        // Same for the RSS quota: leave the rest unseen until there is room
+        if (!guard.hasRoom()) {
+          console.warn(`Feed ${feedId}: RSS storage quota reached, remaining items left for a later poll`);
+          break;
+        }
+
+        // Mark as seen immediately to prevent re-processing
+        this.markItemSeen(hash, feedId);
 
         // Check if matches rules
         const matchResult = this.matchesRules(item, feed.rules);
@@ -352,16 +303,33 @@ class RSSManager {
         }
         
         try {
+          // Checked against the RSS quota; the size isn't known up front
+          guard.check(0);
+
           // Add torrent
-          const torrent = await transmissionService.addTorrentUrl(matchResult.torrentUrl);
+          const torrent = await transmissionService.addTorrentUrl(
+            matchResult.torrentUrl,
+            categories.addArgs(category)
+          );
+
+          // Already in the daemon under another name: keep its owner
+          if (torrentMetadata.getTorrentMetadata(torrent.hashString)) {
+            console.log(`Skipping "${item.title}" - already exists in Transmission`);
+            skippedAlreadyExists++;
+            continue;
+          }
+          guard.charge(0);
           
           // Store metadata by hashString (mark as RSS-added by system)
           torrentMetadata.setTorrentMetadata(
             torrent.hashString,
             0, // system user ID
             'rss-auto',
-            { feed_id: feedId, feed_url: feed.url }
+            { feed_id: feedId, feed_url: feed.url, category_id: category?.id ?? null }
           );
+          if (category) {
+            await categories.applySeedingPolicy(torrent.id, category);
+          }
 
           results.push({
             success: true,
@@ -370,7 +338,7 @@ class RSSManager {
           });
 
           // Only increment matched_count when successfully added
-          feed.matched_count++;
+          this.getDb().prepare('UPDATE rss_feeds SET matched_count = matched_count + 1 WHERE id = ?').run(feedId);
           addedNew++;
         } catch (error) {
           results.push({
@@ -385,10 +353,7 @@ class RSSManager {
       console.log(`Feed ${feedId} poll summary: ${skippedAlreadySeen} already seen, ${skippedNoMatch} no match, ${skippedAlreadyExists} already exists, ${addedNew} newly added, ${failedToAdd} failed`);
 
       // Update last poll time
-      feed.last_poll = new Date().toISOString();
-      
-      // Save all changes at once (seenItems + matched_count + last_poll)
-      this.save(data);
+      this.getDb().prepare('UPDATE rss_feeds SET last_poll = ? WHERE id = ?').run(new Date().toISOString(), feedId);
 
       return results;
     } catch (error) {
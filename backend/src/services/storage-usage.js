@@ -0,0 +1,210 @@
+import { getDatabase } from '../db/init.js';
+import transmissionService from './transmission.js';
+import torrentMetadata from './torrent-metadata.js';
+import trash from './trash.js';
+import { bytesOnDisk } from './cleanup-strategies.js';
+
+// RSS matches are owned by this system user (see rss-manager)
+export const RSS_OWNER_ID = 0;
+
+function quotaError(message, quota) {
+  const error = new Error(message);
+  error.status = 403;
+  error.quota = quota;
+  return error;
+}
+
+function emptyUsage(ownerId, username) {
+  return {
+    owner_id: ownerId,
+    username,
+    torrents: 0,
+    bytes_on_disk: 0,
+    // Full size of the owner's torrents once complete - what quotas count
+    bytes_total: 0,
+    downloading: { count: 0, bytes: 0 },
+    seeding: { count: 0, bytes: 0 }
+  };
+}
+
+// Per-owner storage accounting and quotas. Usage is computed from the
+// daemon's torrents and the ownership metadata; trashed torrents don't count.
+// A quota limits the full size (not only what is downloaded so far) and the
+// number of an owner's torrents.
+class StorageUsage {
+  constructor() {
+    this.db = null;
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+    }
+    return this.db;
+  }
+
+  // Map owner_id -> { max_bytes, max_torrents } (null = no limit)
+  getQuotas() {
+    const rows = this.getDb().prepare('SELECT owner_id, max_bytes, max_torrents FROM storage_quotas').all();
+    return new Map(rows.map(row => [row.owner_id, { max_bytes: row.max_bytes, max_torrents: row.max_torrents }]));
+  }
+
+  getQuota(ownerId) {
+    return this.getQuotas().get(ownerId) || null;
+  }
+
+  // Set an owner's quota; both limits null removes it
+  setQuota(ownerId, { max_bytes = null, max_torrents = null }) {
+    if (max_bytes === null && max_torrents === null) {
+      this.getDb().prepare('DELETE FROM storage_quotas WHERE owner_id = ?').run(ownerId);
+      return null;
+    }
+    this.getDb().prepare(`
+      INSERT INTO storage_quotas (owner_id, max_bytes, max_torrents, updated_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(owner_id) DO UPDATE SET
+        max_bytes = excluded.max_bytes,
+        max_torrents = excluded.max_torrents,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(ownerId, max_bytes, max_torrents);
+    return { max_bytes, max_torrents };
+  }
+
+  // Usage per owner from torrents that carry owner_id (and owner) already
+  summarize(torrents) {
+    const usage = new Map();
+    for (const torrent of torrents) {
+      const ownerId = torrent.owner_id ?? null;
+      if (ownerId === null) continue;
+      if (!usage.has(ownerId)) {
+        usage.set(ownerId, emptyUsage(ownerId, torrent.owner ?? null));
+      }
+      const entry = usage.get(ownerId);
+      const onDisk = bytesOnDisk(torrent);
+      const bucket = torrent.percentDone === 1 ? entry.seeding : entry.downloading;
+      entry.torrents++;
+      entry.bytes_on_disk += onDisk;
+      entry.bytes_total += torrent.sizeWhenDone ?? torrent.totalSize ?? 0;
+      bucket.count++;
+      bucket.bytes += onDisk;
+    }
+    return usage;
+  }
+
+  // Owners over their quota (by size or count)
+  overQuotaOwners(usage, quotas = this.getQuotas()) {
+    const over = new Set();
+    for (const [ownerId, quota] of quotas) {
+      const entry = usage.get(ownerId);
+      if (entry && this.isOverQuota(entry, quota)) {
+        over.add(ownerId);
+      }
+    }
+    return over;
+  }
+
+  // Unfinished torrents past their owner's size quota ({ hashString: owner
+  // id }). Each owner's torrents are counted oldest first and every download
+  // that no longer fits is listed. This catches magnets and URLs, which are
+  // only sized once the daemon has their metadata.
+  beyondSizeQuota(torrents, quotas = this.getQuotas()) {
+    const owned = new Map();
+    for (const torrent of torrents) {
+      const ownerId = torrent.owner_id ?? null;
+      if (ownerId === null || (quotas.get(ownerId)?.max_bytes ?? null) === null) continue;
+      if (!owned.has(ownerId)) {
+        owned.set(ownerId, []);
+      }
+      owned.get(ownerId).push(torrent);
+    }
+
+    const beyond = {};
+    for (const [ownerId, ownerTorrents] of owned) {
+      const limit = quotas.get(ownerId).max_bytes;
+      let bytes = 0;
+      for (const torrent of ownerTorrents.sort((a, b) => a.addedDate - b.addedDate)) {
+        bytes += torrent.sizeWhenDone ?? torrent.totalSize ?? 0;
+        if (bytes > limit && torrent.percentDone < 1) {
+          beyond[torrent.hashString] = ownerId;
+        }
+      }
+    }
+    return beyond;
+  }
+
+  isOverQuota(usage, quota) {
+    return (quota.max_bytes !== null && usage.bytes_total > quota.max_bytes) ||
+      (quota.max_torrents !== null && usage.torrents > quota.max_torrents);
+  }
+
+  // Current usage of every owner, with quota and over_quota
+  async getUsage() {
+    const torrents = trash.withoutTrashed(await transmissionService.getTorrents());
+    const metadata = torrentMetadata.getAllTorrentMetadata();
+    const usage = this.summarize(torrents.map(t => ({
+      ...t,
+      owner_id: metadata[t.hashString]?.owner_id ?? null,
+      owner: metadata[t.hashString]?.owner_username ?? null
+    })));
+
+    const quotas = this.getQuotas();
+    for (const [ownerId, entry] of usage) {
+      const quota = quotas.get(ownerId) || null;
+      entry.quota = quota;
+      entry.over_quota = quota ? this.isOverQuota(entry, quota) : false;
+    }
+    return usage;
+  }
+
+  async getOwnerUsage(ownerId, username = null) {
+    const usage = (await this.getUsage()).get(ownerId);
+    if (usage) return usage;
+    return { ...emptyUsage(ownerId, username), quota: this.getQuota(ownerId), over_quota: false };
+  }
+
+  // Quota check for adding torrents one after another. check(bytes) throws
+  // (status 403) when one more torrent of that size would exceed the quota;
+  // hasRoom(bytes) only asks. Once the daemon has registered a new torrent,
+  // charge(bytes) counts it for the next checks (duplicates aren't charged).
+  // Unknown sizes (magnets) pass 0 and are refused once the size quota is
+  // used up; the disk monitor pauses them if they turn out not to fit.
+  async quotaGuard(ownerId) {
+    const quota = this.getQuota(ownerId);
+    if (!quota) {
+      return { quota: null, hasRoom: () => true, check() {}, charge() {} };
+    }
+
+    const usage = await this.getOwnerUsage(ownerId);
+    let bytes = usage.bytes_total;
+    let count = usage.torrents;
+
+    const problem = (size) => {
+      if (quota.max_torrents !== null && count + 1 > quota.max_torrents) {
+        return `Torrent quota reached (${count} of ${quota.max_torrents} torrents)`;
+      }
+      if (quota.max_bytes !== null && (bytes >= quota.max_bytes || bytes + size > quota.max_bytes)) {
+        return 'Storage quota exceeded: the torrent does not fit in the remaining quota';
+      }
+      return null;
+    };
+
+    return {
+      quota,
+      hasRoom: (size = 0) => problem(size) === null,
+      check(size = 0) {
+        const message = problem(size);
+        if (message) {
+          throw quotaError(message, quota);
+        }
+      },
+      charge(size = 0) {
+        count++;
+        bytes += size;
+      }
+    };
+  }
+}
+
+// Singleton instance
+const storageUsage = new StorageUsage();
+export default storageUsage;
@@ -0,0 +1,239 @@
+import path from 'path';
+import { stat, statfs } from 'fs/promises';
+import transmissionService from './transmission.js';
+import categories from './categories.js';
+import { getState, setState } from './app-state.js';
+
+// Storage volumes the daemon writes to. Directories come from the session
+// (download-dir, incomplete-dir), every category and any torrent location
+// outside those. Directories on the same local filesystem are merged into one
+// volume. Space is read from Transmission's free-space RPC (the daemon may
+// run elsewhere) and statfs; when neither answers the volume is reported as
+// unknown - never guessed.
+//
+// Each volume has two thresholds (percent free): below the warning threshold
+// downloads are paused and new torrents refused, below the critical one the
+// disk monitor removes torrents.
+
+const THRESHOLDS_KEY = 'disk_volume_thresholds';
+
+export const DEFAULT_THRESHOLD = parseFloat(process.env.DISK_THRESHOLD || '10');
+export const DEFAULT_WARNING_THRESHOLD = parseFloat(process.env.DISK_WARNING_THRESHOLD || '15');
+
+// Statuses from best to worst
+const STATUS_RANK = { ok: 0, unknown: 1, warning: 2, critical: 3 };
+
+function normalizeDir(dir) {
+  return path.posix.normalize(dir).replace(/(.)\/+$/, '$1');
+}
+
+function isWithin(dir, root) {
+  return dir === root || dir.startsWith(root === '/' ? '/' : `${root}/`);
+}
+
+// Per-volume thresholds ({ threshold, warning_threshold }, percent free),
+// keyed by the volume's path
+export function getThresholds() {
+  const thresholds = getState(THRESHOLDS_KEY, {});
+  for (const [dir, value] of Object.entries(thresholds)) {
+    // Older settings only had the removal threshold
+    if (typeof value === 'number') {
+      thresholds[dir] = { threshold: value };
+    }
+  }
+  return thresholds;
+}
+
+// Change the thresholds of a volume; null resets one to its default
+// (DISK_THRESHOLD / DISK_WARNING_THRESHOLD)
+export function setThresholds(volumePath, changes) {
+  const thresholds = getThresholds();
+  const current = { ...thresholds[volumePath] };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete current[key];
+    } else {
+      current[key] = value;
+    }
+  }
+  if (Object.keys(current).length === 0) {
+    delete thresholds[volumePath];
+  } else {
+    thresholds[volumePath] = current;
+  }
+  setState(THRESHOLDS_KEY, thresholds);
+  return thresholds;
+}
+
+// The worse of two statuses
+export function worseStatus(a, b) {
+  return STATUS_RANK[b] > STATUS_RANK[a] ? b : a;
+}
+
+// Directories in use, each with what it is used for
+async function discoverDirectories() {
+  const session = await transmissionService.getServerStats();
+  const dirs = new Map();
+  const add = (dir, use) => {
+    if (!dir || !path.posix.isAbsolute(dir)) return;
+    const normalized = normalizeDir(dir);
+    if (!dirs.has(normalized)) dirs.set(normalized, []);
+    if (!dirs.get(normalized).includes(use)) dirs.get(normalized).push(use);
+  };
+
+  add(session['download-dir'], 'Default download directory');
+  if (session['incomplete-dir-enabled']) {
+    add(session['incomplete-dir'], 'Incomplete downloads');
+  }
+  for (const category of categories.getCategories()) {
+    add(category.download_dir, `Category: ${category.name}`);
+  }
+
+  // Torrents moved or added elsewhere by hand
+  const known = [...dirs.keys()];
+  for (const torrent of await transmissionService.getTorrents()) {
+    const dir = torrent.downloadDir && normalizeDir(torrent.downloadDir);
+    if (dir && !known.some(root => isWithin(dir, root))) {
+      add(dir, 'Torrent location');
+    }
+  }
+  return dirs;
+}
+
+// Space of one directory: { source, total, free } or { error } when unavailable.
+// The daemon's answer wins when it includes the total size (Transmission 4+).
+export async function measureDirectory(dir) {
+  const [daemon, local] = await Promise.allSettled([
+    transmissionService.getFreeSpace(dir),
+    statfs(dir)
+  ]);
+
+  const daemonFree = daemon.status === 'fulfilled' ? daemon.value['size-bytes'] : undefined;
+  const daemonTotal = daemon.status === 'fulfilled' ? daemon.value.total_size : undefined;
+  // Transmission reports -1 when it can't read the directory
+  const daemonOk = Number.isFinite(daemonFree) && daemonFree >= 0;
+
+  if (daemonOk && daemonTotal > 0) {
+    return { source: 'transmission', total: daemonTotal, free: daemonFree };
+  }
+  if (local.status === 'fulfilled' && local.value.blocks > 0) {
+    return {
+      source: 'statfs',
+      total: local.value.blocks * local.value.bsize,
+      free: local.value.bavail * local.value.bsize // Available to non-root
+    };
+  }
+  if (daemonOk) {
+    // Older daemons only report free space
+    return { source: 'transmission', total: null, free: daemonFree };
+  }
+
+  const reason = daemon.status === 'rejected' ? daemon.reason.message : 'Transmission could not read the directory';
+  return { error: `${reason}; statfs: ${local.reason?.message || 'no data'}` };
+}
+
+function describe(volume, space, thresholds) {
+  const configured = thresholds[volume.paths.find(dir => thresholds[dir] !== undefined)] || {};
+  const threshold = configured.threshold ?? DEFAULT_THRESHOLD;
+  // Warning never below the removal threshold
+  const warningThreshold = Math.max(configured.warning_threshold ?? DEFAULT_WARNING_THRESHOLD, threshold);
+
+  if (space.error) {
+    return {
+      ...volume,
+      status: 'unknown',
+      error: space.error,
+      source: null,
+      total: null,
+      used: null,
+      free: null,
+      free_percent: null,
+      threshold,
+      warning_threshold: warningThreshold
+    };
+  }
+
+  const known = space.total > 0;
+  const freePercent = known ? (space.free / space.total) * 100 : null;
+  let status = 'unknown';
+  if (known) {
+    if (freePercent < threshold) {
+      status = 'critical';
+    } else if (freePercent < warningThreshold) {
+      status = 'warning';
+    } else {
+      status = 'ok';
+    }
+  }
+  return {
+    ...volume,
+    status,
+    error: known ? null : 'Total size unknown (the daemon only reports free space)',
+    source: space.source,
+    total: space.total,
+    used: known ? space.total - space.free : null,
+    free: space.free,
+    free_percent: freePercent,
+    threshold,
+    warning_threshold: warningThreshold
+  };
+}
+
+// Re-read the space of a volume (e.g. after removing torrents from it)
+export async function measureVolume(volume) {
+  const { id, path: volumePath, paths, uses } = volume;
+  return describe({ id, path: volumePath, paths, uses }, await measureDirectory(volumePath), getThresholds());
+}
+
+// All volumes with their space and status ('ok', 'warning', 'critical' or 'unknown')
+export async function getVolumes() {
+  const dirs = await discoverDirectories();
+
+  // Group directories by local device; ones that can't be stat'ed stand alone
+  const groups = new Map();
+  for (const [dir, uses] of dirs) {
+    let key = `path:${dir}`;
+    try {
+      key = `dev:${(await stat(dir)).dev}`;
+    } catch {
+      // Not visible here (remote daemon or missing mount)
+    }
+    if (!groups.has(key)) {
+      groups.set(key, { id: key, path: dir, paths: [], uses: [] });
+    }
+    const group = groups.get(key);
+    group.paths.push(dir);
+    group.uses.push(...uses.filter(use => !group.uses.includes(use)));
+  }
+
+  const thresholds = getThresholds();
+  return Promise.all([...groups.values()].map(async volume =>
+    describe(volume, await measureDirectory(volume.path), thresholds)
+  ));
+}
+
+// The volume a directory lives on (deepest matching path), or null
+export function findVolume(volumes, dir) {
+  if (!dir) return null;
+  const normalized = normalizeDir(dir);
+  let match = null;
+  let matchLength = -1;
+  for (const volume of volumes) {
+    for (const root of volume.paths) {
+      if (isWithin(normalized, root) && root.length > matchLength) {
+        match = volume;
+        matchLength = root.length;
+      }
+    }
+  }
+  return match;
+}
+
+// Where a torrent's data is written right now: unfinished torrents live in
+// the incomplete directory when the session uses one
+export function dataDirectory(torrent, session) {
+  if (session['incomplete-dir-enabled'] && session['incomplete-dir'] && torrent.percentDone < 1) {
+    return session['incomplete-dir'];
+  }
+  return torrent.downloadDir;
+}
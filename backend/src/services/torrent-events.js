@@ -0,0 +1,157 @@
+import { EventEmitter } from 'events';
+import transmissionService from './transmission.js';
+import torrentMetadata from './torrent-metadata.js';
+import { withOwnership, buildStats } from './torrent-view.js';
+import trash from './trash.js';
+
+// Central poller behind GET /api/events. Polls the daemon once for all
+// connected clients, diffs the merged torrent state and emits:
+//   'delta' - { added: [torrent], removed: [hash], updated: [{ hashString, changes, torrent }] }
+//   'stats' - same payload as GET /api/torrents/stats
+//   'poll-error' / 'recovered' - the daemon stopped / started answering again
+// Polling only runs while at least one client is subscribed.
+class TorrentEvents extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.interval = parseInt(process.env.EVENTS_POLL_INTERVAL || '2000');
+    this.torrents = new Map();
+    this.stats = null;
+    this.subscribers = 0;
+    this.timer = null;
+    this.polling = null;
+    // Error of the last poll while the daemon isn't answering, else null
+    this.lastError = null;
+  }
+
+  // Merge torrent with metadata; per-user fields (is_own) are added by the route
+  toEventTorrent(torrent, metadata) {
+    const merged = withOwnership(torrent, metadata[torrent.hashString], null);
+    delete merged.is_own;
+    return merged;
+  }
+
+  diff(previous, next) {
+    const changes = {};
+    for (const key of Object.keys(next)) {
+      const before = previous[key];
+      const after = next[key];
+      if (before === after) continue;
+      // Arrays (labels) are fresh objects after every refresh; compare by value
+      if (typeof after === 'object' && after !== null && JSON.stringify(before) === JSON.stringify(after)) {
+        continue;
+      }
+      changes[key] = after;
+    }
+    return changes;
+  }
+
+  async poll() {
+    const [allTorrents, sessionStats] = await Promise.all([
+      transmissionService.getTorrents(),
+      transmissionService.getSessionStats()
+    ]);
+    // Trashed torrents disappear from clients like removed ones
+    const torrents = trash.withoutTrashed(allTorrents);
+    const metadata = torrentMetadata.getAllTorrentMetadata();
+
+    const next = new Map();
+    const delta = { added: [], removed: [], updated: [] };
+
+    for (const torrent of torrents) {
+      const current = this.toEventTorrent(torrent, metadata);
+      next.set(current.hashString, current);
+
+      const previous = this.torrents.get(current.hashString);
+      if (!previous) {
+        delta.added.push(current);
+        continue;
+      }
+      const changes = this.diff(previous, current);
+      if (Object.keys(changes).length > 0) {
+        delta.updated.push({ hashString: current.hashString, changes, torrent: current });
+      }
+    }
+
+    for (const hash of this.torrents.keys()) {
+      if (!next.has(hash)) {
+        delta.removed.push(hash);
+      }
+    }
+
+    this.torrents = next;
+
+    if (delta.added.length || delta.removed.length || delta.updated.length) {
+      this.emit('delta', delta);
+    }
+
+    const stats = buildStats(torrents, sessionStats, metadata);
+    if (JSON.stringify(stats) !== JSON.stringify(this.stats)) {
+      this.stats = stats;
+      this.emit('stats', stats);
+    }
+  }
+
+  // Poll now unless a poll is already running
+  pollOnce() {
+    if (!this.polling) {
+      this.polling = this.poll()
+        .then(() => {
+          if (this.lastError) {
+            this.lastError = null;
+            console.log('Torrent event polling recovered');
+            this.emit('recovered');
+          }
+        })
+        .catch(err => {
+          console.error('Torrent event poll failed:', err.message);
+          this.lastError = err;
+          this.emit('poll-error', err);
+        })
+        .finally(() => {
+          this.polling = null;
+        });
+    }
+    return this.polling;
+  }
+
+  // Resolve once a snapshot is available (first subscriber waits for a poll).
+  // If that poll failed the snapshot is empty; see lastError.
+  async ready() {
+    if (this.stats === null) {
+      await this.pollOnce();
+    }
+  }
+
+  getSnapshot() {
+    return [...this.torrents.values()];
+  }
+
+  subscribe() {
+    this.subscribers++;
+    if (!this.timer) {
+      console.log(`Starting torrent event polling every ${this.interval}ms`);
+      this.timer = setInterval(() => this.pollOnce(), this.interval);
+    }
+
+    let active = true;
+    return () => {
+      if (!active) return;
+      active = false;
+      this.subscribers--;
+      if (this.subscribers === 0 && this.timer) {
+        console.log('No event subscribers left, stopping torrent event polling');
+        clearInterval(this.timer);
+        this.timer = null;
+        // Start from a fresh snapshot next time instead of diffing stale state
+        this.torrents = new Map();
+        this.stats = null;
+        this.lastError = null;
+      }
+    };
+  }
+}
+
+// Singleton instance
+const torrentEvents = new TorrentEvents();
+export default torrentEvents;
@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+
+// Parser for .torrent (metainfo) files, used to validate uploads and build a
+// preview before anything is handed to Transmission.
+
+const MAX_DEPTH = 64;
+
+function invalid(message) {
+  const error = new Error(`Invalid torrent file: ${message}`);
+  error.status = 400;
+  return error;
+}
+
+// Minimal bencode decoder. Byte strings stay Buffers (names are not always
+// UTF-8); the raw byte range of every dictionary value is kept so the info
+// dictionary can be hashed exactly as it appears in the file.
+class Decoder {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.pos = 0;
+    this.infoRange = null;
+  }
+
+  peek() {
+    if (this.pos >= this.buffer.length) {
+      throw invalid('unexpected end of data');
+    }
+    return this.buffer[this.pos];
+  }
+
+  // Read an ASCII integer up to (not including) the terminator byte
+  readNumber(terminator) {
+    const end = this.buffer.indexOf(terminator, this.pos);
+    if (end === -1) {
+      throw invalid('unterminated number');
+    }
+    const text = this.buffer.toString('ascii', this.pos, end);
+    if (!/^(0|-?[1-9]\d*)$/.test(text)) {
+      throw invalid(`malformed number "${text.slice(0, 20)}"`);
+    }
+    const value = Number(text);
+    if (!Number.isSafeInteger(value)) {
+      throw invalid('number out of range');
+    }
+    this.pos = end + 1;
+    return value;
+  }
+
+  decodeValue(depth) {
+    if (depth > MAX_DEPTH) {
+      throw invalid('nesting too deep');
+    }
+
+    const byte = this.peek();
+
+    // i<number>e
+    if (byte === 0x69) {
+      this.pos++;
+      return this.readNumber(0x65);
+    }
+
+    // l<values>e
+    if (byte === 0x6c) {
+      this.pos++;
+      const list = [];
+      while (this.peek() !== 0x65) {
+        list.push(this.decodeValue(depth + 1));
+      }
+      this.pos++;
+      return list;
+    }
+
+    // d<key><value>...e, keys are byte strings in sorted order
+    if (byte === 0x64) {
+      this.pos++;
+      // No prototype: keys such as "__proto__" must stay plain keys
+      const dict = Object.create(null);
+      while (this.peek() !== 0x65) {
+        const key = this.decodeString().toString('utf8');
+        const start = this.pos;
+        dict[key] = this.decodeValue(depth + 1);
+        if (depth === 0 && key === 'info') {
+          this.infoRange = [start, this.pos];
+        }
+      }
+      this.pos++;
+      return dict;
+    }
+
+    // <length>:<bytes>
+    if (byte >= 0x30 && byte <= 0x39) {
+      return this.decodeString();
+    }
+
+    throw invalid(`unexpected byte 0x${byte.toString(16)} at offset ${this.pos}`);
+  }
+
+  decodeString() {
+    const byte = this.peek();
+    if (byte < 0x30 || byte > 0x39) {
+      throw invalid(`expected a string at offset ${this.pos}`);
+    }
+    const length = this.readNumber(0x3a);
+    if (length < 0 || this.pos + length > this.buffer.length) {
+      throw invalid('string exceeds file length');
+    }
+    const value = this.buffer.subarray(this.pos, this.pos + length);
+    this.pos += length;
+    return value;
+  }
+}
+
+export function decode(buffer) {
+  const decoder = new Decoder(buffer);
+  const value = decoder.decodeValue(0);
+  if (decoder.pos !== buffer.length) {
+    throw invalid('trailing data after the root dictionary');
+  }
+  return { value, infoRange: decoder.infoRange };
+}
+
+const isDict = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+
+// Prefer the explicit UTF-8 variant of a field when the file provides one
+function text(dict, key) {
+  const value = dict[`${key}.utf-8`] ?? dict[key];
+  return Buffer.isBuffer(value) ? value.toString('utf8') : null;
+}
+
+function pathParts(file) {
+  const parts = file['path.utf-8'] ?? file.path;
+  if (!Array.isArray(parts) || parts.length === 0 || !parts.every(Buffer.isBuffer)) {
+    throw invalid('file entry without a valid path');
+  }
+  const names = parts.map(part => part.toString('utf8'));
+  if (names.some(name => name === '' || name === '.' || name === '..' || name.includes('/'))) {
+    throw invalid('file path contains illegal components');
+  }
+  return names;
+}
+
+function isValidLength(length) {
+  return Number.isSafeInteger(length) && length >= 0;
+}
+
+function collectTrackers(meta) {
+  const trackers = [];
+  const add = (url) => {
+    if (Buffer.isBuffer(url)) {
+      const announce = url.toString('utf8').trim();
+      if (announce && !trackers.includes(announce)) {
+        trackers.push(announce);
+      }
+    }
+  };
+
+  if (Array.isArray(meta['announce-list'])) {
+    for (const tier of meta['announce-list']) {
+      if (Array.isArray(tier)) {
+        tier.forEach(add);
+      }
+    }
+  }
+  add(meta.announce);
+  return trackers;
+}
+
+// Validate a .torrent file and return its info hash and a preview.
+// File indices match the ones Transmission assigns (padding files skipped).
+export function parseTorrentFile(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw invalid('file is empty');
+  }
+
+  const { value: meta, infoRange } = decode(buffer);
+  if (!isDict(meta)) {
+    throw invalid('root is not a dictionary');
+  }
+
+  const info = meta.info;
+  if (!isDict(info) || !infoRange) {
+    throw invalid('missing info dictionary');
+  }
+
+  const name = text(info, 'name');
+  if (!name) {
+    throw invalid('missing name');
+  }
+  if (!Number.isSafeInteger(info['piece length']) || info['piece length'] <= 0) {
+    throw invalid('missing or invalid piece length');
+  }
+
+  let files;
+  if (info.files !== undefined) {
+    if (!Array.isArray(info.files) || info.files.length === 0) {
+      throw invalid('empty file list');
+    }
+    files = [];
+    for (const file of info.files) {
+      if (!isDict(file) || !isValidLength(file.length)) {
+        throw invalid('file entry without a valid length');
+      }
+      const attr = Buffer.isBuffer(file.attr) ? file.attr.toString('ascii') : '';
+      if (attr.includes('p')) continue;
+      files.push({ name: [name, ...pathParts(file)].join('/'), length: file.length });
+    }
+  } else if (info.length !== undefined) {
+    if (!isValidLength(info.length)) {
+      throw invalid('invalid length');
+    }
+    files = [{ name, length: info.length }];
+  } else if (info['file tree'] !== undefined) {
+    throw invalid('BitTorrent v2-only torrents are not supported');
+  } else {
+    throw invalid('missing length or file list');
+  }
+
+  const totalSize = files.reduce((sum, file) => sum + file.length, 0);
+  const pieces = info.pieces;
+  if (!Buffer.isBuffer(pieces) || pieces.length === 0 || pieces.length % 20 !== 0) {
+    throw invalid('missing or malformed piece hashes');
+  }
+  if (pieces.length / 20 < Math.ceil(totalSize / info['piece length'])) {
+    throw invalid('piece hashes do not cover the content');
+  }
+
+  const hashString = crypto.createHash('sha1')
+    .update(buffer.subarray(infoRange[0], infoRange[1]))
+    .digest('hex');
+
+  return {
+    hashString,
+    name,
+    totalSize,
+    files: files.map((file, index) => ({ index, ...file })),
+    trackers: collectTrackers(meta),
+    private: info.private === 1,
+    comment: text(meta, 'comment'),
+    createdBy: text(meta, 'created by'),
+    creationDate: Number.isSafeInteger(meta['creation date']) ? meta['creation date'] : null
+  };
+}
@@ -1,88 +1,117 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { getDatabase } from '../db/init.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// Fields with their own column; anything else is kept in the `extra` JSON column
+const COLUMNS = ['owner_id', 'owner_username', 'added_at', 'block_auto_remove', 'feed_id', 'feed_url', 'category_id', 'labels'];
 
-class TorrentMetadata {
-  constructor() {
-    const metadataPath = process.env.METADATA_PATH || path.join(__dirname, '../../data/torrent-metadata.json');
-    this.metadataPath = metadataPath;
-    const metadataDir = path.dirname(metadataPath);
-    
-    // Ensure data directory exists
-    if (!fs.existsSync(metadataDir)) {
-      fs.mkdirSync(metadataDir, { recursive: true });
-    }
+// Database row -> metadata object (same shape the JSON file used to have)
+function fromRow(row) {
+  const meta = {
+    owner_id: row.owner_id,
+    owner_username: row.owner_username,
+    added_at: row.added_at,
+    block_auto_remove: !!row.block_auto_remove
+  };
+  if (row.feed_id !== null) meta.feed_id = row.feed_id;
+  if (row.feed_url !== null) meta.feed_url = row.feed_url;
+  if (row.category_id !== null) meta.category_id = row.category_id;
+  if (row.labels !== null) meta.labels = JSON.parse(row.labels);
+  return row.extra ? { ...meta, ...JSON.parse(row.extra) } : meta;
+}
 
-    this.initMetadata();
+// Metadata object -> statement parameters
+function toParams(hashString, meta) {
+  const extra = {};
+  for (const [key, value] of Object.entries(meta)) {
+    if (!COLUMNS.includes(key)) {
+      extra[key] = value;
+    }
   }
+  return {
+    hash_string: hashString,
+    owner_id: meta.owner_id ?? null,
+    owner_username: meta.owner_username ?? null,
+    added_at: meta.added_at ?? null,
+    block_auto_remove: meta.block_auto_remove ? 1 : 0,
+    feed_id: meta.feed_id ?? null,
+    feed_url: meta.feed_url ?? null,
+    category_id: meta.category_id ?? null,
+    labels: meta.labels ? JSON.stringify(meta.labels) : null,
+    extra: Object.keys(extra).length > 0 ? JSON.stringify(extra) : null
+  };
+}
 
-  initMetadata() {
-    if (!fs.existsSync(this.metadataPath)) {
-      this.save({ torrents: {} });
-    }
+class TorrentMetadata {
+  constructor() {
+    this.db = null;
   }
 
-  load() {
-    try {
-      const data = fs.readFileSync(this.metadataPath, 'utf8');
-      return JSON.parse(data);
-    } catch (err) {
-      console.error(`Failed to load torrent metadata: ${err.message}`);
-      console.log('Initializing with empty metadata...');
-      return { torrents: {} };
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
     }
+    return this.db;
   }
 
-  save(data) {
-    fs.writeFileSync(this.metadataPath, JSON.stringify(data, null, 2), 'utf8');
+  write(hashString, meta) {
+    this.getDb().prepare(`
+      INSERT INTO torrent_metadata
+        (hash_string, owner_id, owner_username, added_at, block_auto_remove, feed_id, feed_url, category_id, labels, extra)
+      VALUES
+        (@hash_string, @owner_id, @owner_username, @added_at, @block_auto_remove, @feed_id, @feed_url, @category_id, @labels, @extra)
+      ON CONFLICT(hash_string) DO UPDATE SET
+        owner_id = excluded.owner_id,
+        owner_username = excluded.owner_username,
+        added_at = excluded.added_at,
+        block_auto_remove = excluded.block_auto_remove,
+        feed_id = excluded.feed_id,
+        feed_url = excluded.feed_url,
+        category_id = excluded.category_id,
+        labels = excluded.labels,
+        extra = excluded.extra
+    `).run(toParams(hashString, meta));
   }
 
   // Store torrent ownership and metadata BY HASH (permanent identifier)
   setTorrentMetadata(hashString, userId, username, extraData = {}) {
-    const data = this.load();
-    data.torrents[hashString] = {
+    this.write(hashString, {
       owner_id: userId,
       owner_username: username,
       added_at: new Date().toISOString(),
       block_auto_remove: false,
       ...extraData
-    };
-    this.save(data);
+    });
   }
 
   // Get torrent metadata by hash
   getTorrentMetadata(hashString) {
-    const data = this.load();
-    return data.torrents[hashString] || null;
+    const row = this.getDb().prepare('SELECT * FROM torrent_metadata WHERE hash_string = ?').get(hashString);
+    return row ? fromRow(row) : null;
   }
 
   // Get all torrent metadata
   getAllTorrentMetadata() {
-    const data = this.load();
-    return data.torrents;
+    const torrents = {};
+    for (const row of this.getDb().prepare('SELECT * FROM torrent_metadata').all()) {
+      torrents[row.hash_string] = fromRow(row);
+    }
+    return torrents;
   }
 
   // Update torrent metadata by hash
   updateTorrentMetadata(hashString, updates) {
-    const data = this.load();
-    if (!data.torrents[hashString]) {
-      throw new Error('Torrent metadata not found');
-    }
-    data.torrents[hashString] = {
-      ...data.torrents[hashString],
-      ...updates
-    };
-    this.save(data);
+    const db = this.getDb();
+    db.transaction(() => {
+      const existing = this.getTorrentMetadata(hashString);
+      if (!existing) {
+        throw new Error('Torrent metadata not found');
+      }
+      this.write(hashString, { ...existing, ...updates });
+    })();
   }
 
   // Delete torrent metadata by hash
   deleteTorrentMetadata(hashString) {
-    const data = this.load();
-    delete data.torrents[hashString];
-    this.save(data);
+    this.getDb().prepare('DELETE FROM torrent_metadata WHERE hash_string = ?').run(hashString);
   }
 
   // Check if user owns torrent by hash
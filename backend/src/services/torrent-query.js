@@ -0,0 +1,162 @@
+import { hasLabel } from './torrent-view.js';
+
+// Filtering, sorting, facet counts and cursor pagination for the merged
+// torrent list (GET /api/torrents). Works on torrents shaped by withOwnership().
+
+// Status filters; a torrent can match several (a seeding torrent is also completed)
+export const STATUS_FILTERS = {
+  downloading: t => t.status === 4,
+  seeding: t => t.status === 6,
+  completed: t => t.percentDone === 1,
+  stopped: t => t.status === 0,
+  queued: t => t.status === 3 || t.status === 5,
+  checking: t => t.status === 1 || t.status === 2,
+  active: t => t.rateDownload > 0 || t.rateUpload > 0,
+  errored: t => t.error > 0
+};
+
+// Sort keys and the torrent value each one compares
+export const SORT_FIELDS = {
+  name: t => t.name.toLowerCase(),
+  status: t => t.status,
+  progress: t => t.percentDone,
+  size: t => t.totalSize,
+  owner: t => t.owner.toLowerCase(),
+  added: t => t.addedDate,
+  ratio: t => t.uploadRatio,
+  eta: t => (t.eta < 0 ? Number.MAX_SAFE_INTEGER : t.eta),
+  download: t => t.rateDownload,
+  upload: t => t.rateUpload,
+  activity: t => t.activityDate
+};
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+// Cursors point just past the last torrent of a page: its sort value and
+// hash, so a page boundary survives torrents being added or removed.
+function encodeCursor(value, hashString) {
+  return Buffer.from(JSON.stringify([value, hashString])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, hashString] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof hashString === 'string') {
+      return { value, hashString };
+    }
+  } catch {
+    // Fall through
+  }
+  const error = new Error('Invalid cursor');
+  error.status = 400;
+  throw error;
+}
+
+function countBy(torrents, keysOf) {
+  const counts = {};
+  for (const torrent of torrents) {
+    for (const key of keysOf(torrent)) {
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+// Every search term must appear in the name; a full info hash matches too
+function matchesSearch(torrent, search) {
+  const name = torrent.name.toLowerCase();
+  const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+  return torrent.hashString === search.toLowerCase() || terms.every(term => name.includes(term));
+}
+
+// One predicate per filter dimension, so each facet can be counted with the
+// other filters applied but not its own
+function buildFilters(query, userId) {
+  const filters = {};
+  if (query.status) {
+    filters.status = STATUS_FILTERS[query.status];
+  }
+  if (query.owner) {
+    const owner = query.owner.toLowerCase();
+    filters.owner = t => t.owner.toLowerCase() === owner;
+  }
+  if (query.mine) {
+    filters.mine = t => t.owner_id === userId;
+  }
+  if (query.label) {
+    filters.label = t => hasLabel(t, query.label);
+  }
+  if (query.category !== undefined) {
+    filters.category = t => t.category_id === query.category;
+  }
+  if (query.tracker) {
+    const tracker = query.tracker.toLowerCase();
+    filters.tracker = t => t.trackerHosts.includes(tracker);
+  }
+  if (query.search) {
+    filters.search = t => matchesSearch(t, query.search);
+  }
+  return filters;
+}
+
+function applyFilters(torrents, filters, except = null) {
+  const active = Object.entries(filters).filter(([key]) => key !== except).map(([, fn]) => fn);
+  return active.length === 0 ? torrents : torrents.filter(t => active.every(fn => fn(t)));
+}
+
+function buildFacets(torrents, filters, userId) {
+  return {
+    mine: applyFilters(torrents, filters, 'mine').filter(t => t.owner_id === userId).length,
+    status: countBy(applyFilters(torrents, filters, 'status'), t =>
+      Object.keys(STATUS_FILTERS).filter(name => STATUS_FILTERS[name](t))),
+    owner: countBy(applyFilters(torrents, filters, 'owner'), t => [t.owner]),
+    label: countBy(applyFilters(torrents, filters, 'label'), t => t.labels),
+    category: countBy(applyFilters(torrents, filters, 'category'), t => [t.category_id ?? 'none']),
+    tracker: countBy(applyFilters(torrents, filters, 'tracker'), t => t.trackerHosts)
+  };
+}
+
+/**
+ * Filter, sort and page a merged torrent list.
+ * query: { status, owner, mine, label, category (id or null), tracker, search,
+ *          sort, order ('asc'|'desc'), limit, cursor }
+ * Returns { torrents, total, next_cursor, facets }; total counts all matches.
+ */
+export function queryTorrents(torrents, query, userId) {
+  const filters = buildFilters(query, userId);
+  const matching = applyFilters(torrents, filters);
+
+  const valueOf = SORT_FIELDS[query.sort || 'name'];
+  const direction = query.order === 'desc' ? -1 : 1;
+  // The hash breaks ties so the order (and so the cursors) is stable
+  const compare = (a, b) =>
+    direction * compareValues(a.value, b.value) || compareValues(a.hashString, b.hashString);
+
+  let sorted = matching
+    .map(torrent => ({ torrent, value: valueOf(torrent) ?? null, hashString: torrent.hashString }))
+    .sort(compare);
+
+  if (query.cursor) {
+    const after = decodeCursor(query.cursor);
+    sorted = sorted.filter(entry => compare(entry, after) > 0);
+  }
+
+  let nextCursor = null;
+  if (query.limit && sorted.length > query.limit) {
+    sorted = sorted.slice(0, query.limit);
+    const last = sorted[sorted.length - 1];
+    nextCursor = encodeCursor(last.value, last.hashString);
+  }
+
+  return {
+    torrents: sorted.map(entry => entry.torrent),
+    total: matching.length,
+    next_cursor: nextCursor,
+    facets: buildFacets(torrents, filters, userId)
+  };
+}
@@ -0,0 +1,74 @@
+// Shared shaping of Transmission torrents for API responses and the event stream
+
+// Helper function to convert Transmission status codes to readable labels
+export function getStatusLabel(status) {
+  const statusMap = {
+    0: 'stopped',
+    1: 'queued-to-check',
+    2: 'checking',
+    3: 'queued-to-download',
+    4: 'downloading',
+    5: 'queued-to-seed',
+    6: 'seeding'
+  };
+  return statusMap[status] || 'unknown';
+}
+
+// Lowercased tracker hostnames from a torrent's announce list
+export function getTrackerHosts(trackers = []) {
+  const hosts = new Set();
+  for (const tracker of trackers) {
+    try {
+      hosts.add(new URL(tracker.announce).hostname.toLowerCase());
+    } catch {
+      // Ignore malformed announce URLs
+    }
+  }
+  return [...hosts];
+}
+
+// Merge a Transmission torrent object with its ownership metadata. A raw
+// tracker list (detail fields only) is replaced by its hostnames.
+export function withOwnership(torrent, meta, userId) {
+  const { trackers, ...rest } = torrent;
+  return {
+    ...rest,
+    ...(trackers && { trackerHosts: getTrackerHosts(trackers) }),
+    owner: meta?.owner_username || 'unknown',
+    owner_id: meta?.owner_id,
+    added_at: meta?.added_at,
+    block_auto_remove: meta?.block_auto_remove || false,
+    category_id: meta?.category_id ?? null,
+    // Daemon labels win; metadata keeps them for daemons without label support
+    labels: torrent.labels ?? meta?.labels ?? [],
+    is_own: meta?.owner_id === userId,
+    statusLabel: getStatusLabel(torrent.status)
+  };
+}
+
+// Does a merged torrent carry the label? (case-insensitive)
+export function hasLabel(torrent, label) {
+  const wanted = label.toLowerCase();
+  return torrent.labels.some(l => l.toLowerCase() === wanted);
+}
+
+// Build the dashboard stats payload from a torrent list and session-stats
+export function buildStats(torrents, sessionStats, metadata) {
+  // Count by owner
+  const ownerCounts = {};
+  torrents.forEach(torrent => {
+    const owner = metadata[torrent.hashString]?.owner_username || 'unknown';
+    ownerCounts[owner] = (ownerCounts[owner] || 0) + 1;
+  });
+
+  return {
+    total_torrents: torrents.length,
+    active_torrents: torrents.filter(t => t.status === 4).length, // 4 = downloading
+    completed_torrents: torrents.filter(t => t.percentDone === 1).length,
+    total_downloaded: sessionStats?.['cumulative-stats']?.downloadedBytes || 0,
+    total_uploaded: sessionStats?.['cumulative-stats']?.uploadedBytes || 0,
+    download_speed: sessionStats?.downloadSpeed || 0,
+    upload_speed: sessionStats?.uploadSpeed || 0,
+    owner_counts: ownerCounts
+  };
+}
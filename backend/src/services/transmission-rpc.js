@@ -0,0 +1,95 @@
+import fetch from 'node-fetch';
+
+const DEFAULT_TIMEOUT = 30000;
+
+// Minimal promise-based client for the Transmission RPC protocol.
+// Handles the X-Transmission-Session-Id handshake, basic auth and timeouts;
+// everything else (fields, ids, caching) is left to the caller.
+class TransmissionRPC {
+  constructor({
+    host = 'localhost',
+    port = 9091,
+    path = '/transmission/rpc',
+    ssl = false,
+    username = '',
+    password = '',
+    timeout = DEFAULT_TIMEOUT
+  } = {}) {
+    this.url = `${ssl ? 'https' : 'http'}://${host}:${port}${path}`;
+    this.authHeader = username
+      ? 'Basic ' + Buffer.from(`${username}:${password}`).toString('base64')
+      : null;
+    this.timeout = timeout;
+    this.sessionId = null;
+    // Bumped whenever the daemon hands out a new session id (e.g. after a restart)
+    this.sessionGeneration = 0;
+  }
+
+  // POST one request. The timeout covers reading the body too, so a daemon
+  // stalling mid-response can't hang the call; resolves with the response
+  // and, when it is ok, its parsed JSON
+  async post(body, timeout) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Transmission-Session-Id': this.sessionId || ''
+    };
+    if (this.authHeader) {
+      headers.Authorization = this.authHeader;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: controller.signal
+      });
+      const json = response.ok ? await response.json() : null;
+      return { response, json };
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw new Error(`Transmission RPC timed out after ${timeout}ms`);
+      }
+      throw new Error(`Transmission RPC request failed: ${err.message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Call an RPC method and resolve with its `arguments` object
+  async call(method, args = {}, { timeout = this.timeout } = {}) {
+    const body = JSON.stringify({ method, arguments: args });
+
+    // The first request of a session is answered with 409 and a fresh
+    // session id; retry once with that id before giving up
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const { response, json } = await this.post(body, timeout);
+
+      if (response.status === 409) {
+        this.sessionId = response.headers.get('x-transmission-session-id');
+        this.sessionGeneration++;
+        continue;
+      }
+
+      if (response.status === 401) {
+        throw new Error('Transmission RPC authentication failed');
+      }
+
+      if (!response.ok) {
+        throw new Error(`Transmission RPC HTTP ${response.status}`);
+      }
+
+      if (json.result !== 'success') {
+        throw new Error(json.result || `Transmission RPC ${method} failed`);
+      }
+      return json.arguments || {};
+    }
+
+    throw new Error('Transmission RPC session handshake failed');
+  }
+}
+
+export default TransmissionRPC;
@@ -1,8 +1,9 @@
-import Transmission from 'transmission';
 import { execFile } from 'child_process';
 import { promisify } from 'util';
-import { readdir, unlink, rm } from 'fs/promises';
+import { readFile, unlink, rm } from 'fs/promises';
 import { join } from 'path';
+import TransmissionRPC from './transmission-rpc.js';
+import { getTrackerHosts } from './torrent-view.js';
 
 const execFileAsync = promisify(execFile);
 
@@ -10,6 +11,49 @@ const execFileAsync = promisify(execFile);
 // We need to manually delete the resume and torrent files
 const TRANSMISSION_CONFIG_DIR = process.env.TRANSMISSION_CONFIG_DIR || '/var/lib/transmission-daemon/.config/transmission-daemon';
 
+// How long torrent lists and session stats are served from cache. Every
+// caller (torrent list, stats, disk monitor, RSS) shares the same snapshot.
+const CACHE_TTL = parseInt(process.env.TRANSMISSION_CACHE_TTL || '2000');
+// Session settings change rarely, keep them longer
+const SESSION_CACHE_TTL = 30000;
+// Between full refreshes only `recently-active` torrents are fetched
+const FULL_REFRESH_INTERVAL = 60000;
+// Tracker lists are large and rarely change: kept out of LIST_FIELDS and
+// cached per torrent for this long
+const TRACKER_CACHE_TTL = 10 * 60000;
+
+// Fields fetched for torrent lists - keep this small, it is requested for every torrent
+export const LIST_FIELDS = [
+  'id', 'hashString', 'name', 'status', 'error', 'errorString', 'percentDone',
+  'totalSize', 'sizeWhenDone', 'leftUntilDone', 'rateDownload', 'rateUpload',
+  'uploadRatio', 'uploadedEver', 'downloadedEver', 'eta', 'addedDate', 'doneDate',
+  'activityDate', 'downloadDir', 'queuePosition', 'isFinished', 'peersConnected',
+  'recheckProgress', 'metadataPercentComplete', 'labels'
+];
+
+// Fields fetched for a single torrent's detail view
+export const DETAIL_FIELDS = [
+  ...LIST_FIELDS,
+  'trackers', 'corruptEver', 'isPrivate', 'comment', 'creator', 'magnetLink',
+  'peersSendingToUs', 'peersGettingFromUs', 'files', 'fileStats', 'peers',
+  'trackerStats', 'pieces', 'pieceCount', 'pieceSize'
+];
+
+function torrentNotFound() {
+  const error = new Error('Torrent not found');
+  error.status = 404;
+  return error;
+}
+
+// Torrent ids the daemon accepts: numeric id or 40-char info hash
+function isValidTorrentId(id) {
+  return (Number.isSafeInteger(id) && id >= 0) || (typeof id === 'string' && /^[0-9a-fA-F]{40}$/.test(id));
+}
+
+function toIdList(ids) {
+  return Array.isArray(ids) ? ids : [ids];
+}
+
 // Debounce restart - only restart once after multiple deletions
 let restartTimeout = null;
 let restartPromise = null;
@@ -50,11 +94,22 @@ async function scheduleTransmissionRestart() {
 class TransmissionService {
   constructor() {
     this.client = null;
+    this.resetCaches();
+  }
+
+  resetCaches() {
+    this.torrentCache = { byId: new Map(), fetchedAt: 0, fullAt: 0, generation: -1 };
+    this.torrentRefresh = null;
+    this.invalidatedAt = 0;
+    this.valueCache = new Map();
+    this.pendingGets = new Map();
+    this.trackerHostCache = new Map();
   }
 
   // Reset client (useful after password changes or restarts)
   resetClient() {
     this.client = null;
+    this.resetCaches();
   }
 
   // Lazy initialization - create client on first use
@@ -64,7 +119,8 @@ class TransmissionService {
         host: process.env.TRANSMISSION_HOST || 'localhost',
         port: process.env.TRANSMISSION_PORT || 9091,
         username: process.env.TRANSMISSION_USERNAME || '',
-        password: process.env.TRANSMISSION_PASSWORD || ''
+        password: process.env.TRANSMISSION_PASSWORD || '',
+        timeout: parseInt(process.env.TRANSMISSION_RPC_TIMEOUT || '30000')
       };
       console.log('Initializing Transmission client with:', {
         host: config.host,
@@ -72,55 +128,207 @@ class TransmissionService {
         username: config.username,
         passwordLength: config.password.length
       });
-      this.client = new Transmission(config);
+      this.client = new TransmissionRPC(config);
     }
     return this.client;
   }
 
-  // Get all torrents
-  getTorrents() {
-    return new Promise((resolve, reject) => {
-      this.getClient().get((err, result) => {
-        if (err) return reject(err);
-        resolve(result.torrents || []);
-      });
-    });
+  // Mark the torrent list stale so the next read picks up a mutation
+  invalidateTorrents() {
+    this.torrentCache.fetchedAt = 0;
+    this.invalidatedAt = Date.now();
   }
 
-  // Get specific torrent by ID
-  getTorrentDetails(id) {
-    return new Promise((resolve, reject) => {
-      this.getClient().get(id, (err, result) => {
-        if (err) return reject(err);
-        if (!result.torrents || result.torrents.length === 0) {
-          return reject(new Error('Torrent not found'));
+  // Serve a value from cache, sharing one in-flight request between callers.
+  // A request whose entry was invalidated meanwhile (invalidate()) still
+  // answers its callers but doesn't store its possibly outdated result.
+  cached(key, ttl, loader) {
+    const entry = this.valueCache.get(key);
+    if (entry && (entry.pending || Date.now() - entry.fetchedAt < ttl)) {
+      return entry.pending || Promise.resolve(entry.value);
+    }
+
+    const isCurrent = () => this.valueCache.get(key)?.pending === pending;
+    const pending = loader()
+      .then(value => {
+        if (isCurrent()) {
+          this.valueCache.set(key, { value, fetchedAt: Date.now() });
+        }
+        return value;
+      })
+      .catch(err => {
+        if (isCurrent()) {
+          this.valueCache.delete(key);
         }
-        resolve(result.torrents[0]);
+        throw err;
       });
-    });
+    this.valueCache.set(key, { ...entry, pending });
+    return pending;
   }
 
-  // Add torrent from file path
-  addTorrent(filePath) {
-    return new Promise((resolve, reject) => {
-      this.getClient().addFile(filePath, (err, result) => {
-        if (err) return reject(err);
-        resolve(result);
+  // Refresh the shared torrent snapshot. Does a full fetch periodically (or
+  // after the daemon restarted), otherwise only asks for recently-active torrents.
+  async refreshTorrents() {
+    const client = this.getClient();
+    const cache = this.torrentCache;
+    const startedAt = Date.now();
+    const full = !cache.fullAt ||
+      startedAt - cache.fullAt > FULL_REFRESH_INTERVAL ||
+      cache.generation !== client.sessionGeneration;
+
+    const args = { fields: LIST_FIELDS };
+    if (!full) {
+      args.ids = 'recently-active';
+    }
+    const result = await client.call('torrent-get', args);
+
+    // The daemon restarted during a delta request: ids may have been
+    // reassigned, so throw the snapshot away and start over
+    if (!full && cache.generation !== client.sessionGeneration) {
+      cache.fullAt = 0;
+      return this.refreshTorrents();
+    }
+
+    if (full) {
+      cache.byId = new Map();
+      cache.fullAt = startedAt;
+    }
+    for (const torrent of result.torrents || []) {
+      cache.byId.set(torrent.id, torrent);
+    }
+    for (const id of result.removed || []) {
+      cache.byId.delete(id);
+    }
+
+    if (full) {
+      cache.generation = client.sessionGeneration;
+    }
+    if (this.invalidatedAt <= startedAt) {
+      cache.fetchedAt = startedAt;
+    }
+  }
+
+  // Get all torrents (list fields only, served from the shared cache)
+  async getTorrents() {
+    if (Date.now() - this.torrentCache.fetchedAt >= CACHE_TTL) {
+      if (!this.torrentRefresh) {
+        this.torrentRefresh = this.refreshTorrents().finally(() => {
+          this.torrentRefresh = null;
+        });
+      }
+      await this.torrentRefresh;
+    }
+    return [...this.torrentCache.byId.values()];
+  }
+
+  // Tracker hostnames of the given torrents (Map hashString -> hosts). Only
+  // torrents not seen recently are asked for their trackers.
+  async getTrackerHosts(torrents) {
+    const cache = this.trackerHostCache;
+    const now = Date.now();
+    const missing = torrents
+      .map(t => t.hashString)
+      .filter(hash => !(now - (cache.get(hash)?.fetchedAt ?? 0) < TRACKER_CACHE_TTL));
+
+    if (missing.length > 0) {
+      const { torrents: fetched = [] } = await this.getClient().call('torrent-get', {
+        ids: missing,
+        fields: ['hashString', 'trackers']
       });
-    });
+      for (const torrent of fetched) {
+        cache.set(torrent.hashString, { hosts: getTrackerHosts(torrent.trackers), fetchedAt: now });
+      }
+    }
+
+    const hosts = new Map();
+    for (const torrent of torrents) {
+      hosts.set(torrent.hashString, cache.get(torrent.hashString)?.hosts || []);
+    }
+    // Forget torrents that are gone
+    if (cache.size > torrents.length) {
+      for (const hash of cache.keys()) {
+        if (!hosts.has(hash)) cache.delete(hash);
+      }
+    }
+    return hosts;
   }
 
-  // Add torrent from URL
-  addTorrentUrl(url) {
-    return new Promise((resolve, reject) => {
-      this.getClient().addUrl(url, (err, result) => {
-        if (err) return reject(err);
-        resolve(result);
+  // Get specific torrent by ID or hash (status 404 when there is none).
+  // Lookups made in the same tick with the same field list are batched into
+  // a single torrent-get call; if that call fails, each lookup retries alone
+  // so one bad id can't fail the others.
+  async getTorrentDetails(id, fields = DETAIL_FIELDS) {
+    if (!isValidTorrentId(id)) {
+      throw torrentNotFound();
+    }
+    const requestFields = [...new Set(['id', 'hashString', ...fields])];
+    const key = requestFields.join(',');
+
+    let batch = this.pendingGets.get(key);
+    if (!batch) {
+      batch = { ids: new Set() };
+      batch.promise = new Promise(resolve => setImmediate(resolve)).then(() => {
+        this.pendingGets.delete(key);
+        return this.getClient().call('torrent-get', {
+          ids: [...batch.ids],
+          fields: requestFields
+        });
       });
-    });
+      this.pendingGets.set(key, batch);
+    }
+    batch.ids.add(id);
+
+    let result;
+    try {
+      result = await batch.promise;
+    } catch (err) {
+      if (batch.ids.size === 1) throw err;
+      result = await this.getClient().call('torrent-get', { ids: [id], fields: requestFields });
+    }
+    const torrent = (result.torrents || []).find(t => t.id === id || t.hashString === id);
+    if (!torrent) {
+      throw torrentNotFound();
+    }
+    return torrent;
+  }
+
+  // torrent-add returns either torrent-added or torrent-duplicate ({ id, name, hashString })
+  async addTorrentArgs(args) {
+    const result = await this.getClient().call('torrent-add', args);
+    this.invalidateTorrents();
+    return result['torrent-added'] || result['torrent-duplicate'];
+  }
+
+  // Add torrent from file path (extraArgs: torrent-add options such as download-dir)
+  async addTorrent(filePath, extraArgs = {}) {
+    return this.addTorrentData(await readFile(filePath), extraArgs);
+  }
+
+  // Add torrent from the contents of a .torrent file
+  addTorrentData(data, extraArgs = {}) {
+    return this.addTorrentArgs({ ...extraArgs, metainfo: data.toString('base64') });
   }
 
-  // Remove torrent - tries normal removal first, falls back to workaround if needed
+  // Add torrent from URL
+  addTorrentUrl(url, extraArgs = {}) {
+    return this.addTorrentArgs({ ...extraArgs, filename: url });
+  }
+
+  // Run a torrent action method (torrent-start, torrent-stop, ...) on one or more ids
+  async torrentAction(method, ids) {
+    const result = await this.getClient().call(method, { ids: toIdList(ids) });
+    this.invalidateTorrents();
+    return result;
+  }
+
+  // Set torrent properties (torrent-set) on one or more ids
+  async setTorrent(ids, args) {
+    await this.getClient().call('torrent-set', { ids: toIdList(ids), ...args });
+    this.invalidateTorrents();
+  }
+
+  // Remove torrent - tries normal removal first, falls back to workaround if needed.
+  // Downloaded data is only deleted when deleteFiles is true, on both paths.
   async removeTorrent(id, deleteFiles = false) {
     console.log(`Removing torrent ${id}, deleteFiles=${deleteFiles}`);
     
@@ -130,7 +338,7 @@ class TransmissionService {
     let torrentName = null;
     let percentDone = 0;
     try {
-      const torrent = await this.getTorrentDetails(id);
+      const torrent = await this.getTorrentDetails(id, ['downloadDir', 'name', 'percentDone']);
       torrentHash = torrent.hashString;
       downloadDir = torrent.downloadDir;
       torrentName = torrent.name;
@@ -143,19 +351,18 @@ class TransmissionService {
     // Step 2: Try normal RPC removal first
     let normalRemovalSucceeded = false;
     try {
-      await new Promise((resolve, reject) => {
-        this.getClient().remove(id, deleteFiles, (err) => {
-          if (err) return reject(err);
-          resolve();
-        });
+      await this.getClient().call('torrent-remove', {
+        ids: [id],
+        'delete-local-data': deleteFiles
       });
+      this.invalidateTorrents();
       console.log(`Torrent ${id} removed via normal RPC method`);
       normalRemovalSucceeded = true;
       
       // Verify removal by checking if torrent still exists
       await sleep(500); // Give it a moment to complete
       try {
-        await this.getTorrentDetails(id);
+        await this.getTorrentDetails(id, ['id']);
         // If we get here, torrent still exists - removal failed
         console.warn(`Torrent ${id} still exists after RPC remove - removal may have failed`);
         normalRemovalSucceeded = false;
@@ -198,8 +405,14 @@ class TransmissionService {
         console.log(`Could not delete torrent file: ${err.message}`);
       }
       
-      // Delete downloaded files if requested
-      if (deleteFiles && downloadDir && torrentName) {
+      // Delete downloaded files if requested. The name comes from the torrent,
+      // so never let it point outside the download directory.
+      const safeName = torrentName && torrentName !== '.' && torrentName !== '..' && !torrentName.includes('/');
+      if (!deleteFiles) {
+        console.log(`Keeping downloaded files of torrent ${id}`);
+      } else if (!downloadDir || !safeName) {
+        console.warn(`Not deleting files of torrent ${id}: unsafe or unknown location (${downloadDir}, ${torrentName})`);
+      } else {
         // Delete from download directory (completed files)
         const downloadPath = join(downloadDir, torrentName);
         try {
@@ -235,41 +448,116 @@ class TransmissionService {
       console.log(`Workaround used - scheduling transmission-daemon restart`);
       scheduleTransmissionRestart();
       
-      // Reset client so it reconnects after restart
-      this.client = null;
+      // Reset client and caches so ids are re-read after restart
+      this.resetClient();
     }
     
     return { success: true };
   }
 
+  // Remove several torrents with one torrent-remove call. Torrents the daemon
+  // fails to drop go through removeTorrent() one by one (workaround included).
+  async removeTorrents(ids, deleteFiles = false) {
+    if (ids.length === 0) return;
+    try {
+      await this.getClient().call('torrent-remove', {
+        ids,
+        'delete-local-data': deleteFiles
+      });
+    } catch (err) {
+      console.warn(`Batched removal of ${ids.length} torrent(s) failed: ${err.message}`);
+    }
+    this.invalidateTorrents();
+
+    await sleep(500); // Give it a moment to complete
+    const remaining = new Set((await this.getTorrents()).map(t => t.id));
+    for (const id of ids.filter(id => remaining.has(id))) {
+      await this.removeTorrent(id, deleteFiles);
+    }
+  }
+
   // Stop a torrent
   stopTorrent(id) {
-    return new Promise((resolve, reject) => {
-      this.getClient().stop(id, (err, result) => {
-        if (err) return reject(err);
-        resolve(result);
-      });
-    });
+    return this.torrentAction('torrent-stop', id);
   }
 
-  // Get server stats
+  // Start a torrent (respects the queue)
+  startTorrent(id) {
+    return this.torrentAction('torrent-start', id);
+  }
+
+  // Start a torrent immediately, bypassing the queue
+  startTorrentNow(id) {
+    return this.torrentAction('torrent-start-now', id);
+  }
+
+  // Recheck local data against piece hashes
+  verifyTorrent(id) {
+    return this.torrentAction('torrent-verify', id);
+  }
+
+  // Ask trackers for more peers right away
+  reannounceTorrent(id) {
+    return this.torrentAction('torrent-reannounce', id);
+  }
+
+  // Mark files (by index) as wanted or unwanted
+  async setFilesWanted(id, fileIndices, wanted) {
+    // An empty list means "all files" to Transmission, so never send one
+    if (fileIndices.length === 0) return;
+    await this.setTorrent(id, { [wanted ? 'files-wanted' : 'files-unwanted']: fileIndices });
+  }
+
+  // Set download priority for files (by index): 'high', 'normal' or 'low'
+  async setFilesPriority(id, fileIndices, priority) {
+    if (fileIndices.length === 0) return;
+    if (!['high', 'normal', 'low'].includes(priority)) {
+      throw new Error(`Invalid file priority: ${priority}`);
+    }
+    await this.setTorrent(id, { [`priority-${priority}`]: fileIndices });
+  }
+
+  // Move torrent data to a new directory (or just point the torrent there with move=false)
+  async setLocation(ids, location, move = true) {
+    await this.getClient().call('torrent-set-location', { ids: toIdList(ids), location, move });
+    this.invalidateTorrents();
+  }
+
+  // Replace a torrent's labels (Transmission 4+; older daemons ignore the field)
+  async setLabels(id, labels) {
+    await this.setTorrent(id, { labels });
+  }
+
+  // Drop a cached value; a request for it that is still running won't store it
+  invalidate(key) {
+    this.valueCache.delete(key);
+  }
+
+  // Get server stats (session-get: download-dir, incomplete-dir, limits, ...)
   getServerStats() {
-    return new Promise((resolve, reject) => {
-      this.getClient().session((err, result) => {
-        if (err) return reject(err);
-        resolve(result);
-      });
-    });
+    return this.cached('session-get', SESSION_CACHE_TTL, () =>
+      this.getClient().call('session-get')
+    );
+  }
+
+  // Free space as seen by the daemon (free-space: size-bytes; total_size
+  // only on Transmission 4+). Not cached, the disk monitor polls it while
+  // it removes torrents.
+  getFreeSpace(path) {
+    return this.getClient().call('free-space', { path });
+  }
+
+  // Change session settings (session-set)
+  async setSession(args) {
+    await this.getClient().call('session-set', args);
+    this.invalidate('session-get');
   }
 
   // Get session stats (total downloaded, uploaded, etc.)
   getSessionStats() {
-    return new Promise((resolve, reject) => {
-      this.getClient().sessionStats((err, result) => {
-        if (err) return reject(err);
-        resolve(result);
-      });
-    });
+    return this.cached('session-stats', CACHE_TTL, () =>
+      this.getClient().call('session-stats')
+    );
   }
 }
 
@@ -0,0 +1,207 @@
+import cron from 'node-cron';
+import { getDatabase } from '../db/init.js';
+import transmissionService from './transmission.js';
+import torrentMetadata from './torrent-metadata.js';
+
+// Soft-deleted torrents. A trashed torrent is stopped and hidden from the
+// torrent list but stays in the daemon (with its .torrent and data) until it
+// is purged: after the grace period, when its owner or an admin empties it,
+// or earlier when the disk monitor needs the space. Until then it can be
+// restored as it was.
+class Trash {
+  constructor() {
+    this.db = null;
+    this.graceHours = parseFloat(process.env.TRASH_GRACE_HOURS || '72');
+    this.purging = null;
+    if (this.isEnabled()) {
+      this.startPurging();
+    }
+  }
+
+  getDb() {
+    if (!this.db) {
+      this.db = getDatabase();
+    }
+    return this.db;
+  }
+
+  // TRASH_GRACE_HOURS=0 turns soft-delete off (deletes are immediate again)
+  isEnabled() {
+    return this.graceHours > 0;
+  }
+
+  getEntries(ownerId = null) {
+    if (ownerId !== null) {
+      return this.getDb().prepare('SELECT * FROM torrent_trash WHERE owner_id = ? ORDER BY trashed_at DESC').all(ownerId);
+    }
+    return this.getDb().prepare('SELECT * FROM torrent_trash ORDER BY trashed_at DESC').all();
+  }
+
+  getEntry(hashString) {
+    return this.getDb().prepare('SELECT * FROM torrent_trash WHERE hash_string = ?').get(hashString) || null;
+  }
+
+  getTrashedHashes() {
+    return new Set(this.getDb().prepare('SELECT hash_string FROM torrent_trash').pluck().all());
+  }
+
+  // Drop trashed torrents from a daemon torrent list
+  withoutTrashed(torrents) {
+    const trashed = this.getTrashedHashes();
+    return trashed.size === 0 ? torrents : torrents.filter(t => !trashed.has(t.hashString));
+  }
+
+  // Stop torrents and move them to the trash (each torrent needs id,
+  // hashString, name, totalSize, downloadDir and status)
+  async trashTorrents(torrents, trashedBy) {
+    if (torrents.length === 0) return [];
+
+    const now = new Date();
+    const purgeAt = new Date(now.getTime() + this.graceHours * 60 * 60 * 1000);
+
+    await transmissionService.stopTorrent(torrents.map(t => t.id));
+
+    const db = this.getDb();
+    const insert = db.prepare(`
+      INSERT OR REPLACE INTO torrent_trash
+        (hash_string, name, total_size, download_dir, owner_id, owner_username, trashed_by, was_running, trashed_at, purge_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    db.transaction(() => {
+      for (const torrent of torrents) {
+        const meta = torrentMetadata.getTorrentMetadata(torrent.hashString);
+        insert.run(
+          torrent.hashString,
+          torrent.name,
+          torrent.totalSize ?? null,
+          torrent.downloadDir ?? null,
+          meta?.owner_id ?? null,
+          meta?.owner_username ?? null,
+          trashedBy,
+          torrent.status !== 0 ? 1 : 0,
+          now.toISOString(),
+          purgeAt.toISOString()
+        );
+      }
+    })();
+
+    console.log(`${torrents.length} torrent(s) moved to trash by ${trashedBy}, purge at ${purgeAt.toISOString()}`);
+    return torrents.map(t => this.getEntry(t.hashString));
+  }
+
+  async trashTorrent(torrent, trashedBy) {
+    const [entry] = await this.trashTorrents([torrent], trashedBy);
+    return entry;
+  }
+
+  async findTorrent(hashString) {
+    const torrents = await transmissionService.getTorrents();
+    return torrents.find(t => t.hashString === hashString) || null;
+  }
+
+  // Take a torrent out of the trash and resume it if it was running
+  async restore(hashString) {
+    const entry = this.getEntry(hashString);
+    if (!entry) {
+      const error = new Error('Torrent is not in the trash');
+      error.status = 404;
+      throw error;
+    }
+
+    const torrent = await this.findTorrent(hashString);
+    this.getDb().prepare('DELETE FROM torrent_trash WHERE hash_string = ?').run(hashString);
+
+    if (!torrent) {
+      const error = new Error('Torrent is no longer in Transmission and cannot be restored');
+      error.status = 410;
+      throw error;
+    }
+    if (entry.was_running) {
+      await transmissionService.startTorrent(torrent.id);
+    }
+
+    console.log(`Torrent ${entry.name} (${hashString}) restored from trash`);
+    return entry;
+  }
+
+  // Remove a trashed torrent and its data for good
+  async purge(hashString) {
+    const entry = this.getEntry(hashString);
+    if (!entry) {
+      return null;
+    }
+
+    const torrent = await this.findTorrent(hashString);
+    if (torrent) {
+      await transmissionService.removeTorrent(torrent.id, true);
+    }
+    torrentMetadata.deleteTorrentMetadata(hashString);
+    this.getDb().prepare('DELETE FROM torrent_trash WHERE hash_string = ?').run(hashString);
+
+    console.log(`Purged ${entry.name} (${hashString}) from trash`);
+    return entry;
+  }
+
+  async purgeExpired() {
+    const expired = this.getDb()
+      .prepare('SELECT hash_string FROM torrent_trash WHERE purge_at <= ? ORDER BY purge_at')
+      .pluck()
+      .all(new Date().toISOString());
+
+    const purged = [];
+    for (const hash of expired) {
+      try {
+        purged.push(await this.purge(hash));
+      } catch (err) {
+        console.error(`Failed to purge ${hash} from trash:`, err.message);
+      }
+    }
+    return purged;
+  }
+
+  // Purge trashed torrents, oldest first, until hasEnoughSpace() says so.
+  // Used by the disk monitor before it touches torrents that are still wanted;
+  // include(entry) limits it to entries on the volume that is short of space.
+  async purgeForSpace(hasEnoughSpace, include = () => true) {
+    const entries = this.getDb().prepare('SELECT hash_string, download_dir FROM torrent_trash ORDER BY trashed_at').all();
+    const purged = [];
+    for (const { hash_string: hash } of entries.filter(include)) {
+      try {
+        purged.push(await this.purge(hash));
+      } catch (err) {
+        console.error(`Failed to purge ${hash} from trash:`, err.message);
+        continue;
+      }
+      if (await hasEnoughSpace()) {
+        break;
+      }
+    }
+    return purged;
+  }
+
+  // Purge expired entries now unless a run is already in progress
+  purgeOnce() {
+    if (!this.purging) {
+      this.purging = this.purgeExpired().finally(() => {
+        this.purging = null;
+      });
+    }
+    return this.purging;
+  }
+
+  startPurging() {
+    console.log(`Trash enabled: deleted torrents are kept for ${this.graceHours} hours`);
+
+    setTimeout(() => {
+      this.purgeOnce().catch(err => console.error('Trash purge failed:', err.message));
+    }, 45000);
+
+    cron.schedule('*/10 * * * *', () => {
+      this.purgeOnce().catch(err => console.error('Trash purge failed:', err.message));
+    });
+  }
+}
+
+// Singleton instance
+const trash = new Trash();
+export default trash;
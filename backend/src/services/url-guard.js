@@ -0,0 +1,50 @@
+import dns from 'dns';
+import { promisify } from 'util';
+
+const dnsLookup = promisify(dns.lookup);
+
+// Security: Block private/internal IP ranges to prevent SSRF
+const PRIVATE_IP_RANGES = [
+  /^127\./,                    // Loopback
+  /^10\./,                     // Private Class A
+  /^172\.(1[6-9]|2[0-9]|3[0-1])\./, // Private Class B
+  /^192\.168\./,               // Private Class C
+  /^169\.254\./,               // Link-local
+  /^0\./,                      // Current network
+  /^224\./,                    // Multicast
+  /^240\./,                    // Reserved
+  /^::1$/,                     // IPv6 loopback
+  /^fe80:/i,                   // IPv6 link-local
+  /^fc00:/i,                   // IPv6 unique local
+  /^fd00:/i,                   // IPv6 unique local
+];
+
+export function isPrivateIP(ip) {
+  return PRIVATE_IP_RANGES.some(regex => regex.test(ip));
+}
+
+// Validate that a URL is http(s) and does not resolve to a private address.
+// Throws on failure, returns the parsed URL otherwise.
+export async function assertPublicHttpUrl(url) {
+  const parsedUrl = new URL(url);
+
+  // Only allow http and https protocols
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw new Error('Only HTTP and HTTPS URLs are allowed');
+  }
+
+  // Resolve hostname to IP and check for private IPs (SSRF protection)
+  try {
+    const { address } = await dnsLookup(parsedUrl.hostname);
+    if (isPrivateIP(address)) {
+      throw new Error('Access to private/internal networks is not allowed');
+    }
+  } catch (dnsError) {
+    if (dnsError.message.includes('private')) {
+      throw dnsError;
+    }
+    throw new Error(`DNS lookup failed: ${dnsError.message}`);
+  }
+
+  return parsedUrl;
+}
@@ -36,9 +36,9 @@ class UserDB {
     const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
     
     const result = this.db.prepare(`
-      INSERT INTO users (username, password_hash, is_admin, force_password_change)
-      VALUES (?, ?, ?, ?)
-    `).run(username, hashedPassword, isAdmin ? 1 : 0, forcePasswordChange ? 1 : 0);
+      INSERT INTO users (username, password_hash, email, is_admin, force_password_change)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(username, hashedPassword, email, isAdmin ? 1 : 0, forcePasswordChange ? 1 : 0);
     
     return this.getUserById(result.lastInsertRowid);
   }
@@ -69,6 +69,7 @@ class UserDB {
       SELECT 
         id, 
         username, 
+        email, 
         is_admin, 
         force_password_change,
         ftp_password IS NOT NULL as ftp_enabled,
@@ -104,6 +105,11 @@ class UserDB {
       values.push(updates.username);
     }
 
+    if (updates.email !== undefined) {
+      fieldsToUpdate.push('email = ?');
+      values.push(updates.email);
+    }
+
     if (updates.is_admin !== undefined) {
       fieldsToUpdate.push('is_admin = ?');
       values.push(updates.is_admin ? 1 : 0);
@@ -177,6 +183,26 @@ class UserDB {
     const user = this.getUserById(userId);
     return user && user.ftp_password !== null;
   }
+
+  // UI preferences (JSON object, empty when never saved)
+  getPreferences(userId) {
+    const row = this.db.prepare('SELECT preferences FROM users WHERE id = ?').get(userId);
+    if (!row?.preferences) {
+      return {};
+    }
+    try {
+      return JSON.parse(row.preferences);
+    } catch {
+      return {};
+    }
+  }
+
+  // Merge changed keys into the stored preferences; returns the result
+  setPreferences(userId, changes) {
+    const preferences = { ...this.getPreferences(userId), ...changes };
+    this.db.prepare('UPDATE users SET preferences = ? WHERE id = ?').run(JSON.stringify(preferences), userId);
+    return preferences;
+  }
 }
 
 // Singleton instance
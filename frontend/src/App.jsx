@@ -6,6 +6,7 @@ import DashboardPage from './pages/DashboardPage';
 import TorrentsPage from './pages/TorrentsPage';
 import FeedsPage from './pages/FeedsPage';
 import LinksPage from './pages/LinksPage';
+import TrashPage from './pages/TrashPage';
 import AdminPage from './pages/AdminPage';
 import './App.css';
 
@@ -45,6 +46,14 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/torrents/:hash"
+            element={
+              <ProtectedRoute>
+                <TorrentsPage />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/feeds"
             element={
@@ -61,6 +70,14 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/trash"
+            element={
+              <ProtectedRoute>
+                <TrashPage />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/admin"
             element={
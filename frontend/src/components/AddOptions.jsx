@@ -0,0 +1,121 @@
+import { useState, useId } from 'react';
+import './AddOptions.css';
+
+const EMPTY_FORM = {
+  paused: false,
+  downloadDir: '',
+  bandwidthPriority: 0,
+  peerLimit: '',
+  labels: ''
+};
+
+// Form values -> add-time options as accepted by /torrents/upload and /torrents/add
+const toOptions = (form) => {
+  const options = {};
+  if (form.paused) options.paused = true;
+  if (form.downloadDir.trim()) options['download-dir'] = form.downloadDir.trim();
+  if (form.bandwidthPriority !== 0) options.bandwidthPriority = form.bandwidthPriority;
+  if (form.peerLimit !== '') options['peer-limit'] = parseInt(form.peerLimit);
+  const labels = form.labels.split(',').map(l => l.trim()).filter(Boolean);
+  if (labels.length > 0) options.labels = labels;
+  return options;
+};
+
+// "Start paused" plus a collapsible advanced section shared by the upload
+// dialog and the magnet/URL form. Reports API-ready options through onChange;
+// remount (change the key) to reset.
+function AddOptions({ roots, onChange, disabled }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const rootsListId = useId();
+
+  const setValue = (key, value) => {
+    const next = { ...form, [key]: value };
+    setForm(next);
+    onChange(toOptions(next));
+  };
+
+  return (
+    <div className="add-options">
+      <div className="add-options-row">
+        <label className="add-options-check">
+          <input
+            type="checkbox"
+            checked={form.paused}
+            onChange={(e) => setValue('paused', e.target.checked)}
+            disabled={disabled}
+          />
+          Start paused
+        </label>
+        <button
+          type="button"
+          onClick={() => setShowAdvanced(!showAdvanced)}
+          className="add-options-toggle"
+        >
+          {showAdvanced ? '▾' : '▸'} Advanced
+        </button>
+      </div>
+
+      {showAdvanced && (
+        <div className="add-options-advanced">
+          <label>
+            Download location
+            <input
+              type="text"
+              list={rootsListId}
+              value={form.downloadDir}
+              onChange={(e) => setValue('downloadDir', e.target.value)}
+              placeholder="Default"
+              disabled={disabled}
+            />
+            <datalist id={rootsListId}>
+              {roots.map(root => (
+                <option key={root} value={root} />
+              ))}
+            </datalist>
+          </label>
+          <label>
+            Priority
+            <select
+              value={form.bandwidthPriority}
+              onChange={(e) => setValue('bandwidthPriority', Number(e.target.value))}
+              disabled={disabled}
+            >
+              <option value={1}>High</option>
+              <option value={0}>Normal</option>
+              <option value={-1}>Low</option>
+            </select>
+          </label>
+          <label>
+            Peer limit
+            <input
+              type="number"
+              min="1"
+              value={form.peerLimit}
+              onChange={(e) => setValue('peerLimit', e.target.value)}
+              placeholder="Default"
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Labels
+            <input
+              type="text"
+              value={form.labels}
+              onChange={(e) => setValue('labels', e.target.value)}
+              placeholder="comma, separated"
+              disabled={disabled}
+            />
+          </label>
+          {roots.length > 0 && (
+            <p className="add-options-hint">
+              Locations must be inside: {roots.join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AddOptions;
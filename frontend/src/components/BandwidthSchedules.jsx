@@ -0,0 +1,411 @@
+import { useState, useEffect } from 'react';
+import apiClient from '../api/client';
+import './BandwidthSchedules.css';
+
+const DAYS = [
+  { bit: 1, label: 'Sun' },
+  { bit: 2, label: 'Mon' },
+  { bit: 4, label: 'Tue' },
+  { bit: 8, label: 'Wed' },
+  { bit: 16, label: 'Thu' },
+  { bit: 32, label: 'Fri' },
+  { bit: 64, label: 'Sat' }
+];
+
+const EMPTY_PROFILE = {
+  name: '',
+  download_limit: null,
+  upload_limit: null,
+  alt_speed_enabled: false,
+  pause_all: false,
+  is_default: false
+};
+
+const EMPTY_SCHEDULE = {
+  profile_id: '',
+  days: 127,
+  start_minute: 0,
+  end_minute: 0,
+  enabled: true
+};
+
+// Schedules store times as minutes after midnight
+const minutesToTime = (minutes) => {
+  const h = String(Math.floor((minutes || 0) / 60)).padStart(2, '0');
+  const m = String((minutes || 0) % 60).padStart(2, '0');
+  return `${h}:${m}`;
+};
+
+const timeToMinutes = (time) => {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+
+const formatLimit = (limit) => (limit === null ? 'Unlimited' : `${limit} kB/s`);
+
+const formatDays = (days) => {
+  if (days === 127) return 'Every day';
+  if (days === 62) return 'Weekdays';
+  if (days === 65) return 'Weekends';
+  return DAYS.filter(day => days & day.bit).map(day => day.label).join(', ');
+};
+
+const fetchBandwidthData = async () => {
+  const [profiles, schedules] = await Promise.all([
+    apiClient.get('/bandwidth/profiles'),
+    apiClient.get('/bandwidth/schedules')
+  ]);
+  return { profiles: profiles.data, schedules: schedules.data };
+};
+
+const parseLimit = (value) => (value === '' ? null : parseInt(value));
+
+function BandwidthSchedules() {
+  const [profiles, setProfiles] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [error, setError] = useState('');
+  const [profileForm, setProfileForm] = useState(null);
+  const [scheduleForm, setScheduleForm] = useState(null);
+
+  const fetchAll = async () => {
+    const data = await fetchBandwidthData();
+    setProfiles(data.profiles);
+    setSchedules(data.schedules);
+  };
+
+  useEffect(() => {
+    const loadAll = async () => {
+      try {
+        const data = await fetchBandwidthData();
+        setProfiles(data.profiles);
+        setSchedules(data.schedules);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load bandwidth profiles');
+      } finally {
+        setLoaded(true);
+      }
+    };
+
+    loadAll();
+  }, []);
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const { id, ...data } = profileForm;
+      if (id) {
+        await apiClient.put(`/bandwidth/profiles/${id}`, data);
+      } else {
+        await apiClient.post('/bandwidth/profiles', data);
+      }
+      setProfileForm(null);
+      await fetchAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save profile');
+    }
+  };
+
+  const handleDeleteProfile = async (profile) => {
+    if (!confirm(`Delete profile "${profile.name}" and its schedules?`)) return;
+    setError('');
+    try {
+      await apiClient.delete(`/bandwidth/profiles/${profile.id}`);
+      await fetchAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete profile');
+    }
+  };
+
+  const handleSaveSchedule = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const { id, ...rest } = scheduleForm;
+      const data = {
+        profile_id: Number(rest.profile_id),
+        days: rest.days,
+        start_minute: rest.start_minute,
+        end_minute: rest.end_minute,
+        enabled: rest.enabled
+      };
+      if (id) {
+        await apiClient.put(`/bandwidth/schedules/${id}`, data);
+      } else {
+        await apiClient.post('/bandwidth/schedules', data);
+      }
+      setScheduleForm(null);
+      await fetchAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save schedule');
+    }
+  };
+
+  const handleToggleSchedule = async (schedule) => {
+    setError('');
+    try {
+      await apiClient.put(`/bandwidth/schedules/${schedule.id}`, {
+        profile_id: schedule.profile_id,
+        days: schedule.days,
+        start_minute: schedule.start_minute,
+        end_minute: schedule.end_minute,
+        enabled: !schedule.enabled
+      });
+      await fetchAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update schedule');
+    }
+  };
+
+  const handleDeleteSchedule = async (schedule) => {
+    if (!confirm('Delete this schedule?')) return;
+    setError('');
+    try {
+      await apiClient.delete(`/bandwidth/schedules/${schedule.id}`);
+      await fetchAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete schedule');
+    }
+  };
+
+  const setProfileValue = (key, value) => setProfileForm(prev => ({ ...prev, [key]: value }));
+  const setScheduleValue = (key, value) => setScheduleForm(prev => ({ ...prev, [key]: value }));
+
+  if (!loaded) {
+    return <p>Loading...</p>;
+  }
+
+  return (
+    <div className="bandwidth-schedules">
+      {error && <div className="error-message">{error}</div>}
+
+      <section className="bandwidth-section">
+        <div className="bandwidth-section-header">
+          <h3>Profiles</h3>
+          <button onClick={() => setProfileForm(profileForm ? null : { ...EMPTY_PROFILE })} className="add-button">
+            {profileForm ? 'Cancel' : 'Add Profile'}
+          </button>
+        </div>
+
+        {profileForm && (
+          <form onSubmit={handleSaveProfile} className="add-form bandwidth-form">
+            <div className="form-row">
+              <label>Name</label>
+              <input
+                type="text"
+                value={profileForm.name}
+                onChange={(e) => setProfileValue('name', e.target.value)}
+                required
+              />
+            </div>
+            <div className="form-row">
+              <label>Download limit (kB/s, empty = unlimited)</label>
+              <input
+                type="number"
+                min="0"
+                value={profileForm.download_limit ?? ''}
+                onChange={(e) => setProfileValue('download_limit', parseLimit(e.target.value))}
+              />
+            </div>
+            <div className="form-row">
+              <label>Upload limit (kB/s, empty = unlimited)</label>
+              <input
+                type="number"
+                min="0"
+                value={profileForm.upload_limit ?? ''}
+                onChange={(e) => setProfileValue('upload_limit', parseLimit(e.target.value))}
+              />
+            </div>
+            <div className="form-row checkbox-row">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={profileForm.alt_speed_enabled}
+                  onChange={(e) => setProfileValue('alt_speed_enabled', e.target.checked)}
+                />
+                Turn on alternative speed limits
+              </label>
+            </div>
+            <div className="form-row checkbox-row">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={profileForm.pause_all}
+                  onChange={(e) => setProfileValue('pause_all', e.target.checked)}
+                />
+                Pause all torrents
+              </label>
+            </div>
+            <div className="form-row checkbox-row">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={profileForm.is_default}
+                  onChange={(e) => setProfileValue('is_default', e.target.checked)}
+                />
+                Default profile (used when no schedule is active)
+              </label>
+            </div>
+            <button type="submit">
+              {profileForm.id ? 'Save Profile' : 'Create Profile'}
+            </button>
+          </form>
+        )}
+
+        {profiles.length === 0 ? (
+          <p className="empty-message">No bandwidth profiles yet.</p>
+        ) : (
+          <table className="bandwidth-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Download</th>
+                <th>Upload</th>
+                <th>Alt speed</th>
+                <th>Pause all</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {profiles.map(profile => (
+                <tr key={profile.id}>
+                  <td>
+                    {profile.name}
+                    {profile.is_default && <span className="default-badge">Default</span>}
+                  </td>
+                  <td>{formatLimit(profile.download_limit)}</td>
+                  <td>{formatLimit(profile.upload_limit)}</td>
+                  <td>{profile.alt_speed_enabled ? 'On' : 'Off'}</td>
+                  <td>{profile.pause_all ? 'Yes' : 'No'}</td>
+                  <td className="actions-cell">
+                    <button onClick={() => setProfileForm({ ...profile })} className="edit-button">
+                      Edit
+                    </button>
+                    <button onClick={() => handleDeleteProfile(profile)} className="delete-button">
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="bandwidth-section">
+        <div className="bandwidth-section-header">
+          <h3>Schedules</h3>
+          <button
+            onClick={() => setScheduleForm(scheduleForm ? null : { ...EMPTY_SCHEDULE, profile_id: profiles[0]?.id ?? '' })}
+            className="add-button"
+            disabled={profiles.length === 0}
+          >
+            {scheduleForm ? 'Cancel' : 'Add Schedule'}
+          </button>
+        </div>
+        <p className="bandwidth-hint">
+          The first matching schedule wins. A window that ends before it starts runs past midnight;
+          equal start and end times cover the whole day.
+        </p>
+
+        {scheduleForm && (
+          <form onSubmit={handleSaveSchedule} className="add-form bandwidth-form">
+            <div className="form-row">
+              <label>Profile</label>
+              <select
+                value={scheduleForm.profile_id}
+                onChange={(e) => setScheduleValue('profile_id', e.target.value)}
+                required
+              >
+                {profiles.map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-row inline-row">
+              <label>From</label>
+              <input
+                type="time"
+                value={minutesToTime(scheduleForm.start_minute)}
+                onChange={(e) => setScheduleValue('start_minute', timeToMinutes(e.target.value))}
+                required
+              />
+              <label>to</label>
+              <input
+                type="time"
+                value={minutesToTime(scheduleForm.end_minute)}
+                onChange={(e) => setScheduleValue('end_minute', timeToMinutes(e.target.value))}
+                required
+              />
+            </div>
+            <div className="form-row inline-row">
+              {DAYS.map(day => (
+                <label key={day.bit} className="day-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={!!(scheduleForm.days & day.bit)}
+                    onChange={(e) => setScheduleValue(
+                      'days',
+                      e.target.checked ? scheduleForm.days | day.bit : scheduleForm.days & ~day.bit
+                    )}
+                  />
+                  {day.label}
+                </label>
+              ))}
+            </div>
+            <button type="submit">
+              {scheduleForm.id ? 'Save Schedule' : 'Create Schedule'}
+            </button>
+          </form>
+        )}
+
+        {schedules.length === 0 ? (
+          <p className="empty-message">No schedules yet.</p>
+        ) : (
+          <table className="bandwidth-table">
+            <thead>
+              <tr>
+                <th>Profile</th>
+                <th>Days</th>
+                <th>Time</th>
+                <th>Enabled</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {schedules.map(schedule => (
+                <tr key={schedule.id} className={schedule.enabled ? '' : 'disabled-row'}>
+                  <td>{schedule.profile_name}</td>
+                  <td>{formatDays(schedule.days)}</td>
+                  <td>
+                    {schedule.start_minute === schedule.end_minute
+                      ? 'All day'
+                      : `${minutesToTime(schedule.start_minute)} – ${minutesToTime(schedule.end_minute)}`}
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={schedule.enabled}
+                      onChange={() => handleToggleSchedule(schedule)}
+                    />
+                  </td>
+                  <td className="actions-cell">
+                    <button onClick={() => setScheduleForm({ ...schedule })} className="edit-button">
+                      Edit
+                    </button>
+                    <button onClick={() => handleDeleteSchedule(schedule)} className="delete-button">
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default BandwidthSchedules;
@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import './BulkActionBar.css';
+
+// Actions for the torrents selected in the table. Deleting is confirmed by the
+// parent (remove dialog); everything else goes straight to onAction.
+function BulkActionBar({ count, categories, busy, onAction, onDelete, onClear }) {
+  const [labelsText, setLabelsText] = useState('');
+
+  const handleLabels = (e) => {
+    e.preventDefault();
+    const labels = labelsText.split(',').map(l => l.trim()).filter(Boolean);
+    onAction('labels', { labels });
+    setLabelsText('');
+  };
+
+  const handleCategory = (value) => {
+    if (value === '') return;
+    const categoryId = value === 'none' ? null : Number(value);
+    const target = categories.find(c => c.id === categoryId);
+    const destination = target ? `category "${target.name}"` : 'no category (default download directory)';
+    if (!confirm(`Move ${count} torrent(s) to ${destination}? Their data will be moved on disk.`)) return;
+    onAction('category', { category_id: categoryId });
+  };
+
+  return (
+    <div className="bulk-action-bar">
+      <span className="bulk-count">{count} selected</span>
+
+      <button onClick={() => onAction('start')} disabled={busy} className="action-button">Start</button>
+      <button onClick={() => onAction('stop')} disabled={busy} className="action-button">Stop</button>
+      <button onClick={() => onAction('verify')} disabled={busy} className="action-button">Verify</button>
+
+      <form onSubmit={handleLabels} className="bulk-labels">
+        <input
+          type="text"
+          value={labelsText}
+          onChange={(e) => setLabelsText(e.target.value)}
+          placeholder="label1, label2"
+          disabled={busy}
+        />
+        <button type="submit" disabled={busy} className="action-button" title="Replace the labels of all selected torrents">
+          Set labels
+        </button>
+      </form>
+
+      {categories.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => handleCategory(e.target.value)}
+          disabled={busy}
+          className="category-select"
+        >
+          <option value="">Move to category...</option>
+          <option value="none">No category</option>
+          {categories.map(category => (
+            <option key={category.id} value={category.id}>{category.name}</option>
+          ))}
+        </select>
+      )}
+
+      <button onClick={() => onAction('block-auto-remove', { block: true })} disabled={busy} className="action-button">
+        Block auto-remove
+      </button>
+      <button onClick={() => onAction('block-auto-remove', { block: false })} disabled={busy} className="action-button">
+        Allow auto-remove
+      </button>
+      <button onClick={onDelete} disabled={busy} className="delete-button">Delete</button>
+      <button onClick={onClear} disabled={busy} className="dismiss-button">Clear selection</button>
+    </div>
+  );
+}
+
+export default BulkActionBar;
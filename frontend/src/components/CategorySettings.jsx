@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react';
+import apiClient from '../api/client';
+import './CategorySettings.css';
+
+const EMPTY_CATEGORY = {
+  name: '',
+  download_dir: '',
+  seed_ratio_limit: null,
+  seed_idle_limit: null
+};
+
+const parseOptional = (value, parse) => (value === '' ? null : parse(value));
+
+function CategorySettings() {
+  const [categories, setCategories] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(null);
+
+  const fetchCategories = async () => {
+    const response = await apiClient.get('/categories');
+    setCategories(response.data);
+  };
+
+  useEffect(() => {
+    const loadCategories = async () => {
+      try {
+        const response = await apiClient.get('/categories');
+        setCategories(response.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load categories');
+      } finally {
+        setLoaded(true);
+      }
+    };
+
+    loadCategories();
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const { id, name, download_dir, seed_ratio_limit, seed_idle_limit } = form;
+      const data = { name, download_dir, seed_ratio_limit, seed_idle_limit };
+      if (id) {
+        await apiClient.put(`/categories/${id}`, data);
+      } else {
+        await apiClient.post('/categories', data);
+      }
+      setForm(null);
+      await fetchCategories();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save category');
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!confirm(`Delete category "${category.name}"? Torrents stay where they are.`)) return;
+    setError('');
+    try {
+      await apiClient.delete(`/categories/${category.id}`);
+      await fetchCategories();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete category');
+    }
+  };
+
+  const setValue = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  if (!loaded) {
+    return <p>Loading...</p>;
+  }
+
+  return (
+    <div className="category-settings">
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="category-settings-header">
+        <p className="category-hint">
+          Torrents added into a category are saved to its directory. Changing a category does not move existing torrents.
+        </p>
+        <button onClick={() => setForm(form ? null : { ...EMPTY_CATEGORY })} className="add-button">
+          {form ? 'Cancel' : 'Add Category'}
+        </button>
+      </div>
+
+      {form && (
+        <form onSubmit={handleSave} className="add-form category-form">
+          <div className="form-row">
+            <label>Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setValue('name', e.target.value)}
+              required
+            />
+          </div>
+          <div className="form-row">
+            <label>Download directory</label>
+            <input
+              type="text"
+              value={form.download_dir}
+              onChange={(e) => setValue('download_dir', e.target.value)}
+              placeholder="/downloads/movies"
+              required
+            />
+          </div>
+          <div className="form-row">
+            <label>Stop seeding at ratio (empty = global setting)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={form.seed_ratio_limit ?? ''}
+              onChange={(e) => setValue('seed_ratio_limit', parseOptional(e.target.value, parseFloat))}
+            />
+          </div>
+          <div className="form-row">
+            <label>Stop seeding when idle for minutes (empty = global setting)</label>
+            <input
+              type="number"
+              min="1"
+              value={form.seed_idle_limit ?? ''}
+              onChange={(e) => setValue('seed_idle_limit', parseOptional(e.target.value, parseInt))}
+            />
+          </div>
+          <button type="submit">{form.id ? 'Save Category' : 'Create Category'}</button>
+        </form>
+      )}
+
+      {categories.length === 0 ? (
+        <p className="empty-message">No categories yet.</p>
+      ) : (
+        <table className="category-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Download directory</th>
+              <th>Seed ratio</th>
+              <th>Seed idle limit</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {categories.map(category => (
+              <tr key={category.id}>
+                <td>{category.name}</td>
+                <td className="category-dir">{category.download_dir}</td>
+                <td>{category.seed_ratio_limit ?? 'Global'}</td>
+                <td>{category.seed_idle_limit !== null ? `${category.seed_idle_limit} min` : 'Global'}</td>
+                <td className="actions-cell">
+                  <button onClick={() => setForm({ ...category })} className="edit-button">
+                    Edit
+                  </button>
+                  <button onClick={() => handleDelete(category)} className="delete-button">
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default CategorySettings;
@@ -0,0 +1,43 @@
+import { useState } from 'react';
+import { TORRENT_COLUMNS } from './torrentColumns';
+import './ColumnChooser.css';
+
+// Dropdown of optional torrent table columns; onChange gets the new id list
+function ColumnChooser({ columns, onChange }) {
+  const [open, setOpen] = useState(false);
+  const visible = new Set(columns.map(column => column.id));
+
+  const toggle = (id) => {
+    const next = new Set(visible);
+    if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+    onChange(TORRENT_COLUMNS.filter(column => next.has(column.id)).map(column => column.id));
+  };
+
+  return (
+    <div className="column-chooser">
+      <button onClick={() => setOpen(!open)} className="column-chooser-toggle" aria-expanded={open}>
+        Columns
+      </button>
+      {open && (
+        <div className="column-chooser-menu">
+          {TORRENT_COLUMNS.map(column => (
+            <label key={column.id}>
+              <input
+                type="checkbox"
+                checked={visible.has(column.id)}
+                onChange={() => toggle(column.id)}
+              />
+              {column.label}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ColumnChooser;
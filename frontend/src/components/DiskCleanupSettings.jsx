@@ -0,0 +1,326 @@
+import { useState, useEffect } from 'react';
+import apiClient from '../api/client';
+import { formatBytes } from './torrentColumns';
+import './DiskCleanupSettings.css';
+
+const PROTECTION_LABELS = {
+  incomplete: 'incomplete',
+  blocked: 'blocked from auto-remove',
+  retention: 'younger than the retention age',
+  ratio: 'below the ratio floor'
+};
+
+// Admin settings for automatic disk cleanup, with a dry run of the
+// (possibly unsaved) policy before anything is deleted
+function DiskCleanupSettings() {
+  const [policy, setPolicy] = useState(null);
+  const [strategies, setStrategies] = useState([]);
+  const [edits, setEdits] = useState({});
+  const [volumes, setVolumes] = useState([]);
+  const [thresholdEdits, setThresholdEdits] = useState({});
+  const [previewVolume, setPreviewVolume] = useState('');
+  const [previewGb, setPreviewGb] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+
+  useEffect(() => {
+    const loadPolicy = async () => {
+      try {
+        const response = await apiClient.get('/admin/disk/cleanup-policy');
+        setPolicy(response.data.policy);
+        setStrategies(response.data.strategies);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load cleanup policy');
+      }
+    };
+
+    const loadVolumes = async () => {
+      try {
+        const response = await apiClient.get('/admin/disk/volumes');
+        setVolumes(response.data.volumes);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load storage volumes');
+      }
+    };
+
+    loadPolicy();
+    loadVolumes();
+  }, []);
+
+  const current = { ...policy, ...edits };
+  const setValue = (key, value) => setEdits(prev => ({ ...prev, [key]: value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      const response = await apiClient.patch('/admin/disk/cleanup-policy', edits);
+      setPolicy(response.data.policy);
+      setEdits({});
+      setMessage('Cleanup policy saved');
+      setTimeout(() => setMessage(''), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save cleanup policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // null values reset the volume to the server defaults
+  const saveThresholds = async (volume, changes) => {
+    setError('');
+    try {
+      const response = await apiClient.patch('/admin/disk/volumes/threshold', { path: volume.path, ...changes });
+      setVolumes(response.data.volumes);
+      setThresholdEdits(prev => {
+        const next = { ...prev };
+        delete next[volume.path];
+        return next;
+      });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save threshold');
+    }
+  };
+
+  const handlePreview = async () => {
+    setPreviewing(true);
+    setError('');
+    try {
+      const params = { ...current };
+      if (previewVolume) {
+        params.volume = previewVolume;
+      }
+      if (previewGb !== '') {
+        params.bytes = Math.round(parseFloat(previewGb) * 1024 ** 3);
+      }
+      const response = await apiClient.get('/admin/disk/cleanup-preview', { params });
+      setPreview(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to preview cleanup');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  if (!policy) {
+    return error ? <div className="error-message">{error}</div> : <p>Loading...</p>;
+  }
+
+  const selectedStrategy = strategies.find(s => s.id === current.strategy);
+  const protectedCounts = Object.entries(preview?.protected || {});
+
+  return (
+    <div className="disk-cleanup">
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      <form onSubmit={handleSave} className="disk-cleanup-form">
+        <div className="form-row">
+          <label>Removal order</label>
+          <select value={current.strategy} onChange={(e) => setValue('strategy', e.target.value)}>
+            {strategies.map(strategy => (
+              <option key={strategy.id} value={strategy.id}>{strategy.label}</option>
+            ))}
+          </select>
+          {selectedStrategy && <small>{selectedStrategy.description}</small>}
+        </div>
+        <div className="form-row">
+          <label>Minimum retention (hours)</label>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={current.min_age_hours}
+            onChange={(e) => setValue('min_age_hours', parseFloat(e.target.value) || 0)}
+          />
+          <small>Torrents added more recently are never removed automatically</small>
+        </div>
+        <div className="form-row">
+          <label>Seeding ratio floor</label>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={current.min_ratio}
+            onChange={(e) => setValue('min_ratio', parseFloat(e.target.value) || 0)}
+          />
+          <small>Torrents below this ratio keep seeding (0 = no floor)</small>
+        </div>
+        <div className="form-row checkbox-row">
+          <label>
+            <input
+              type="checkbox"
+              checked={current.prefer_over_quota}
+              onChange={(e) => setValue('prefer_over_quota', e.target.checked)}
+            />
+            Remove torrents of users over their storage quota first
+          </label>
+        </div>
+        <div className="disk-cleanup-actions">
+          <button type="button" onClick={() => setEdits({})} disabled={saving || Object.keys(edits).length === 0} className="cancel-button">
+            Discard
+          </button>
+          <button type="submit" disabled={saving || Object.keys(edits).length === 0}>
+            {saving ? 'Saving...' : 'Save Policy'}
+          </button>
+        </div>
+      </form>
+
+      <section className="disk-cleanup-volumes">
+        <h3>Storage volumes</h3>
+        <table className="preview-table">
+          <thead>
+            <tr>
+              <th>Volume</th>
+              <th>Used for</th>
+              <th>Free</th>
+              <th>Pause below (% free)</th>
+              <th>Remove below (% free)</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {volumes.map(volume => {
+              const edited = thresholdEdits[volume.path] || {};
+              const changes = Object.fromEntries(
+                Object.entries(edited).map(([key, value]) => [key, parseFloat(value)])
+              );
+              const valid = Object.keys(changes).length > 0 && Object.values(changes).every(v => !Number.isNaN(v));
+              const thresholdInput = (key) => (
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="1"
+                  value={edited[key] ?? volume[key]}
+                  onChange={(e) => setThresholdEdits(prev => ({
+                    ...prev,
+                    [volume.path]: { ...prev[volume.path], [key]: e.target.value }
+                  }))}
+                />
+              );
+              return (
+                <tr key={volume.id} className={`volume-${volume.status}`}>
+                  <td title={volume.paths.join('\n')}>{volume.path}</td>
+                  <td>{volume.uses.join(', ')}</td>
+                  <td>
+                    {volume.total !== null
+                      ? `${formatBytes(volume.free)} (${volume.free_percent.toFixed(1)}%)`
+                      : <span title={volume.error}>unknown</span>}
+                    {volume.paused > 0 && <div className="volume-paused">{volume.paused} paused</div>}
+                  </td>
+                  <td className="threshold-cell">{thresholdInput('warning_threshold')}</td>
+                  <td className="threshold-cell">{thresholdInput('threshold')}</td>
+                  <td className="threshold-cell">
+                    <button type="button" onClick={() => saveThresholds(volume, changes)} disabled={!valid}>
+                      Save
+                    </button>
+                    <button
+                      type="button"
+                      className="cancel-button"
+                      onClick={() => saveThresholds(volume, { threshold: null, warning_threshold: null })}
+                    >
+                      Default
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="disk-cleanup-preview">
+        <div className="preview-controls">
+          <h3>Dry run</h3>
+          <select value={previewVolume} onChange={(e) => setPreviewVolume(e.target.value)}>
+            <option value="">Download directory volume</option>
+            {volumes.map(volume => (
+              <option key={volume.id} value={volume.path}>{volume.path}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={previewGb}
+            onChange={(e) => setPreviewGb(e.target.value)}
+            placeholder="GB to free (default: what is missing now)"
+          />
+          <button onClick={handlePreview} disabled={previewing}>
+            {previewing ? 'Checking...' : 'Preview Cleanup'}
+          </button>
+        </div>
+
+        {preview && (
+          <>
+            <p className="preview-summary">
+              {preview.volume.path}:{' '}
+              {preview.volume.total !== null
+                ? `${formatBytes(preview.volume.free)} free of ${formatBytes(preview.volume.total)} (${preview.volume.free_percent.toFixed(1)}%, removal below ${preview.volume.threshold}%).`
+                : 'free space unknown.'}{' '}
+              {preview.bytes_needed === 0
+                ? 'Nothing needs to be removed right now.'
+                : `To free ${formatBytes(preview.bytes_needed)}, the cleanup would remove ${preview.trash.length + preview.torrents.length} item(s), about ${formatBytes(preview.bytes_freed)}.`}
+              {preview.bytes_needed > 0 && !preview.sufficient && (
+                <strong> Not enough eligible torrents to free that much.</strong>
+              )}
+            </p>
+            {protectedCounts.length > 0 && (
+              <p className="preview-protected">
+                Kept by the policy: {protectedCounts.map(([reason, count]) => `${count} ${PROTECTION_LABELS[reason] || reason}`).join(', ')}.
+              </p>
+            )}
+
+            {(preview.trash.length > 0 || preview.torrents.length > 0) && (
+              <table className="preview-table">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Name</th>
+                    <th>Owner</th>
+                    <th>Size</th>
+                    <th>Ratio</th>
+                    <th>Added</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.trash.map((entry, index) => (
+                    <tr key={entry.hashString} className="from-trash">
+                      <td>{index + 1}</td>
+                      <td>{entry.name} <span className="trash-tag">trash</span></td>
+                      <td>{entry.owner || '—'}</td>
+                      <td>{formatBytes(entry.size)}</td>
+                      <td>—</td>
+                      <td>—</td>
+                    </tr>
+                  ))}
+                  {preview.torrents.map((torrent, index) => (
+                    <tr key={torrent.hashString}>
+                      <td>{preview.trash.length + index + 1}</td>
+                      <td>{torrent.name}</td>
+                      <td>
+                        {torrent.owner || 'unknown'}
+                        {torrent.over_quota && <span className="quota-tag">over quota</span>}
+                      </td>
+                      <td>{formatBytes(torrent.size)}</td>
+                      <td>{torrent.ratio >= 0 ? torrent.ratio.toFixed(2) : '—'}</td>
+                      <td>{torrent.added_date ? new Date(torrent.added_date * 1000).toLocaleDateString() : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default DiskCleanupSettings;
@@ -0,0 +1,192 @@
+import { useState, useMemo } from 'react';
+import './FileTree.css';
+
+const PRIORITY_OPTIONS = [
+  { value: 1, label: 'High' },
+  { value: 0, label: 'Normal' },
+  { value: -1, label: 'Low' }
+];
+
+const PRIORITY_NAMES = { 1: 'high', 0: 'normal', '-1': 'low' };
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+// Turn Transmission's flat file list ("Show/Season 1/E01.mkv") into a folder tree.
+// Every folder keeps the indices of all files below it for bulk toggling.
+const buildTree = (files) => {
+  const root = { name: '', path: '', children: new Map(), indices: [] };
+
+  files.forEach((file, index) => {
+    const parts = file.name.split('/');
+    let node = root;
+    node.indices.push(index);
+
+    parts.forEach((part, depth) => {
+      const path = parts.slice(0, depth + 1).join('/');
+      if (depth === parts.length - 1) {
+        node.children.set(path, { name: part, path, index, indices: [index] });
+        return;
+      }
+      if (!node.children.has(path)) {
+        node.children.set(path, { name: part, path, children: new Map(), indices: [] });
+      }
+      node = node.children.get(path);
+      node.indices.push(index);
+    });
+  });
+
+  return root;
+};
+
+function FileTree({ files, fileStats, editable, onApply }) {
+  // Pending edits keyed by file index; anything not edited follows the server state
+  const [edits, setEdits] = useState({});
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [saving, setSaving] = useState(false);
+
+  const tree = useMemo(() => buildTree(files), [files]);
+
+  const isWanted = (index) => edits[index]?.wanted ?? !!fileStats[index]?.wanted;
+  const getPriority = (index) => edits[index]?.priority ?? fileStats[index]?.priority ?? 0;
+  const hasEdits = Object.keys(edits).length > 0;
+
+  const totalSize = files.reduce((sum, file) => sum + file.length, 0);
+  const wantedIndices = files.map((_, index) => index).filter(isWanted);
+  const wantedSize = wantedIndices.reduce((sum, index) => sum + files[index].length, 0);
+
+  const updateFiles = (indices, change) => {
+    setEdits(prev => {
+      const next = { ...prev };
+      indices.forEach(index => {
+        next[index] = { ...next[index], ...change };
+      });
+      return next;
+    });
+  };
+
+  const toggleCollapsed = (path) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
+  // Only send what actually differs from the daemon's current state
+  const buildChanges = () => {
+    const changes = { wanted: [], unwanted: [], high: [], normal: [], low: [] };
+    Object.keys(edits).map(Number).forEach(index => {
+      const stats = fileStats[index] || {};
+      if (isWanted(index) !== !!stats.wanted) {
+        changes[isWanted(index) ? 'wanted' : 'unwanted'].push(index);
+      }
+      if (getPriority(index) !== stats.priority) {
+        changes[PRIORITY_NAMES[getPriority(index)]].push(index);
+      }
+    });
+    return changes;
+  };
+
+  const handleApply = async () => {
+    setSaving(true);
+    try {
+      await onApply(buildChanges());
+      setEdits({});
+    } catch {
+      // Keep the pending edits so the user can retry; the parent shows the error
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderNode = (node, depth) => {
+    const allWanted = node.indices.every(isWanted);
+    const someWanted = node.indices.some(isWanted);
+    const size = node.indices.reduce((sum, index) => sum + files[index].length, 0);
+    const priorities = new Set(node.indices.map(getPriority));
+    const isFolder = !!node.children;
+    const isCollapsed = collapsed.has(node.path);
+
+    return (
+      <li key={node.path}>
+        <div className="file-row" style={{ paddingLeft: `${depth * 1.25}rem` }}>
+          {isFolder ? (
+            <button className="folder-toggle" onClick={() => toggleCollapsed(node.path)}>
+              {isCollapsed ? '▸' : '▾'}
+            </button>
+          ) : (
+            <span className="folder-toggle" />
+          )}
+          <input
+            type="checkbox"
+            checked={allWanted}
+            ref={(el) => { if (el) el.indeterminate = someWanted && !allWanted; }}
+            onChange={() => updateFiles(node.indices, { wanted: !allWanted })}
+            disabled={!editable}
+          />
+          <span className={isFolder ? 'file-name folder' : 'file-name'} title={node.path}>
+            {node.name}
+          </span>
+          {!isFolder && (
+            <span className="file-progress">
+              {Math.round((files[node.index].length ? files[node.index].bytesCompleted / files[node.index].length : 1) * 100)}%
+            </span>
+          )}
+          <span className="file-size">{formatBytes(size)}</span>
+          <select
+            value={priorities.size === 1 ? [...priorities][0] : ''}
+            onChange={(e) => e.target.value !== '' && updateFiles(node.indices, { priority: Number(e.target.value) })}
+            disabled={!editable}
+            className="file-priority"
+          >
+            {priorities.size > 1 && <option value="">Mixed</option>}
+            {PRIORITY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        {isFolder && !isCollapsed && (
+          <ul>
+            {[...node.children.values()].map(child => renderNode(child, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="file-tree">
+      <div className="file-tree-summary">
+        <span>
+          Will download <strong>{formatBytes(wantedSize)}</strong> of {formatBytes(totalSize)}
+          {' '}({wantedIndices.length} of {files.length} files)
+        </span>
+        {editable && (
+          <span className="file-tree-actions">
+            <button onClick={() => setEdits({})} disabled={!hasEdits || saving} className="cancel-button">
+              Discard
+            </button>
+            <button onClick={handleApply} disabled={!hasEdits || saving} className="save-button">
+              {saving ? 'Saving...' : 'Apply'}
+            </button>
+          </span>
+        )}
+      </div>
+      <ul className="file-tree-root">
+        {[...tree.children.values()].map(child => renderNode(child, 0))}
+      </ul>
+    </div>
+  );
+}
+
+export default FileTree;
@@ -21,7 +21,7 @@ function Layout({ children }) {
     setTimeout(() => setSuccessMessage(''), 3000);
   };
 
-  const isActive = (path) => location.pathname === path;
+  const isActive = (path) => location.pathname === path || location.pathname.startsWith(`${path}/`);
 
   return (
     <div className="layout">
@@ -36,6 +36,9 @@ function Layout({ children }) {
           <Link to="/torrents" className={isActive('/torrents') ? 'active' : ''}>
             Torrents
           </Link>
+          <Link to="/trash" className={isActive('/trash') ? 'active' : ''}>
+            Trash
+          </Link>
           <Link to="/feeds" className={isActive('/feeds') ? 'active' : ''}>
             RSS Feeds
           </Link>
@@ -0,0 +1,308 @@
+import { useState, useEffect } from 'react';
+import apiClient from '../api/client';
+import './OrphanTorrents.css';
+
+const RULE_TYPE_LABELS = {
+  download_dir: 'Download dir starts with',
+  tracker: 'Tracker host is'
+};
+
+const EMPTY_RULE = { match_type: 'download_dir', pattern: '', user_id: '' };
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+const trackerHost = (announce) => {
+  try {
+    return new URL(announce).hostname;
+  } catch {
+    return announce;
+  }
+};
+
+const fetchOrphanData = async () => {
+  const [orphans, rules, users, report] = await Promise.all([
+    apiClient.get('/admin/orphans'),
+    apiClient.get('/admin/ownership-rules'),
+    apiClient.get('/admin/users'),
+    apiClient.get('/admin/reconcile')
+  ]);
+  return { orphans: orphans.data, rules: rules.data, users: users.data, report: report.data };
+};
+
+function OrphanTorrents() {
+  const [orphans, setOrphans] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [report, setReport] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(() => new Set());
+  const [assignUser, setAssignUser] = useState('');
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  const [running, setRunning] = useState(false);
+
+  const applyData = (data) => {
+    setOrphans(data.orphans);
+    setRules(data.rules);
+    setUsers(data.users);
+    setReport(data.report);
+    // Drop selections for torrents that are no longer orphans
+    setSelected(prev => new Set(data.orphans.map(o => o.hashString).filter(hash => prev.has(hash))));
+  };
+
+  const fetchAll = async () => applyData(await fetchOrphanData());
+
+  useEffect(() => {
+    const loadAll = async () => {
+      try {
+        const data = await fetchOrphanData();
+        setOrphans(data.orphans);
+        setRules(data.rules);
+        setUsers(data.users);
+        setReport(data.report);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load orphaned torrents');
+      } finally {
+        setLoaded(true);
+      }
+    };
+
+    loadAll();
+  }, []);
+
+  const toggleSelected = (hash) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(hash)) {
+        next.delete(hash);
+      } else {
+        next.add(hash);
+      }
+      return next;
+    });
+  };
+
+  const allSelected = orphans.length > 0 && orphans.every(o => selected.has(o.hashString));
+
+  const handleAssign = async () => {
+    setError('');
+    try {
+      await apiClient.post('/admin/orphans/assign', {
+        hashes: [...selected],
+        user_id: Number(assignUser)
+      });
+      await fetchAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to assign torrents');
+    }
+  };
+
+  const handleAddRule = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await apiClient.post('/admin/ownership-rules', { ...ruleForm, user_id: Number(ruleForm.user_id) });
+      setRuleForm(EMPTY_RULE);
+      await fetchAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to add rule');
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!confirm('Delete this rule?')) return;
+    setError('');
+    try {
+      await apiClient.delete(`/admin/ownership-rules/${rule.id}`);
+      await fetchAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete rule');
+    }
+  };
+
+  const handleRunNow = async () => {
+    setRunning(true);
+    setError('');
+    try {
+      await apiClient.post('/admin/reconcile');
+      await fetchAll();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Reconciliation failed');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  if (!loaded) {
+    return <p>Loading...</p>;
+  }
+
+  return (
+    <div className="orphan-torrents">
+      {error && <div className="error-message">{error}</div>}
+
+      <section className="orphan-section">
+        <div className="orphan-section-header">
+          <h3>Torrents without an owner ({orphans.length})</h3>
+          <div className="assign-bar">
+            <select value={assignUser} onChange={(e) => setAssignUser(e.target.value)}>
+              <option value="">Assign to user...</option>
+              {users.map(u => (
+                <option key={u.id} value={u.id}>{u.username}</option>
+              ))}
+            </select>
+            <button onClick={handleAssign} disabled={!assignUser || selected.size === 0} className="add-button">
+              Assign {selected.size > 0 ? `(${selected.size})` : ''}
+            </button>
+          </div>
+        </div>
+
+        {orphans.length === 0 ? (
+          <p className="empty-message">Every torrent has an owner.</p>
+        ) : (
+          <table className="orphan-table">
+            <thead>
+              <tr>
+                <th>
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={() => setSelected(allSelected ? new Set() : new Set(orphans.map(o => o.hashString)))}
+                  />
+                </th>
+                <th>Name</th>
+                <th>Size</th>
+                <th>Location</th>
+                <th>Trackers</th>
+              </tr>
+            </thead>
+            <tbody>
+              {orphans.map(orphan => (
+                <tr key={orphan.hashString}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={selected.has(orphan.hashString)}
+                      onChange={() => toggleSelected(orphan.hashString)}
+                    />
+                  </td>
+                  <td title={orphan.hashString}>{orphan.name}</td>
+                  <td>{formatBytes(orphan.totalSize)}</td>
+                  <td className="orphan-dir">{orphan.downloadDir}</td>
+                  <td>{[...new Set(orphan.trackers.map(t => trackerHost(t.announce)))].join(', ') || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="orphan-section">
+        <div className="orphan-section-header">
+          <h3>Auto-assignment rules</h3>
+        </div>
+        <p className="orphan-hint">
+          Checked on every reconciliation run; the first matching rule assigns the torrent.
+        </p>
+
+        <form onSubmit={handleAddRule} className="rule-form">
+          <select
+            value={ruleForm.match_type}
+            onChange={(e) => setRuleForm({ ...ruleForm, match_type: e.target.value })}
+          >
+            {Object.entries(RULE_TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={ruleForm.pattern}
+            onChange={(e) => setRuleForm({ ...ruleForm, pattern: e.target.value })}
+            placeholder={ruleForm.match_type === 'tracker' ? 'tracker.example.org' : '/downloads/alice'}
+            required
+          />
+          <select
+            value={ruleForm.user_id}
+            onChange={(e) => setRuleForm({ ...ruleForm, user_id: e.target.value })}
+            required
+          >
+            <option value="">User...</option>
+            {users.map(u => (
+              <option key={u.id} value={u.id}>{u.username}</option>
+            ))}
+          </select>
+          <button type="submit" className="add-button">Add Rule</button>
+        </form>
+
+        {rules.length > 0 && (
+          <table className="orphan-table">
+            <thead>
+              <tr>
+                <th>Rule</th>
+                <th>Assign to</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(rule => (
+                <tr key={rule.id}>
+                  <td>{RULE_TYPE_LABELS[rule.match_type]} <code>{rule.pattern}</code></td>
+                  <td>{rule.username}</td>
+                  <td>
+                    <button onClick={() => handleDeleteRule(rule)} className="delete-button">
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="orphan-section">
+        <div className="orphan-section-header">
+          <h3>Reconciliation</h3>
+          <button onClick={handleRunNow} disabled={running} className="add-button">
+            {running ? 'Running...' : 'Run Now'}
+          </button>
+        </div>
+        {report ? (
+          <div className="reconcile-report">
+            <p>
+              Last run {new Date(report.ran_at).toLocaleString()}: {report.auto_assigned.length} auto-assigned,
+              {' '}{report.purged.length} stale metadata entr{report.purged.length === 1 ? 'y' : 'ies'} purged,
+              {' '}{report.pending_purge} waiting for the grace period.
+            </p>
+            {report.auto_assigned.length > 0 && (
+              <ul>
+                {report.auto_assigned.map(item => (
+                  <li key={item.hashString}>Assigned {item.name} to {item.username}</li>
+                ))}
+              </ul>
+            )}
+            {report.purged.length > 0 && (
+              <ul>
+                {report.purged.map(item => (
+                  <li key={item.hashString}>
+                    Purged <code>{item.hashString}</code> (owner {item.owner_username || 'unknown'}, missing since {new Date(item.missing_since).toLocaleString()})
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ) : (
+          <p className="empty-message">Reconciliation has not run yet.</p>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default OrphanTorrents;
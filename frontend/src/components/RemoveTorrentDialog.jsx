@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import './RemoveTorrentDialog.css';
+
+// Ask how to remove one or more torrents: from the list only (files stay on
+// disk, admins only) or together with their downloaded files.
+function RemoveTorrentDialog({ torrents, canKeepData, onConfirm, onClose }) {
+  const [deleteData, setDeleteData] = useState(true);
+  const [removing, setRemoving] = useState(false);
+
+  const handleConfirm = async () => {
+    setRemoving(true);
+    try {
+      await onConfirm(deleteData);
+    } finally {
+      setRemoving(false);
+    }
+  };
+
+  const title = torrents.length === 1 ? `"${torrents[0].name}"` : `${torrents.length} torrents`;
+
+  return (
+    <div className="remove-dialog-overlay" onClick={onClose}>
+      <div className="remove-dialog" onClick={(e) => e.stopPropagation()}>
+        <h3>Remove {title}?</h3>
+
+        {canKeepData ? (
+          <div className="remove-choices">
+            <label>
+              <input
+                type="radio"
+                name="remove-mode"
+                checked={!deleteData}
+                onChange={() => setDeleteData(false)}
+              />
+              <span>
+                <strong>Remove</strong>
+                <small>Stop tracking; downloaded files stay on disk (e.g. for FTP users)</small>
+              </span>
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="remove-mode"
+                checked={deleteData}
+                onChange={() => setDeleteData(true)}
+              />
+              <span>
+                <strong>Remove and delete files</strong>
+                <small>Downloaded data is deleted (after the trash grace period, if enabled)</small>
+              </span>
+            </label>
+          </div>
+        ) : (
+          <p className="remove-warning">
+            The torrent and its downloaded files will be deleted. While the trash is enabled, it can be restored from the Trash page until it is purged.
+          </p>
+        )}
+
+        <div className="remove-dialog-footer">
+          <button onClick={onClose} className="remove-cancel" disabled={removing}>
+            Cancel
+          </button>
+          <button onClick={handleConfirm} className="remove-confirm" disabled={removing}>
+            {removing ? 'Removing...' : deleteData ? 'Remove and delete files' : 'Remove'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RemoveTorrentDialog;
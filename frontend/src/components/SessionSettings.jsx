@@ -0,0 +1,206 @@
+import { useState, useEffect } from 'react';
+import apiClient from '../api/client';
+import './SessionSettings.css';
+
+const DAYS = [
+  { bit: 1, label: 'Sun' },
+  { bit: 2, label: 'Mon' },
+  { bit: 4, label: 'Tue' },
+  { bit: 8, label: 'Wed' },
+  { bit: 16, label: 'Thu' },
+  { bit: 32, label: 'Fri' },
+  { bit: 64, label: 'Sat' }
+];
+
+// Transmission stores alt-speed times as minutes after midnight
+const minutesToTime = (minutes) => {
+  const h = String(Math.floor((minutes || 0) / 60)).padStart(2, '0');
+  const m = String((minutes || 0) % 60).padStart(2, '0');
+  return `${h}:${m}`;
+};
+
+const timeToMinutes = (time) => {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+
+function SessionSettings() {
+  const [settings, setSettings] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const response = await apiClient.get('/admin/transmission/session');
+        setSettings(response.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load Transmission settings');
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const value = (key) => (key in edits ? edits[key] : settings?.[key]);
+  const setValue = (key, newValue) => setEdits(prev => ({ ...prev, [key]: newValue }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      const response = await apiClient.patch('/admin/transmission/session', edits);
+      setSettings(response.data);
+      setEdits({});
+      setMessage('Settings saved');
+      setTimeout(() => setMessage(''), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const numberField = (key, label, { step = 1, min = 0 } = {}) => (
+    <div className="form-row">
+      <label>{label}</label>
+      <input
+        type="number"
+        min={min}
+        step={step}
+        value={value(key) ?? ''}
+        onChange={(e) => setValue(key, step < 1 ? parseFloat(e.target.value) : parseInt(e.target.value))}
+      />
+    </div>
+  );
+
+  const checkboxField = (key, label) => (
+    <div className="form-row checkbox-row">
+      <label>
+        <input
+          type="checkbox"
+          checked={!!value(key)}
+          onChange={(e) => setValue(key, e.target.checked)}
+        />
+        {label}
+      </label>
+    </div>
+  );
+
+  if (!settings) {
+    return error ? <div className="error-message">{error}</div> : <p>Loading...</p>;
+  }
+
+  return (
+    <form className="session-settings" onSubmit={handleSave}>
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      <fieldset>
+        <legend>Speed limits (kB/s)</legend>
+        {checkboxField('speed-limit-down-enabled', 'Limit download speed')}
+        {numberField('speed-limit-down', 'Download limit')}
+        {checkboxField('speed-limit-up-enabled', 'Limit upload speed')}
+        {numberField('speed-limit-up', 'Upload limit')}
+      </fieldset>
+
+      <fieldset>
+        <legend>Alternative speed limits (kB/s)</legend>
+        {checkboxField('alt-speed-enabled', 'Use alternative speed limits now')}
+        {numberField('alt-speed-down', 'Alternative download limit')}
+        {numberField('alt-speed-up', 'Alternative upload limit')}
+        {checkboxField('alt-speed-time-enabled', 'Turn on alternative limits on a schedule')}
+        <div className="form-row inline-row">
+          <label>From</label>
+          <input
+            type="time"
+            value={minutesToTime(value('alt-speed-time-begin'))}
+            onChange={(e) => setValue('alt-speed-time-begin', timeToMinutes(e.target.value))}
+          />
+          <label>to</label>
+          <input
+            type="time"
+            value={minutesToTime(value('alt-speed-time-end'))}
+            onChange={(e) => setValue('alt-speed-time-end', timeToMinutes(e.target.value))}
+          />
+        </div>
+        <div className="form-row inline-row">
+          {DAYS.map(day => (
+            <label key={day.bit} className="day-checkbox">
+              <input
+                type="checkbox"
+                checked={!!(value('alt-speed-time-day') & day.bit)}
+                onChange={(e) => setValue(
+                  'alt-speed-time-day',
+                  e.target.checked ? value('alt-speed-time-day') | day.bit : value('alt-speed-time-day') & ~day.bit
+                )}
+              />
+              {day.label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend>Peers</legend>
+        {numberField('peer-limit-global', 'Global peer limit', { min: 1 })}
+        {numberField('peer-limit-per-torrent', 'Peer limit per torrent', { min: 1 })}
+        {checkboxField('dht-enabled', 'Enable DHT')}
+        {checkboxField('pex-enabled', 'Enable peer exchange (PEX)')}
+        {checkboxField('lpd-enabled', 'Enable local peer discovery (LPD)')}
+        <div className="form-row">
+          <label>Encryption</label>
+          <select value={value('encryption') ?? 'preferred'} onChange={(e) => setValue('encryption', e.target.value)}>
+            <option value="required">Required</option>
+            <option value="preferred">Preferred</option>
+            <option value="tolerated">Tolerated</option>
+          </select>
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend>Queue</legend>
+        {checkboxField('download-queue-enabled', 'Limit active downloads')}
+        {numberField('download-queue-size', 'Download queue size')}
+        {checkboxField('seed-queue-enabled', 'Limit active seeds')}
+        {numberField('seed-queue-size', 'Seed queue size')}
+        {checkboxField('queue-stalled-enabled', 'Ignore stalled torrents in the queue')}
+        {numberField('queue-stalled-minutes', 'Stalled after (minutes)', { min: 1 })}
+      </fieldset>
+
+      <fieldset>
+        <legend>Seeding</legend>
+        {checkboxField('seedRatioLimited', 'Stop seeding at ratio')}
+        {numberField('seedRatioLimit', 'Seed ratio limit', { step: 0.1 })}
+      </fieldset>
+
+      <fieldset>
+        <legend>Incomplete downloads</legend>
+        {checkboxField('incomplete-dir-enabled', 'Keep incomplete downloads in a separate directory')}
+        <div className="form-row">
+          <label>Incomplete directory</label>
+          <input
+            type="text"
+            value={value('incomplete-dir') ?? ''}
+            onChange={(e) => setValue('incomplete-dir', e.target.value)}
+          />
+        </div>
+      </fieldset>
+
+      <div className="session-settings-actions">
+        <button type="button" onClick={() => setEdits({})} disabled={saving || Object.keys(edits).length === 0} className="cancel-button">
+          Discard
+        </button>
+        <button type="submit" disabled={saving || Object.keys(edits).length === 0}>
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default SessionSettings;
@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react';
+import apiClient from '../api/client';
+import UsageBar from './UsageBar';
+import './StorageQuotas.css';
+
+const GB = 1024 ** 3;
+
+// Per-owner storage usage with admin-set quotas (size and torrent count).
+// Empty fields mean no limit.
+function StorageQuotas() {
+  const [owners, setOwners] = useState([]);
+  const [edits, setEdits] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const loadUsage = async () => {
+      try {
+        const response = await apiClient.get('/admin/usage');
+        setOwners(response.data.owners);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load storage usage');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadUsage();
+  }, []);
+
+  // Form values for an owner: edits, else the saved quota
+  const fieldsFor = (owner) => edits[owner.owner_id] || {
+    max_gb: owner.quota?.max_bytes != null ? String(Math.round(owner.quota.max_bytes / GB * 100) / 100) : '',
+    max_torrents: owner.quota?.max_torrents != null ? String(owner.quota.max_torrents) : ''
+  };
+
+  const setField = (owner, key, value) => {
+    setEdits(prev => ({ ...prev, [owner.owner_id]: { ...fieldsFor(owner), [key]: value } }));
+  };
+
+  const saveQuota = async (owner, fields) => {
+    setError('');
+    setMessage('');
+    try {
+      const response = await apiClient.put(`/admin/quotas/${owner.owner_id}`, {
+        max_bytes: fields.max_gb === '' ? null : Math.round(parseFloat(fields.max_gb) * GB),
+        max_torrents: fields.max_torrents === '' ? null : parseInt(fields.max_torrents)
+      });
+      const refreshed = await apiClient.get('/admin/usage');
+      setOwners(refreshed.data.owners);
+      setEdits(prev => {
+        const next = { ...prev };
+        delete next[owner.owner_id];
+        return next;
+      });
+      setMessage(response.data.quota ? `Quota of ${owner.username} saved` : `Quota of ${owner.username} removed`);
+      setTimeout(() => setMessage(''), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save quota');
+    }
+  };
+
+  if (loading) {
+    return <p>Loading...</p>;
+  }
+
+  return (
+    <div className="storage-quotas">
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      <p className="storage-quotas-hint">
+        Quotas count the full size of an owner&apos;s torrents (excluding the trash). Uploads, links and RSS
+        matches that would exceed a quota are refused, and when disk space runs low the cleanup can remove
+        torrents of owners over their quota first (see Disk Cleanup).
+      </p>
+
+      <div className="storage-quota-list">
+        {owners.map(owner => {
+          const fields = fieldsFor(owner);
+          const invalid = (fields.max_gb !== '' && !(parseFloat(fields.max_gb) >= 0)) ||
+            (fields.max_torrents !== '' && !(parseInt(fields.max_torrents) >= 0));
+          return (
+            <div key={owner.owner_id} className="storage-quota-card">
+              <div className="storage-quota-header">
+                <h3>{owner.username || `User #${owner.owner_id}`}</h3>
+                {owner.owner_id === 0 && <span className="owner-tag">RSS automation</span>}
+                {owner.owner_id !== 0 && !owner.is_user && <span className="owner-tag">deleted user</span>}
+              </div>
+              <UsageBar usage={owner} />
+              {(owner.is_user || owner.owner_id === 0) && (
+                <div className="storage-quota-form">
+                  <label>
+                    Max size (GB)
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={fields.max_gb}
+                      onChange={(e) => setField(owner, 'max_gb', e.target.value)}
+                      placeholder="No limit"
+                    />
+                  </label>
+                  <label>
+                    Max torrents
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={fields.max_torrents}
+                      onChange={(e) => setField(owner, 'max_torrents', e.target.value)}
+                      placeholder="No limit"
+                    />
+                  </label>
+                  <button onClick={() => saveQuota(owner, fields)} disabled={!edits[owner.owner_id] || invalid}>
+                    Save
+                  </button>
+                  <button
+                    className="cancel-button"
+                    onClick={() => saveQuota(owner, { max_gb: '', max_torrents: '' })}
+                    disabled={!owner.quota}
+                  >
+                    Remove limits
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default StorageQuotas;
@@ -0,0 +1,51 @@
+import { memo } from 'react';
+import { formatBytes, formatProgress, formatSpeed } from './torrentColumns';
+import './TorrentCard.css';
+
+// Compact torrent entry used instead of a table row on narrow screens.
+// Memoized like TorrentRow; handlers go through onAction.
+function TorrentCard({ torrent, index, selected, canManage, onAction }) {
+  const classNames = ['torrent-card', torrent.is_own && 'own-torrent', selected && 'selected-torrent']
+    .filter(Boolean).join(' ');
+
+  return (
+    <div className={classNames}>
+      <div className="torrent-card-header">
+        {canManage && (
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={(e) => onAction('select', torrent, index, e.nativeEvent.shiftKey)}
+          />
+        )}
+        <button onClick={() => onAction('open', torrent)} className="torrent-name-link" title={torrent.name}>
+          {torrent.name}
+        </button>
+        <span className={`status-badge status-${torrent.statusLabel}`}>{torrent.statusLabel}</span>
+      </div>
+
+      <div className="progress-bar">
+        <div className="progress-fill" style={{ width: formatProgress(torrent.percentDone) }} />
+        <span className="progress-text">{formatProgress(torrent.percentDone)}</span>
+      </div>
+
+      <div className="torrent-card-footer">
+        <span className="torrent-card-meta">
+          {formatBytes(torrent.totalSize)} · {torrent.owner} · ↓ {formatSpeed(torrent.rateDownload)} ↑ {formatSpeed(torrent.rateUpload)}
+        </span>
+        {canManage && (
+          <span className="torrent-card-actions">
+            {torrent.status === 0 ? (
+              <button onClick={() => onAction('torrent', torrent, 'start')} className="action-button">Start</button>
+            ) : (
+              <button onClick={() => onAction('torrent', torrent, 'stop')} className="action-button">Stop</button>
+            )}
+            <button onClick={() => onAction('remove', torrent)} className="delete-button">Delete</button>
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default memo(TorrentCard);
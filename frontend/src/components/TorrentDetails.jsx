@@ -0,0 +1,279 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import FileTree from './FileTree';
+import apiClient from '../api/client';
+import './TorrentDetails.css';
+
+const TABS = ['overview', 'files', 'peers', 'trackers', 'pieces'];
+const MAX_PIECE_CELLS = 200;
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+const formatSpeed = (bytesPerSecond) => formatBytes(bytesPerSecond) + '/s';
+
+const formatPercent = (fraction) => Math.round((fraction || 0) * 1000) / 10 + '%';
+
+const formatEta = (seconds) => {
+  if (seconds === -1) return 'Not available';
+  if (seconds === -2 || seconds === undefined) return 'Unknown';
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds % 60}s`;
+};
+
+const formatDate = (unixSeconds) => {
+  if (!unixSeconds) return '-';
+  return new Date(unixSeconds * 1000).toLocaleString();
+};
+
+// Transmission sends the pieces we have as a base64 bitfield (MSB first).
+// Collapse it into at most MAX_PIECE_CELLS cells holding the fraction present.
+const decodePieces = (bitfield, pieceCount) => {
+  if (!bitfield || !pieceCount) return [];
+  const bytes = atob(bitfield);
+  const cellCount = Math.min(pieceCount, MAX_PIECE_CELLS);
+  const cells = new Array(cellCount).fill(0);
+  const perCell = pieceCount / cellCount;
+
+  for (let piece = 0; piece < pieceCount; piece++) {
+    const byte = bytes.charCodeAt(piece >> 3);
+    if (byte & (0x80 >> (piece & 7))) {
+      cells[Math.floor(piece / perCell)] += 1;
+    }
+  }
+
+  return cells.map(have => have / perCell);
+};
+
+function TorrentDetails({ hash, onClose }) {
+  const { user } = useAuth();
+  const [torrent, setTorrent] = useState(null);
+  const [error, setError] = useState('');
+  const [activeTab, setActiveTab] = useState('overview');
+
+  useEffect(() => {
+    const loadDetails = async () => {
+      try {
+        const response = await apiClient.get(`/torrents/${hash}`);
+        setTorrent(response.data);
+        setError('');
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load torrent details');
+      }
+    };
+
+    loadDetails();
+    // Refresh every 5 seconds while open
+    const interval = setInterval(loadDetails, 5000);
+    return () => clearInterval(interval);
+  }, [hash]);
+
+  const renderOverview = () => (
+    <dl className="details-overview">
+      <dt>Status</dt>
+      <dd>
+        <span className={`status-badge status-${torrent.statusLabel}`}>{torrent.statusLabel}</span>
+      </dd>
+      <dt>Progress</dt>
+      <dd>{formatPercent(torrent.percentDone)} of {formatBytes(torrent.sizeWhenDone)}</dd>
+      <dt>Remaining</dt>
+      <dd>{formatBytes(torrent.leftUntilDone)} (ETA {formatEta(torrent.eta)})</dd>
+      <dt>Speed</dt>
+      <dd>↓ {formatSpeed(torrent.rateDownload)} / ↑ {formatSpeed(torrent.rateUpload)}</dd>
+      <dt>Downloaded</dt>
+      <dd>{formatBytes(torrent.downloadedEver)}</dd>
+      <dt>Uploaded</dt>
+      <dd>{formatBytes(torrent.uploadedEver)}</dd>
+      <dt>Ratio</dt>
+      <dd>{torrent.uploadRatio >= 0 ? torrent.uploadRatio.toFixed(2) : '-'}</dd>
+      <dt>Corrupt</dt>
+      <dd>{formatBytes(torrent.corruptEver)}</dd>
+      <dt>Peers</dt>
+      <dd>
+        {torrent.peersConnected} connected, {torrent.peersSendingToUs} sending, {torrent.peersGettingFromUs} receiving
+      </dd>
+      <dt>Location</dt>
+      <dd>{torrent.downloadDir}</dd>
+      <dt>Owner</dt>
+      <dd>{torrent.owner}</dd>
+      <dt>Added</dt>
+      <dd>{formatDate(torrent.addedDate)}</dd>
+      <dt>Completed</dt>
+      <dd>{formatDate(torrent.doneDate)}</dd>
+      <dt>Last activity</dt>
+      <dd>{formatDate(torrent.activityDate)}</dd>
+      <dt>Hash</dt>
+      <dd className="mono">{torrent.hashString}</dd>
+      <dt>Private</dt>
+      <dd>{torrent.isPrivate ? 'Yes' : 'No'}</dd>
+      {torrent.comment && (
+        <>
+          <dt>Comment</dt>
+          <dd>{torrent.comment}</dd>
+        </>
+      )}
+    </dl>
+  );
+
+  const handleApplyFiles = async (changes) => {
+    try {
+      const response = await apiClient.patch(`/torrents/${hash}/files`, changes);
+      setTorrent(prev => ({
+        ...prev,
+        fileStats: response.data.fileStats,
+        sizeWhenDone: response.data.sizeWhenDone
+      }));
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update files');
+      throw err;
+    }
+  };
+
+  const renderFiles = () => (
+    <FileTree
+      files={torrent.files || []}
+      fileStats={torrent.fileStats || []}
+      editable={torrent.is_own || user?.is_admin}
+      onApply={handleApplyFiles}
+    />
+  );
+
+  const renderPeers = () => (
+    torrent.peers?.length ? (
+      <table className="details-table">
+        <thead>
+          <tr>
+            <th>Address</th>
+            <th>Client</th>
+            <th>Progress</th>
+            <th>↓</th>
+            <th>↑</th>
+            <th>Flags</th>
+          </tr>
+        </thead>
+        <tbody>
+          {torrent.peers.map(peer => (
+            <tr key={`${peer.address}:${peer.port}`}>
+              <td className="mono">{peer.address}</td>
+              <td>{peer.clientName}</td>
+              <td>{formatPercent(peer.progress)}</td>
+              <td>{formatSpeed(peer.rateToClient)}</td>
+              <td>{formatSpeed(peer.rateToPeer)}</td>
+              <td className="mono">{peer.flagStr}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    ) : (
+      <p className="details-empty">No connected peers</p>
+    )
+  );
+
+  const renderTrackers = () => (
+    torrent.trackerStats?.length ? (
+      <table className="details-table">
+        <thead>
+          <tr>
+            <th>Tier</th>
+            <th>Host</th>
+            <th>Last announce</th>
+            <th>Seeders</th>
+            <th>Leechers</th>
+            <th>Next announce</th>
+          </tr>
+        </thead>
+        <tbody>
+          {torrent.trackerStats.map(tracker => (
+            <tr key={tracker.id ?? tracker.announce}>
+              <td>{tracker.tier + 1}</td>
+              <td title={tracker.announce}>{tracker.host}</td>
+              <td className={tracker.lastAnnounceSucceeded ? '' : 'tracker-error'}>
+                {tracker.hasAnnounced ? tracker.lastAnnounceResult : '-'}
+              </td>
+              <td>{tracker.seederCount >= 0 ? tracker.seederCount : '-'}</td>
+              <td>{tracker.leecherCount >= 0 ? tracker.leecherCount : '-'}</td>
+              <td>{formatDate(tracker.nextAnnounceTime)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    ) : (
+      <p className="details-empty">No trackers</p>
+    )
+  );
+
+  const renderPieces = () => {
+    const cells = decodePieces(torrent.pieces, torrent.pieceCount);
+    return (
+      <div>
+        <p className="pieces-summary">
+          {torrent.pieceCount} pieces of {formatBytes(torrent.pieceSize)}
+        </p>
+        <div className="pieces-map">
+          {cells.map((fraction, index) => (
+            <div
+              key={index}
+              className="piece-cell"
+              style={{ opacity: 0.15 + fraction * 0.85 }}
+            />
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  const renderTab = () => {
+    switch (activeTab) {
+      case 'files': return renderFiles();
+      case 'peers': return renderPeers();
+      case 'trackers': return renderTrackers();
+      case 'pieces': return renderPieces();
+      default: return renderOverview();
+    }
+  };
+
+  return (
+    <div className="details-overlay" onClick={onClose}>
+      <div className="details-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="details-header">
+          <h3 title={torrent?.name}>{torrent?.name || 'Loading...'}</h3>
+          <button onClick={onClose} className="close-button" aria-label="Close">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {torrent?.errorString && (
+          <div className="error-message">Transmission error: {torrent.errorString}</div>
+        )}
+
+        <div className="details-tabs">
+          {TABS.map(tab => (
+            <button
+              key={tab}
+              onClick={() => setActiveTab(tab)}
+              className={activeTab === tab ? 'active' : ''}
+            >
+              {tab}
+            </button>
+          ))}
+        </div>
+
+        <div className="details-body">
+          {torrent && renderTab()}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TorrentDetails;
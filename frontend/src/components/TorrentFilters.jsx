@@ -0,0 +1,79 @@
+import './TorrentFilters.css';
+
+const STATUS_LABELS = {
+  downloading: 'Downloading',
+  seeding: 'Seeding',
+  completed: 'Completed',
+  stopped: 'Stopped',
+  queued: 'Queued',
+  checking: 'Checking',
+  active: 'Active',
+  errored: 'Errored'
+};
+
+// Facet sidebar for the torrent list. Counts come from the server and
+// reflect every other active filter; clicking the active entry clears it.
+function TorrentFilters({ facets, query, categories, onChange }) {
+  const byCount = (counts) => Object.entries(counts || {}).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+  const renderItem = (key, value, label, count) => {
+    const active = query[key] === value;
+    return (
+      <li key={value}>
+        <button
+          onClick={() => onChange(key, active ? '' : value)}
+          className={active ? 'facet-item active' : 'facet-item'}
+        >
+          <span className="facet-label">{label}</span>
+          <span className="facet-count">{count}</span>
+        </button>
+      </li>
+    );
+  };
+
+  const renderSection = (title, key, entries, labelOf = (value) => value) => {
+    if (entries.length === 0 && !query[key]) return null;
+    return (
+      <section className="facet-section">
+        <h4>{title}</h4>
+        <ul>
+          {entries.map(([value, count]) => renderItem(key, value, labelOf(value), count))}
+        </ul>
+      </section>
+    );
+  };
+
+  if (!facets) return <aside className="torrent-filters" />;
+
+  const categoryName = (value) =>
+    value === 'none' ? 'No category' : categories.find(c => String(c.id) === value)?.name || `#${value}`;
+
+  return (
+    <aside className="torrent-filters">
+      <section className="facet-section">
+        <h4>Status</h4>
+        <ul>
+          {Object.keys(STATUS_LABELS).map(status =>
+            renderItem('status', status, STATUS_LABELS[status], facets.status[status] || 0)
+          )}
+        </ul>
+      </section>
+
+      <label className="facet-mine">
+        <input
+          type="checkbox"
+          checked={query.mine === 'true'}
+          onChange={(e) => onChange('mine', e.target.checked ? 'true' : '')}
+        />
+        Mine only <span className="facet-count">{facets.mine}</span>
+      </label>
+
+      {renderSection('Owners', 'owner', byCount(facets.owner))}
+      {renderSection('Categories', 'category', byCount(facets.category), categoryName)}
+      {renderSection('Labels', 'label', byCount(facets.label))}
+      {renderSection('Trackers', 'tracker', byCount(facets.tracker))}
+    </aside>
+  );
+}
+
+export default TorrentFilters;
@@ -0,0 +1,176 @@
+import { memo } from 'react';
+import {
+  formatBytes, formatProgress, formatSpeed, formatEta, formatRatio, formatDate
+} from './torrentColumns';
+
+// One row of the torrent table. Memoized: it only re-renders when its own
+// torrent object, selection or label editor changes. All handlers go through
+// the page's stable onAction(name, ...args) so they don't break memoization.
+// Tracker hosts come from the list query, not the live stream.
+function TorrentRow({ torrent, trackerHosts = [], index, selected, canManage, columns, categories, editingLabels, onAction }) {
+  const renderCell = (column) => {
+    switch (column.id) {
+      case 'category':
+        return canManage && categories.length > 0 ? (
+          <select
+            value={torrent.category_id ?? ''}
+            onChange={(e) => onAction('moveCategory', torrent, e.target.value ? Number(e.target.value) : null)}
+            className="category-select"
+            title={torrent.downloadDir}
+          >
+            <option value="">None</option>
+            {categories.map(category => (
+              <option key={category.id} value={category.id}>{category.name}</option>
+            ))}
+          </select>
+        ) : (
+          <span title={torrent.downloadDir}>
+            {categories.find(c => c.id === torrent.category_id)?.name || '—'}
+          </span>
+        );
+      case 'labels':
+        return editingLabels !== null ? (
+          <form onSubmit={(e) => onAction('saveLabels', e)} className="labels-form">
+            <input
+              type="text"
+              value={editingLabels}
+              onChange={(e) => onAction('editLabels', torrent, e.target.value)}
+              onKeyDown={(e) => e.key === 'Escape' && onAction('cancelLabels')}
+              placeholder="label, another label"
+              autoFocus
+            />
+            <button type="submit" className="action-button">Save</button>
+          </form>
+        ) : (
+          <>
+            {(torrent.labels || []).map(label => (
+              <button
+                key={label}
+                onClick={() => onAction('filterLabel', label)}
+                className="label-chip"
+                title={`Show torrents labelled "${label}"`}
+              >
+                {label}
+              </button>
+            ))}
+            {canManage && (
+              <button
+                onClick={() => onAction('editLabels', torrent, (torrent.labels || []).join(', '))}
+                className="label-edit-button"
+                title="Edit labels"
+              >
+                ✎
+              </button>
+            )}
+          </>
+        );
+      case 'autoremove':
+        return canManage && (
+          <input
+            type="checkbox"
+            checked={torrent.block_auto_remove}
+            onChange={() => onAction('toggleBlock', torrent)}
+          />
+        );
+      case 'ratio':
+        return formatRatio(torrent.uploadRatio);
+      case 'eta':
+        return torrent.status === 4 ? formatEta(torrent.eta) : '—';
+      case 'download':
+        return formatSpeed(torrent.rateDownload);
+      case 'upload':
+        return formatSpeed(torrent.rateUpload);
+      case 'added':
+        return formatDate(torrent.addedDate);
+      case 'tracker':
+        return <span title={trackerHosts.join(', ')}>{trackerHosts[0] || '—'}</span>;
+      case 'location':
+        return <span title={torrent.downloadDir}>{torrent.downloadDir}</span>;
+      default:
+        return null;
+    }
+  };
+
+  const classNames = [torrent.is_own && 'own-torrent', selected && 'selected-torrent'].filter(Boolean).join(' ');
+
+  return (
+    <tr className={classNames}>
+      <td className="select-cell">
+        {canManage && (
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={(e) => onAction('select', torrent, index, e.nativeEvent.shiftKey)}
+          />
+        )}
+      </td>
+      <td title={torrent.name}>
+        <button onClick={() => onAction('open', torrent)} className="torrent-name-link">
+          {torrent.name}
+        </button>
+      </td>
+      <td>
+        <span className={`status-badge status-${torrent.statusLabel}`}>
+          {torrent.statusLabel}
+        </span>
+      </td>
+      <td>
+        <div className="progress-bar">
+          <div
+            className="progress-fill"
+            style={{ width: formatProgress(torrent.percentDone) }}
+          />
+          <span className="progress-text">{formatProgress(torrent.percentDone)}</span>
+        </div>
+      </td>
+      <td>{formatBytes(torrent.totalSize)}</td>
+      <td>
+        <span className={torrent.is_own ? 'owner-badge own' : 'owner-badge'}>
+          {torrent.owner}
+        </span>
+      </td>
+      {columns.map(column => (
+        <td key={column.id} className={`column-${column.id}`}>{renderCell(column)}</td>
+      ))}
+      <td className="actions-cell">
+        {canManage && (
+          <>
+            {torrent.status === 0 ? (
+              <button onClick={() => onAction('torrent', torrent, 'start')} className="action-button" title="Start">
+                Start
+              </button>
+            ) : (
+              <button onClick={() => onAction('torrent', torrent, 'stop')} className="action-button" title="Stop">
+                Stop
+              </button>
+            )}
+            {(torrent.status === 0 || torrent.status === 3 || torrent.status === 5) && (
+              <button
+                onClick={() => onAction('torrent', torrent, 'start-now')}
+                className="action-button"
+                title="Start now, bypassing the queue"
+              >
+                Start Now
+              </button>
+            )}
+            <button onClick={() => onAction('torrent', torrent, 'verify')} className="action-button" title="Verify local data">
+              Verify
+            </button>
+            <button
+              onClick={() => onAction('torrent', torrent, 'reannounce')}
+              className="action-button"
+              title="Ask trackers for more peers"
+            >
+              Reannounce
+            </button>
+            <button onClick={() => onAction('remove', torrent)} className="delete-button">
+              Delete
+            </button>
+          </>
+        )}
+      </td>
+    </tr>
+  );
+}
+
+export default memo(TorrentRow);
@@ -0,0 +1,211 @@
+import { useState, useEffect } from 'react';
+import apiClient from '../api/client';
+import AddOptions from './AddOptions';
+import './UploadDialog.css';
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+const buildFormData = (files) => {
+  const formData = new FormData();
+  files.forEach(file => formData.append('torrents', file));
+  return formData;
+};
+
+// Preview selected .torrent files, pick which files to download and confirm.
+// Invalid files and torrents that are already in the daemon are not uploaded.
+function UploadDialog({ files, categoryId, roots, onClose, onUploaded }) {
+  const [previews, setPreviews] = useState(null);
+  const [unwanted, setUnwanted] = useState({});
+  const [options, setOptions] = useState({});
+  const [uploading, setUploading] = useState(false);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadPreviews = async () => {
+      try {
+        const response = await apiClient.post('/torrents/upload/preview', buildFormData(files));
+        setPreviews(response.data.map((preview, index) => ({ ...preview, file: files[index] })));
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to read torrent files');
+        setPreviews([]);
+      }
+    };
+
+    loadPreviews();
+  }, [files]);
+
+  const uploadable = (previews || []).filter(p => p.success && !p.duplicate);
+
+  const isWanted = (preview, index) => !unwanted[preview.hashString]?.has(index);
+
+  const toggleFile = (preview, index) => {
+    setUnwanted(prev => {
+      const next = new Set(prev[preview.hashString]);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return { ...prev, [preview.hashString]: next };
+    });
+  };
+
+  const setAllFiles = (preview, wanted) => {
+    setUnwanted(prev => ({
+      ...prev,
+      [preview.hashString]: new Set(wanted ? [] : preview.files.map(f => f.index))
+    }));
+  };
+
+  const wantedSize = (preview) => preview.files
+    .filter(f => isWanted(preview, f.index))
+    .reduce((sum, f) => sum + f.length, 0);
+
+  const nothingSelected = uploadable.some(p => p.files.every(f => !isWanted(p, f.index)));
+
+  const handleUpload = async () => {
+    setUploading(true);
+    setError('');
+
+    const formData = buildFormData(uploadable.map(p => p.file));
+    if (categoryId) {
+      formData.append('category_id', categoryId);
+    }
+    formData.append('options', JSON.stringify({
+      ...options,
+      files: uploadable.map(p => ({ unwanted: [...(unwanted[p.hashString] || [])] }))
+    }));
+
+    try {
+      const response = await apiClient.post('/torrents/upload', formData);
+      setResults(response.data.results);
+      onUploaded();
+      if (response.data.results.every(r => r.success)) {
+        onClose();
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Upload failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="upload-dialog-overlay" onClick={onClose}>
+      <div className="upload-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="upload-dialog-header">
+          <h3>Upload Torrent{files.length === 1 ? '' : 's'}</h3>
+          <button className="upload-dialog-close" onClick={onClose}>&times;</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {previews === null ? (
+          <p>Reading torrent files...</p>
+        ) : (
+          <div className="upload-previews">
+            {previews.map(preview => (
+              <div key={preview.filename} className="upload-preview">
+                {!preview.success ? (
+                  <p className="upload-invalid">✗ {preview.filename}: {preview.error}</p>
+                ) : (
+                  <>
+                    <div className="upload-preview-title">
+                      <strong>{preview.name}</strong>
+                      <span>{formatBytes(preview.totalSize)}</span>
+                      {preview.private && <span className="private-badge">Private</span>}
+                    </div>
+                    {preview.duplicate ? (
+                      <p className="upload-duplicate">
+                        Already added as "{preview.duplicate.name}"
+                        {preview.duplicate.owner_username ? ` by ${preview.duplicate.owner_username}` : ''} — skipped.
+                      </p>
+                    ) : (
+                      <>
+                        {preview.in_trash && (
+                          <p className="upload-in-trash">
+                            {preview.in_trash.restore
+                              ? 'In your trash — uploading restores it as it was.'
+                              : `In the trash${preview.in_trash.owner_username ? ` (deleted by ${preview.in_trash.owner_username})` : ''} — it can't be added until it is restored or purged.`}
+                          </p>
+                        )}
+                        <p className="upload-trackers">
+                          {preview.trackers.length > 0
+                            ? `Trackers: ${preview.trackers.join(', ')}`
+                            : 'No trackers (DHT/PEX only)'}
+                        </p>
+                        {preview.files.length > 1 && (
+                          <div className="upload-files-header">
+                            <span>
+                              {preview.files.filter(f => isWanted(preview, f.index)).length} of {preview.files.length} files,
+                              {' '}{formatBytes(wantedSize(preview))}
+                            </span>
+                            <button type="button" onClick={() => setAllFiles(preview, true)}>All</button>
+                            <button type="button" onClick={() => setAllFiles(preview, false)}>None</button>
+                          </div>
+                        )}
+                        <ul className="upload-files">
+                          {preview.files.map(file => (
+                            <li key={file.index}>
+                              <label>
+                                <input
+                                  type="checkbox"
+                                  checked={isWanted(preview, file.index)}
+                                  onChange={() => toggleFile(preview, file.index)}
+                                  disabled={preview.files.length === 1}
+                                />
+                                <span className="upload-file-name">{file.name}</span>
+                                <span className="upload-file-size">{formatBytes(file.length)}</span>
+                              </label>
+                            </li>
+                          ))}
+                        </ul>
+                      </>
+                    )}
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {results && (
+          <ul className="add-results">
+            {results.map((result, index) => (
+              <li key={index} className={result.success ? 'add-success' : 'add-failure'}>
+                {result.success
+                  ? `✓ ${result.name}${result.message ? ` — ${result.message}` : ''}`
+                  : `✗ ${result.filename}: ${result.error}`}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="upload-dialog-footer">
+          <div className="upload-options">
+            <AddOptions roots={roots} onChange={setOptions} disabled={uploading || results !== null} />
+          </div>
+          <button onClick={onClose} className="upload-cancel">
+            {results ? 'Close' : 'Cancel'}
+          </button>
+          <button
+            onClick={handleUpload}
+            disabled={uploading || results !== null || uploadable.length === 0 || nothingSelected}
+            className="upload-confirm"
+          >
+            {uploading ? 'Uploading...' : `Add ${uploadable.length} torrent${uploadable.length === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default UploadDialog;
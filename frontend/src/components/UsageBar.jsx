@@ -0,0 +1,43 @@
+import { formatBytes } from './torrentColumns';
+import './UsageBar.css';
+
+// An owner's storage usage (from /disk/usage or /admin/usage) against their
+// quota. Quotas count the full size of the torrents, not only what is on disk.
+function UsageBar({ usage }) {
+  const quota = usage.quota;
+  const maxBytes = quota?.max_bytes ?? null;
+  const maxTorrents = quota?.max_torrents ?? null;
+  const percent = maxBytes ? Math.min(100, (usage.bytes_total / maxBytes) * 100) : null;
+
+  return (
+    <div className={`usage-bar${usage.over_quota ? ' over-quota' : ''}`}>
+      {percent !== null && (
+        <div className="usage-bar-track">
+          <div className="usage-bar-fill" style={{ width: `${percent}%` }}></div>
+        </div>
+      )}
+      <div className="usage-bar-summary">
+        <span>
+          {formatBytes(usage.bytes_total)}
+          {maxBytes !== null ? ` of ${formatBytes(maxBytes)}` : ' (no size limit)'}
+        </span>
+        <span>
+          {usage.torrents} torrent{usage.torrents !== 1 ? 's' : ''}
+          {maxTorrents !== null && ` of ${maxTorrents}`}
+        </span>
+      </div>
+      <div className="usage-bar-details">
+        {formatBytes(usage.bytes_on_disk)} on disk
+        {' · '}{usage.downloading.count} downloading ({formatBytes(usage.downloading.bytes)})
+        {' · '}{usage.seeding.count} seeding ({formatBytes(usage.seeding.bytes)})
+      </div>
+      {usage.over_quota && (
+        <div className="usage-bar-warning">
+          Over quota: new torrents are refused and these torrents may be removed first when disk space runs low
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default UsageBar;
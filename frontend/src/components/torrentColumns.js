@@ -0,0 +1,57 @@
+// Optional columns of the torrent table, in display order. `sort` is the
+// GET /api/torrents sort key for sortable columns; widths are in pixels.
+export const TORRENT_COLUMNS = [
+  { id: 'category', label: 'Category', width: 150 },
+  { id: 'labels', label: 'Labels', width: 190 },
+  { id: 'autoremove', label: 'Block Auto-Remove', width: 100 },
+  { id: 'ratio', label: 'Ratio', width: 80, sort: 'ratio' },
+  { id: 'eta', label: 'ETA', width: 90, sort: 'eta' },
+  { id: 'download', label: 'Down', width: 100, sort: 'download' },
+  { id: 'upload', label: 'Up', width: 100, sort: 'upload' },
+  { id: 'added', label: 'Added', width: 160, sort: 'added' },
+  { id: 'tracker', label: 'Tracker', width: 170 },
+  { id: 'location', label: 'Location', width: 220 }
+];
+
+export const DEFAULT_COLUMNS = ['category', 'labels', 'autoremove'];
+
+// Column definitions for a saved list of column ids (defaults when unset)
+export function resolveColumns(ids) {
+  const chosen = ids ?? DEFAULT_COLUMNS;
+  return TORRENT_COLUMNS.filter(column => chosen.includes(column.id));
+}
+
+export const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+export const formatProgress = (percent) => {
+  return Math.round(percent * 100) + '%';
+};
+
+export const formatSpeed = (bytesPerSecond) => {
+  return bytesPerSecond > 0 ? `${formatBytes(bytesPerSecond)}/s` : '—';
+};
+
+// Transmission reports -1 (not available) and -2 (unknown) for no ETA
+export const formatEta = (seconds) => {
+  if (seconds < 0) return '—';
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+export const formatRatio = (ratio) => {
+  return ratio >= 0 ? ratio.toFixed(2) : '—';
+};
+
+export const formatDate = (unixSeconds) => {
+  return unixSeconds ? new Date(unixSeconds * 1000).toLocaleString() : '—';
+};
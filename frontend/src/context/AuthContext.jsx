@@ -34,8 +34,15 @@ export function AuthProvider({ children }) {
     setUser(null);
   };
 
+  // Apply preference changes right away, then save them for the user
+  const updatePreferences = async (changes) => {
+    setUser(current => ({ ...current, preferences: { ...current?.preferences, ...changes } }));
+    const response = await apiClient.patch('/auth/preferences', changes);
+    setUser(current => ({ ...current, preferences: response.data }));
+  };
+
   return (
-    <AuthContext.Provider value={{ user, loading, login, logout }}>
+    <AuthContext.Provider value={{ user, loading, login, logout, updatePreferences }}>
       {children}
     </AuthContext.Provider>
   );
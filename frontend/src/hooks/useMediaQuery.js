@@ -0,0 +1,14 @@
+import { useSyncExternalStore, useCallback } from 'react';
+
+// Whether a CSS media query currently matches, updated when it changes
+function useMediaQuery(query) {
+  const subscribe = useCallback((onChange) => {
+    const media = window.matchMedia(query);
+    media.addEventListener('change', onChange);
+    return () => media.removeEventListener('change', onChange);
+  }, [query]);
+
+  return useSyncExternalStore(subscribe, () => window.matchMedia(query).matches);
+}
+
+export default useMediaQuery;
@@ -0,0 +1,145 @@
+import { useSyncExternalStore } from 'react';
+import apiClient from '../api/client';
+
+// Fallback polling interval while the event stream is down
+const POLL_INTERVAL = 5000;
+// How long to wait before trying to re-open a dropped stream
+const RECONNECT_DELAY = 30000;
+
+// One shared subscription per browser tab: every component using the hook
+// reads the same store, fed by GET /api/events (or by polling as a fallback).
+let state = { torrents: [], stats: null, mode: 'connecting', error: '' };
+let torrentMap = new Map();
+const listeners = new Set();
+
+let eventSource = null;
+let pollTimer = null;
+let reconnectTimer = null;
+
+function setState(patch) {
+  state = { ...state, ...patch };
+  listeners.forEach(listener => listener());
+}
+
+function publishTorrents() {
+  setState({ torrents: [...torrentMap.values()] });
+}
+
+function applySnapshot({ torrents, stats }) {
+  torrentMap = new Map(torrents.map(t => [t.hashString, t]));
+  setState({ torrents, stats, mode: 'stream', error: '' });
+}
+
+function applyDelta({ added, removed, updated }) {
+  removed.forEach(hash => torrentMap.delete(hash));
+  added.forEach(torrent => torrentMap.set(torrent.hashString, torrent));
+  updated.forEach(({ hashString, ...changes }) => {
+    const torrent = torrentMap.get(hashString);
+    if (torrent) {
+      torrentMap.set(hashString, { ...torrent, ...changes });
+    }
+  });
+  publishTorrents();
+}
+
+async function poll() {
+  try {
+    const [torrentsResponse, statsResponse] = await Promise.all([
+      apiClient.get('/torrents'),
+      apiClient.get('/torrents/stats')
+    ]);
+    const { torrents } = torrentsResponse.data;
+    torrentMap = new Map(torrents.map(t => [t.hashString, t]));
+    setState({ torrents, stats: statsResponse.data, error: '' });
+  } catch (err) {
+    console.error('Failed to poll torrents:', err);
+    setState({ error: 'Failed to load torrents' });
+  }
+}
+
+function startPolling() {
+  if (pollTimer) return;
+  setState({ mode: 'polling' });
+  poll();
+  pollTimer = setInterval(poll, POLL_INTERVAL);
+}
+
+function stopPolling() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+function connect() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  if (typeof EventSource === 'undefined') {
+    startPolling();
+    return;
+  }
+
+  eventSource = new EventSource(`${apiClient.defaults.baseURL}/events`, { withCredentials: true });
+
+  eventSource.addEventListener('snapshot', (e) => {
+    stopPolling();
+    applySnapshot(JSON.parse(e.data));
+  });
+  // Any news from the daemon means it is answering again
+  eventSource.addEventListener('delta', (e) => {
+    applyDelta(JSON.parse(e.data));
+    if (state.error) setState({ error: '' });
+  });
+  eventSource.addEventListener('stats', (e) => setState({ stats: JSON.parse(e.data), error: '' }));
+  eventSource.addEventListener('poll-error', () => {
+    setState({ error: 'Transmission is not responding' });
+  });
+  eventSource.addEventListener('poll-recovered', () => setState({ error: '' }));
+
+  eventSource.onerror = () => {
+    // The stream dropped: poll until a reconnect attempt succeeds
+    eventSource.close();
+    eventSource = null;
+    startPolling();
+    reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+  };
+}
+
+function disconnect() {
+  eventSource?.close();
+  eventSource = null;
+  stopPolling();
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  setState({ mode: 'connecting' });
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  if (listeners.size === 1) {
+    connect();
+  }
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      disconnect();
+    }
+  };
+}
+
+function getSnapshot() {
+  return state;
+}
+
+// Fetch right away after a user action; the stream picks changes up on its own
+function refresh() {
+  if (state.mode !== 'stream') {
+    poll();
+  }
+}
+
+function useTorrentStream() {
+  const snapshot = useSyncExternalStore(subscribe, getSnapshot);
+  return { ...snapshot, refresh };
+}
+
+export default useTorrentStream;
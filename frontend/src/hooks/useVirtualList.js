@@ -0,0 +1,39 @@
+import { useState, useCallback, useRef } from 'react';
+
+// Windowing for long lists of fixed-height items inside a scroll container.
+// Attach containerRef and onScroll to the container and render items
+// [start, end) between spacers of paddingTop and paddingBottom pixels.
+function useVirtualList(count, itemHeight, overscan = 8) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(() => window.innerHeight);
+  const observer = useRef(null);
+
+  const containerRef = useCallback((node) => {
+    observer.current?.disconnect();
+    observer.current = null;
+    if (!node) return;
+
+    observer.current = new ResizeObserver(([entry]) => {
+      setViewportHeight(entry.contentRect.height);
+    });
+    observer.current.observe(node);
+  }, []);
+
+  const onScroll = useCallback((e) => {
+    setScrollTop(e.currentTarget.scrollTop);
+  }, []);
+
+  const start = Math.max(0, Math.floor(scrollTop / itemHeight) - overscan);
+  const end = Math.min(count, Math.ceil((scrollTop + viewportHeight) / itemHeight) + overscan);
+
+  return {
+    containerRef,
+    onScroll,
+    start,
+    end: Math.max(start, end),
+    paddingTop: start * itemHeight,
+    paddingBottom: Math.max(0, count - end) * itemHeight
+  };
+}
+
+export default useVirtualList;
@@ -2,13 +2,30 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { Navigate } from 'react-router-dom';
 import apiClient from '../api/client';
+import SessionSettings from '../components/SessionSettings';
+import BandwidthSchedules from '../components/BandwidthSchedules';
+import CategorySettings from '../components/CategorySettings';
+import OrphanTorrents from '../components/OrphanTorrents';
+import DiskCleanupSettings from '../components/DiskCleanupSettings';
+import StorageQuotas from '../components/StorageQuotas';
 import './AdminPage.css';
 
+// Tabs besides user management render a self-contained settings component
+const SETTINGS_TABS = [
+  { id: 'transmission', label: 'Transmission', title: 'Transmission Settings', Component: SessionSettings },
+  { id: 'bandwidth', label: 'Bandwidth', title: 'Bandwidth Schedules', Component: BandwidthSchedules },
+  { id: 'categories', label: 'Categories', title: 'Categories', Component: CategorySettings },
+  { id: 'orphans', label: 'Orphans', title: 'Orphaned Torrents', Component: OrphanTorrents },
+  { id: 'disk', label: 'Disk Cleanup', title: 'Disk Cleanup', Component: DiskCleanupSettings },
+  { id: 'storage', label: 'Storage Quotas', title: 'Storage Usage and Quotas', Component: StorageQuotas }
+];
+
 function AdminPage() {
   const { user } = useAuth();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [activeTab, setActiveTab] = useState('users');
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingPassword, setEditingPassword] = useState(null);
   const [editingFtpPassword, setEditingFtpPassword] = useState(null);
@@ -113,8 +130,42 @@ function AdminPage() {
     return <div className="admin-page"><p>Loading...</p></div>;
   }
 
+  const tabs = (
+    <div className="admin-tabs">
+      <button
+        onClick={() => setActiveTab('users')}
+        className={activeTab === 'users' ? 'active' : ''}
+      >
+        Users
+      </button>
+      {SETTINGS_TABS.map(tab => (
+        <button
+          key={tab.id}
+          onClick={() => setActiveTab(tab.id)}
+          className={activeTab === tab.id ? 'active' : ''}
+        >
+          {tab.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  const settingsTab = SETTINGS_TABS.find(tab => tab.id === activeTab);
+  if (settingsTab) {
+    return (
+      <div className="admin-page">
+        {tabs}
+        <div className="admin-header">
+          <h2>{settingsTab.title}</h2>
+        </div>
+        <settingsTab.Component />
+      </div>
+    );
+  }
+
   return (
     <div className="admin-page">
+      {tabs}
       <div className="admin-header">
         <h2>User Management</h2>
         <button onClick={() => setShowAddForm(!showAddForm)} className="add-button">
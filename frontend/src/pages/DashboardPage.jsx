@@ -2,44 +2,81 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { Link } from 'react-router-dom';
 import apiClient from '../api/client';
+import useTorrentStream from '../hooks/useTorrentStream';
+import UsageBar from '../components/UsageBar';
 import './DashboardPage.css';
 
 function DashboardPage() {
   const { user } = useAuth();
-  const [stats, setStats] = useState(null);
-  const [diskUsage, setDiskUsage] = useState(null);
-  const [loading, setLoading] = useState(true);
+  // Speeds and counts arrive over the shared torrent event stream
+  const { stats, mode } = useTorrentStream();
+  const [volumes, setVolumes] = useState(null);
+  const [bandwidth, setBandwidth] = useState(null);
+  const [removals, setRemovals] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const loading = !stats && mode === 'connecting';
 
   useEffect(() => {
-    loadStats();
+    const loadDiskUsage = async () => {
+      try {
+        const response = await apiClient.get('/torrents/disk-usage');
+        setVolumes(response.data.volumes);
+      } catch (err) {
+        console.error('Failed to load disk usage:', err);
+      }
+    };
+
     loadDiskUsage();
     // Refresh every 10 seconds
-    const interval = setInterval(() => {
-      loadStats();
-      loadDiskUsage();
-    }, 10000);
+    const interval = setInterval(loadDiskUsage, 10000);
     return () => clearInterval(interval);
   }, []);
 
-  const loadStats = async () => {
-    try {
-      const response = await apiClient.get('/torrents/stats');
-      setStats(response.data);
-    } catch (err) {
-      console.error('Failed to load stats:', err);
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Own torrents the disk monitor removed since the last visit
+  useEffect(() => {
+    const loadNotices = async () => {
+      try {
+        const response = await apiClient.get('/disk/notices');
+        setRemovals(response.data.removals);
+      } catch (err) {
+        console.error('Failed to load disk notices:', err);
+      }
+    };
 
-  const loadDiskUsage = async () => {
-    try {
-      const response = await apiClient.get('/torrents/disk-usage');
-      setDiskUsage(response.data);
-    } catch (err) {
-      console.error('Failed to load disk usage:', err);
-    }
-  };
+    loadNotices();
+  }, []);
+
+  // Own storage usage and quota
+  useEffect(() => {
+    const loadUsage = async () => {
+      try {
+        const response = await apiClient.get('/disk/usage');
+        setUsage(response.data);
+      } catch (err) {
+        console.error('Failed to load storage usage:', err);
+      }
+    };
+
+    loadUsage();
+    const interval = setInterval(loadUsage, 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    const loadBandwidth = async () => {
+      try {
+        const response = await apiClient.get('/bandwidth/status');
+        setBandwidth(response.data);
+      } catch (err) {
+        console.error('Failed to load bandwidth status:', err);
+      }
+    };
+
+    loadBandwidth();
+    // Profiles switch on minute boundaries
+    const interval = setInterval(loadBandwidth, 60000);
+    return () => clearInterval(interval);
+  }, []);
 
   const formatBytes = (bytes) => {
     if (!bytes) return '0 B';
@@ -53,6 +90,20 @@ function DashboardPage() {
     return formatBytes(bytesPerSecond) + '/s';
   };
 
+  const dismissRemovals = async () => {
+    const upTo = Math.max(...removals.map(r => r.id));
+    setRemovals([]);
+    try {
+      await apiClient.post('/disk/notices/dismiss', { up_to: upTo });
+    } catch (err) {
+      console.error('Failed to dismiss disk notices:', err);
+    }
+  };
+
+  const formatLimit = (limit) => (limit === null ? 'unlimited' : `${limit} kB/s`);
+
+  const lowVolumes = (volumes || []).filter(v => v.status === 'warning' || v.status === 'critical');
+
   if (loading) {
     return <div className="dashboard-page"><p>Loading...</p></div>;
   }
@@ -63,6 +114,26 @@ function DashboardPage() {
         <h1>Dashboard</h1>
         <p className="welcome-text">Welcome back, {user?.username}!</p>
       </div>
+
+      {removals.length > 0 && (
+        <div className="removal-notice">
+          <div className="removal-notice-header">
+            <strong>
+              {removals.length} of your torrent{removals.length !== 1 ? 's were' : ' was'} removed to free disk space
+            </strong>
+            <button className="removal-notice-dismiss" onClick={dismissRemovals}>Dismiss</button>
+          </div>
+          <ul>
+            {removals.map(removal => (
+              <li key={removal.id}>
+                {removal.name} ({formatBytes(removal.size)})
+                {' · '}{new Date(removal.removed_at).toLocaleString()}
+                {removal.from_trash ? ' · purged early from the trash' : ''}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
       
       <div className="stats-grid">
         <div className="stat-card speed-card">
@@ -101,50 +172,107 @@ function DashboardPage() {
         </div>
       </div>
 
-      {diskUsage && (diskUsage.downloads || diskUsage.incomplete) && (
+      {bandwidth?.active_profile && (
+        <div className="bandwidth-status">
+          <h2>Bandwidth Profile</h2>
+          <div className="bandwidth-card">
+            <div className="bandwidth-profile">
+              <span className="bandwidth-profile-name">{bandwidth.active_profile.name}</span>
+              <span className="bandwidth-source">
+                {bandwidth.source === 'schedule' ? 'scheduled' : 'default'}
+              </span>
+            </div>
+            <div className="bandwidth-limits">
+              <span>↓ {formatLimit(bandwidth.active_profile.download_limit)}</span>
+              <span>↑ {formatLimit(bandwidth.active_profile.upload_limit)}</span>
+              {bandwidth.active_profile.alt_speed_enabled && <span>Alternative speeds on</span>}
+              {bandwidth.active_profile.pause_all && <span>All torrents paused</span>}
+            </div>
+            {bandwidth.next_change && (
+              <div className="bandwidth-next">
+                Next change: {new Date(bandwidth.next_change.at).toLocaleString()}
+                {' → '}{bandwidth.next_change.profile?.name || 'no profile'}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {volumes?.length > 0 && (
         <div className="disk-usage-section">
           <h2>Disk Usage</h2>
+          {lowVolumes.length > 0 && (
+            <div className="disk-alert">
+              Low disk space on {lowVolumes.map(v => v.path).join(', ')}: downloads there are paused
+              and new torrents are refused until space is freed.
+              {lowVolumes.some(v => v.status === 'critical') && ' Completed torrents are being removed automatically.'}
+            </div>
+          )}
           <div className="disk-cards">
-            {diskUsage.downloads && (
-              <div className="disk-card">
-                <h3>Downloads Directory</h3>
-                <div className="disk-bar">
-                  <div 
-                    className="disk-bar-fill" 
-                    style={{ width: `${diskUsage.downloads.percent}%` }}
-                  ></div>
-                </div>
-                <div className="disk-stats">
-                  <span>{formatBytes(diskUsage.downloads.used)} used</span>
-                  <span>{formatBytes(diskUsage.downloads.available)} free</span>
-                </div>
-                <div className="disk-total">
-                  Total: {formatBytes(diskUsage.downloads.total)} ({diskUsage.downloads.percent}% used)
-                </div>
-              </div>
-            )}
-            {diskUsage.incomplete && (
-              <div className="disk-card">
-                <h3>Incomplete Directory</h3>
-                <div className="disk-bar">
-                  <div 
-                    className="disk-bar-fill" 
-                    style={{ width: `${diskUsage.incomplete.percent}%` }}
-                  ></div>
-                </div>
-                <div className="disk-stats">
-                  <span>{formatBytes(diskUsage.incomplete.used)} used</span>
-                  <span>{formatBytes(diskUsage.incomplete.available)} free</span>
-                </div>
-                <div className="disk-total">
-                  Total: {formatBytes(diskUsage.incomplete.total)} ({diskUsage.incomplete.percent}% used)
-                </div>
+            {volumes.map(volume => (
+              <div key={volume.id} className={`disk-card disk-${volume.status}`}>
+                <h3 title={volume.paths.join('\n')}>{volume.path}</h3>
+                <div className="disk-uses">{volume.uses.join(' · ')}</div>
+                {volume.total !== null ? (
+                  <>
+                    <div className="disk-bar">
+                      <div
+                        className="disk-bar-fill"
+                        style={{ width: `${100 - volume.free_percent}%` }}
+                      ></div>
+                      <div
+                        className="disk-bar-threshold warning"
+                        style={{ left: `${100 - volume.warning_threshold}%` }}
+                        title={`Downloads pause below ${volume.warning_threshold}% free`}
+                      ></div>
+                      <div
+                        className="disk-bar-threshold"
+                        style={{ left: `${100 - volume.threshold}%` }}
+                        title={`Auto-removal below ${volume.threshold}% free`}
+                      ></div>
+                    </div>
+                    <div className="disk-stats">
+                      <span>{formatBytes(volume.used)} used</span>
+                      <span>{formatBytes(volume.free)} free</span>
+                    </div>
+                    <div className="disk-total">
+                      Total: {formatBytes(volume.total)} ({Math.round(100 - volume.free_percent)}% used)
+                    </div>
+                    {volume.status === 'warning' && (
+                      <div className="disk-state">
+                        Below {volume.warning_threshold}% free: downloads paused, new torrents refused
+                      </div>
+                    )}
+                    {volume.status === 'critical' && (
+                      <div className="disk-state">
+                        Below {volume.threshold}% free: removing completed torrents
+                      </div>
+                    )}
+                    {volume.paused > 0 && (
+                      <div className="disk-paused">
+                        {volume.paused} download{volume.paused !== 1 ? 's' : ''} paused, resuming above {volume.warning_threshold}% free
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <div className="disk-unknown">
+                    {volume.free !== null && <span>{formatBytes(volume.free)} free · </span>}
+                    Usage unavailable: {volume.error}
+                  </div>
+                )}
               </div>
-            )}
+            ))}
           </div>
         </div>
       )}
 
+      {usage && (
+        <div className="my-usage">
+          <h2>My Storage</h2>
+          <UsageBar usage={usage} />
+        </div>
+      )}
+
       {stats?.owner_counts && Object.keys(stats.owner_counts).length > 0 && (
         <div className="owner-breakdown">
           <h2>Torrents by Owner</h2>
@@ -17,10 +17,25 @@ function FeedsPage() {
     category: ''
   });
 
+  const [categories, setCategories] = useState([]);
+
   useEffect(() => {
     loadFeeds();
   }, []);
 
+  useEffect(() => {
+    const loadCategories = async () => {
+      try {
+        const response = await apiClient.get('/categories');
+        setCategories(response.data);
+      } catch (err) {
+        console.error('Failed to load categories:', err);
+      }
+    };
+
+    loadCategories();
+  }, []);
+
   const loadFeeds = async () => {
     try {
       const response = await apiClient.get('/feeds');
@@ -129,6 +144,20 @@ function FeedsPage() {
                 placeholder="Unlimited"
               />
             </div>
+            <div className="form-row">
+              <label>Category</label>
+              <select
+                value={formData.category}
+                onChange={(e) => setFormData({ ...formData, category: e.target.value })}
+              >
+                <option value="">Default download directory</option>
+                {categories.map(category => (
+                  <option key={category.id} value={category.name}>
+                    {category.name} ({category.download_dir})
+                  </option>
+                ))}
+              </select>
+            </div>
             <button type="submit">Add Feed</button>
           </form>
         </div>
@@ -149,6 +178,7 @@ function FeedsPage() {
               <div className="feed-details">
                 <p><strong>Regex:</strong> {feed.rules.regex}</p>
                 <p><strong>Size Range:</strong> {feed.rules.minSize || 0} - {feed.rules.maxSize === Number.MAX_SAFE_INTEGER ? '∞' : feed.rules.maxSize} bytes</p>
+                {feed.rules.category && <p><strong>Category:</strong> {feed.rules.category}</p>}
                 <p><strong>Matched:</strong> {feed.matched_count} items</p>
                 <p><strong>Last Poll:</strong> {feed.last_poll ? new Date(feed.last_poll).toLocaleString() : 'Never'}</p>
               </div>
@@ -1,73 +1,349 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import TorrentDetails from '../components/TorrentDetails';
+import UploadDialog from '../components/UploadDialog';
+import AddOptions from '../components/AddOptions';
+import RemoveTorrentDialog from '../components/RemoveTorrentDialog';
+import BulkActionBar from '../components/BulkActionBar';
+import TorrentFilters from '../components/TorrentFilters';
+import TorrentRow from '../components/TorrentRow';
+import TorrentCard from '../components/TorrentCard';
+import ColumnChooser from '../components/ColumnChooser';
+import { resolveColumns } from '../components/torrentColumns';
+import useTorrentStream from '../hooks/useTorrentStream';
+import useVirtualList from '../hooks/useVirtualList';
+import useMediaQuery from '../hooks/useMediaQuery';
 import apiClient from '../api/client';
 import './TorrentsPage.css';
 
+// Query parameters of GET /api/torrents mirrored in the page URL
+const LIST_PARAMS = ['status', 'owner', 'mine', 'label', 'category', 'tracker', 'search', 'sort', 'order'];
+const FILTER_PARAMS = LIST_PARAMS.filter(key => key !== 'sort' && key !== 'order');
+const PAGE_SIZE = 200;
+// Start loading the next page this many items before the end of the list
+const LOAD_AHEAD = 50;
+// The server caps a page at this many torrents
+const MAX_PAGE_SIZE = 1000;
+
+// Status filters of the list query (mirrors STATUS_FILTERS in the backend's
+// torrent-query.js), so a live change can be checked against the active one
+const STATUS_MATCHERS = {
+  downloading: t => t.status === 4,
+  seeding: t => t.status === 6,
+  completed: t => t.percentDone === 1,
+  stopped: t => t.status === 0,
+  queued: t => t.status === 3 || t.status === 5,
+  checking: t => t.status === 1 || t.status === 2,
+  active: t => t.rateDownload > 0 || t.rateUpload > 0,
+  errored: t => t.error > 0
+};
+
+// What each filter looks at in a live torrent. The tracker filter has no
+// live counterpart (trackers are not part of the stream).
+const FILTER_FIELDS = {
+  status: (t, value) => STATUS_MATCHERS[value]?.(t),
+  owner: t => t.owner,
+  mine: t => t.owner_id,
+  label: t => (t.labels || []).join(','),
+  category: t => t.category_id,
+  search: t => t.name
+};
+// Rows and cards have a fixed height (see TorrentsPage.css / TorrentCard.css)
+// so only the visible part of a long list is rendered
+const ROW_HEIGHT = 52;
+const CARD_HEIGHT = 120;
+// Widths of the fixed columns; the name column takes the remaining space
+const FIXED_COLUMN_WIDTHS = { select: 40, status: 140, progress: 130, size: 100, owner: 120, actions: 380 };
+const NAME_MIN_WIDTH = 260;
+
 function TorrentsPage() {
-  const { user } = useAuth();
-  const [torrents, setTorrents] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const { user, updatePreferences } = useAuth();
+  const { hash } = useParams();
+  const navigate = useNavigate();
+  // Live torrent list shared with the dashboard (event stream, polling fallback)
+  const { torrents, mode, error: streamError, refresh: loadTorrents } = useTorrentStream();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [list, setList] = useState(null);
   const [error, setError] = useState('');
-  const [filter, setFilter] = useState('');
-  const [uploading, setUploading] = useState(false);
+  const [editingLabels, setEditingLabels] = useState(null);
+  const [pendingUploads, setPendingUploads] = useState(null);
+  const [removing, setRemoving] = useState(null);
+  const [notice, setNotice] = useState('');
+  const [selected, setSelected] = useState(() => new Set());
+  const [lastSelected, setLastSelected] = useState(null);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [showAddUrls, setShowAddUrls] = useState(false);
+  const [urlsText, setUrlsText] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [addResults, setAddResults] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [addCategory, setAddCategory] = useState('');
+  const [addOptions, setAddOptions] = useState({});
+  const [addOptionsKey, setAddOptionsKey] = useState(0);
+  const [downloadRoots, setDownloadRoots] = useState([]);
 
   useEffect(() => {
-    loadTorrents();
-    // Refresh every 5 seconds
-    const interval = setInterval(loadTorrents, 5000);
-    return () => clearInterval(interval);
+    const loadCategories = async () => {
+      try {
+        const response = await apiClient.get('/categories');
+        setCategories(response.data);
+      } catch (err) {
+        console.error('Failed to load categories:', err);
+      }
+    };
+
+    const loadDownloadRoots = async () => {
+      try {
+        const response = await apiClient.get('/torrents/download-roots');
+        setDownloadRoots(response.data);
+      } catch (err) {
+        console.error('Failed to load download locations:', err);
+      }
+    };
+
+    loadCategories();
+    loadDownloadRoots();
   }, []);
 
-  const loadTorrents = async () => {
+  const query = Object.fromEntries(LIST_PARAMS.map(key => [key, searchParams.get(key) || '']));
+  const queryString = new URLSearchParams(LIST_PARAMS.filter(key => query[key]).map(key => [key, query[key]])).toString();
+
+  // The stream keeps row values live; the filtered, sorted list itself comes
+  // from the server, a page at a time. It is re-queried when the filters
+  // change, when torrents come and go, or when a live change touches a field
+  // an active filter looks at.
+  const liveFilters = FILTER_PARAMS.filter(key => query[key] && FILTER_FIELDS[key]);
+  const filterKey = torrents
+    .map(t => [t.hashString, ...liveFilters.map(key => FILTER_FIELDS[key](t, query[key]))].join(':'))
+    .join('|');
+
+  // Bumped for every (re)query so responses of an older one are dropped
+  const listGeneration = useRef(0);
+  const listQuery = useRef(null);
+  const loadingMore = useRef(false);
+  const loadedCount = useRef(0);
+
+  useEffect(() => {
+    loadedCount.current = list?.torrents.length || 0;
+  }, [list]);
+
+  useEffect(() => {
+    const generation = ++listGeneration.current;
+    // A re-query of the same filters keeps as many rows as were loaded, so
+    // the scroll position survives it
+    const sameQuery = listQuery.current === queryString;
+    listQuery.current = queryString;
+    const limit = sameQuery
+      ? Math.min(MAX_PAGE_SIZE, Math.max(PAGE_SIZE, loadedCount.current))
+      : PAGE_SIZE;
+
+    const loadList = async () => {
+      try {
+        const params = new URLSearchParams(queryString);
+        params.set('limit', limit);
+        const response = await apiClient.get(`/torrents?${params}`);
+        if (generation === listGeneration.current) {
+          loadingMore.current = false;
+          setList(response.data);
+        }
+      } catch (err) {
+        if (generation === listGeneration.current) {
+          setError(err.response?.data?.error || 'Failed to load torrents');
+        }
+      }
+    };
+
+    loadList();
+  }, [queryString, filterKey]);
+
+  // Next page from the cursor of the last one
+  const loadMore = useCallback(async () => {
+    if (!list?.next_cursor || loadingMore.current) return;
+    loadingMore.current = true;
+    const generation = listGeneration.current;
     try {
-      const response = await apiClient.get('/torrents');
-      setTorrents(response.data);
-      setError('');
+      const params = new URLSearchParams(queryString);
+      params.set('limit', PAGE_SIZE);
+      params.set('cursor', list.next_cursor);
+      const response = await apiClient.get(`/torrents?${params}`);
+      if (generation === listGeneration.current) {
+        const page = response.data;
+        setList(prev => {
+          const known = new Set(prev.torrents.map(t => t.hashString));
+          return {
+            ...page,
+            torrents: [...prev.torrents, ...page.torrents.filter(t => !known.has(t.hashString))]
+          };
+        });
+      }
     } catch (err) {
-      setError('Failed to load torrents');
-      console.error(err);
+      if (generation === listGeneration.current) {
+        setError(err.response?.data?.error || 'Failed to load torrents');
+      }
     } finally {
-      setLoading(false);
+      if (generation === listGeneration.current) {
+        loadingMore.current = false;
+      }
     }
+  }, [list, queryString]);
+
+  const updateQuery = (key, value) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+      return next;
+    }, { replace: key === 'search' });
+  };
+
+  const toggleSort = (field) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      const current = prev.get('sort') || 'name';
+      next.set('sort', field);
+      next.set('order', current === field && prev.get('order') !== 'desc' ? 'desc' : 'asc');
+      return next;
+    });
+  };
+
+  const clearFilters = () => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      FILTER_PARAMS.forEach(key => next.delete(key));
+      return next;
+    });
   };
 
-  const handleFileUpload = async (e) => {
+  // Selected files are previewed and confirmed in the upload dialog
+  const handleFileUpload = (e) => {
     const files = Array.from(e.target.files);
+    e.target.value = '';
     if (files.length === 0) return;
 
-    setUploading(true);
     setError('');
+    setPendingUploads(files);
+  };
+
+  const handleAddUrls = async (e) => {
+    e.preventDefault();
+    if (!urlsText.trim()) return;
 
-    const formData = new FormData();
-    files.forEach(file => formData.append('torrents', file));
+    setAdding(true);
+    setError('');
+    setAddResults([]);
 
     try {
-      const response = await apiClient.post('/torrents/upload', formData);
+      const response = await apiClient.post('/torrents/add', {
+        urls: urlsText,
+        category_id: addCategory ? Number(addCategory) : undefined,
+        options: addOptions
+      });
+      const { results } = response.data;
+      setAddResults(results);
 
-      const results = response.data;
+      // Keep only the entries that failed so they can be fixed and retried
       const failed = results.filter(r => !r.success);
-      
-      if (failed.length > 0) {
-        setError(`${failed.length} upload(s) failed: ${failed.map(f => f.error).join(', ')}`);
+      setUrlsText(failed.map(r => r.url).join('\n'));
+      if (failed.length === 0) {
+        setShowAddUrls(false);
+        setAddOptions({});
+        setAddOptionsKey(key => key + 1);
       }
-      
+
       loadTorrents();
     } catch (err) {
-      setError(err.response?.data?.error || 'Upload failed');
+      setError(err.response?.data?.error || 'Failed to add torrents');
     } finally {
-      setUploading(false);
-      e.target.value = '';
+      setAdding(false);
     }
   };
 
-  const handleDelete = async (torrentId, torrentName) => {
-    if (!confirm(`Delete torrent "${torrentName}"?`)) return;
+  const handleDelete = async (deleteData) => {
+    if (removing.length > 1) {
+      await runBulk('delete', { deleteData });
+      setRemoving(null);
+      return;
+    }
 
+    const [torrent] = removing;
     try {
-      await apiClient.delete(`/torrents/${torrentId}`);
+      const response = await apiClient.delete(`/torrents/${torrent.id}`, { params: { deleteData } });
+      if (response.data.trashed) {
+        setNotice(`"${torrent.name}" moved to the trash. It can be restored until ${new Date(response.data.purge_at).toLocaleString()}.`);
+      }
       loadTorrents();
     } catch (err) {
       setError(err.response?.data?.error || 'Delete failed');
+    } finally {
+      setRemoving(null);
+    }
+  };
+
+  // Run one action on every selected torrent. The server reports each
+  // torrent separately, so a partial failure only lists what went wrong.
+  const runBulk = async (action, params = {}) => {
+    setBulkBusy(true);
+    setError('');
+    try {
+      const response = await apiClient.post('/torrents/bulk', {
+        hashes: selectedTorrents.map(t => t.hashString),
+        action,
+        ...params
+      });
+      const { succeeded, failed, results } = response.data;
+      if (failed > 0) {
+        const failures = results.filter(r => !r.success).map(r => `${r.name || r.hashString}: ${r.error}`);
+        setError(`${failed} of ${succeeded + failed} torrent(s) failed: ${failures.join('; ')}`);
+      } else if (action === 'delete' && params.deleteData !== false) {
+        setNotice(`${succeeded} torrent(s) deleted. While the trash is enabled, they can be restored from the Trash page.`);
+      }
+      if (action === 'delete') {
+        setSelected(new Set());
+      }
+      loadTorrents();
+    } catch (err) {
+      setError(err.response?.data?.error || `Failed to ${action} selected torrents`);
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  // Shift-click selects the range between the last clicked row and this one
+  const toggleSelected = (torrent, index, shiftKey) => {
+    const next = new Set(selected);
+    const select = !next.has(torrent.hashString);
+    const lastIndex = filteredTorrents.findIndex(t => t.hashString === lastSelected);
+
+    if (shiftKey && lastIndex !== -1) {
+      const [from, to] = lastIndex < index ? [lastIndex, index] : [index, lastIndex];
+      for (const t of filteredTorrents.slice(from, to + 1)) {
+        if (select) next.add(t.hashString);
+        else next.delete(t.hashString);
+      }
+    } else if (select) {
+      next.add(torrent.hashString);
+    } else {
+      next.delete(torrent.hashString);
+    }
+
+    setSelected(next);
+    setLastSelected(torrent.hashString);
+  };
+
+  const toggleSelectAll = () => {
+    setSelected(allVisibleSelected ? new Set() : new Set(selectable.map(t => t.hashString)));
+  };
+
+  const handleAction = async (torrentId, action) => {
+    try {
+      await apiClient.post(`/torrents/${torrentId}/${action}`);
+      loadTorrents();
+    } catch (err) {
+      setError(err.response?.data?.error || `Failed to ${action} torrent`);
     }
   };
 
@@ -82,123 +358,341 @@ function TorrentsPage() {
     }
   };
 
-  const formatBytes = (bytes) => {
-    if (!bytes) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+  const handleMoveCategory = async (torrent, categoryId) => {
+    const target = categories.find(c => c.id === categoryId);
+    const destination = target ? `category "${target.name}" (${target.download_dir})` : 'the default download directory';
+    if (!confirm(`Move "${torrent.name}" to ${destination}? Its data will be moved on disk.`)) return;
+
+    try {
+      await apiClient.patch(`/torrents/${torrent.id}/category`, { category_id: categoryId });
+      loadTorrents();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to change category');
+    }
   };
 
-  const formatProgress = (percent) => {
-    return Math.round(percent * 100) + '%';
+  const handleSaveLabels = async (e) => {
+    e.preventDefault();
+    const labels = editingLabels.text.split(',').map(l => l.trim()).filter(Boolean);
+    try {
+      await apiClient.patch(`/torrents/${editingLabels.id}/labels`, { labels });
+      setEditingLabels(null);
+      loadTorrents();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update labels');
+    }
   };
 
-  const filteredTorrents = torrents.filter(t =>
-    t.name.toLowerCase().includes(filter.toLowerCase())
-  );
+  const liveTorrents = new Map(torrents.map(t => [t.hashString, t]));
+  const filteredTorrents = (list?.torrents || []).map(t => liveTorrents.get(t.hashString) || t);
+  // Only the list query knows the trackers
+  const trackerHosts = new Map((list?.torrents || []).map(t => [t.hashString, t.trackerHosts]));
+  const hasFilters = FILTER_PARAMS.some(key => query[key]);
+  const detailsSearch = searchParams.toString() ? `?${searchParams}` : '';
+
+  const sortHeader = (label, field) => {
+    const active = (query.sort || 'name') === field;
+    const arrow = active ? (query.order === 'desc' ? ' ▼' : ' ▲') : '';
+    return (
+      <th key={field} className="sortable" onClick={() => toggleSort(field)} aria-sort={active ? (query.order === 'desc' ? 'descending' : 'ascending') : 'none'}>
+        {label}{arrow}
+      </th>
+    );
+  };
+
+  // Only torrents the user may manage can be selected; the selection is kept
+  // across refreshes and drops torrents that have disappeared.
+  const canManage = (torrent) => torrent.is_own || user?.is_admin;
+  const selectable = filteredTorrents.filter(canManage);
+  const selectedTorrents = torrents.filter(t => selected.has(t.hashString) && canManage(t));
+  const allVisibleSelected = selectable.length > 0 && selectable.every(t => selected.has(t.hashString));
+
+  const savedColumns = user?.preferences?.torrent_columns;
+  const columns = useMemo(() => resolveColumns(savedColumns), [savedColumns]);
+  const compact = useMediaQuery('(max-width: 768px)');
+  const virtual = useVirtualList(filteredTorrents.length, compact ? CARD_HEIGHT : ROW_HEIGHT);
+  const visibleTorrents = filteredTorrents.slice(virtual.start, virtual.end);
+
+  // Fetch the next page once the visible range gets close to the end
+  useEffect(() => {
+    if (virtual.end >= filteredTorrents.length - LOAD_AHEAD) {
+      loadMore();
+    }
+  }, [virtual.end, filteredTorrents.length, loadMore]);
+  const columnCount = columns.length + 7;
+  const tableWidth = NAME_MIN_WIDTH +
+    Object.values(FIXED_COLUMN_WIDTHS).reduce((sum, width) => sum + width, 0) +
+    columns.reduce((sum, column) => sum + column.width, 0);
 
-  if (loading) {
+  // Row handlers sit behind one stable callback so that memoized rows only
+  // re-render when their own torrent changes
+  const rowActions = useRef(null);
+  useEffect(() => {
+    rowActions.current = {
+      select: toggleSelected,
+      open: (torrent) => navigate(`/torrents/${torrent.hashString}${detailsSearch}`),
+      torrent: (torrent, action) => handleAction(torrent.id, action),
+      toggleBlock: (torrent) => toggleAutoRemoveBlock(torrent.id, torrent.block_auto_remove),
+      moveCategory: handleMoveCategory,
+      editLabels: (torrent, text) => setEditingLabels({ id: torrent.id, text }),
+      cancelLabels: () => setEditingLabels(null),
+      saveLabels: handleSaveLabels,
+      filterLabel: (label) => updateQuery('label', label),
+      remove: (torrent) => setRemoving([torrent])
+    };
+  });
+  const handleRowAction = useCallback((name, ...args) => rowActions.current[name](...args), []);
+
+  const handleColumnsChange = async (ids) => {
+    try {
+      await updatePreferences({ torrent_columns: ids });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save columns');
+    }
+  };
+
+  if (mode === 'connecting' || (!list && !error)) {
     return <div className="torrents-page"><p>Loading...</p></div>;
   }
 
   return (
     <div className="torrents-page">
       <div className="torrents-header">
-        <h2>Torrents</h2>
+        <h2>Torrents {list && <span className="torrents-total">({list.total})</span>}</h2>
         <div className="torrents-actions">
           <input
-            type="text"
-            placeholder="Filter by name..."
-            value={filter}
-            onChange={(e) => setFilter(e.target.value)}
+            type="search"
+            placeholder="Search by name or hash..."
+            value={query.search}
+            onChange={(e) => updateQuery('search', e.target.value)}
             className="filter-input"
           />
+          {hasFilters && (
+            <button onClick={clearFilters} className="dismiss-button">Clear filters</button>
+          )}
+          {!compact && <ColumnChooser columns={columns} onChange={handleColumnsChange} />}
+          {categories.length > 0 && (
+            <select
+              value={addCategory}
+              onChange={(e) => setAddCategory(e.target.value)}
+              className="category-select"
+              title="Category for new uploads and links"
+            >
+              <option value="">No category</option>
+              {categories.map(category => (
+                <option key={category.id} value={category.id}>{category.name}</option>
+              ))}
+            </select>
+          )}
           <label className="upload-button">
-            {uploading ? 'Uploading...' : 'Upload Torrent(s)'}
+            Upload Torrent(s)
             <input
               type="file"
               multiple
               accept=".torrent"
               onChange={handleFileUpload}
-              disabled={uploading}
               style={{ display: 'none' }}
             />
           </label>
+          <button
+            onClick={() => setShowAddUrls(!showAddUrls)}
+            className="add-urls-toggle"
+          >
+            {showAddUrls ? 'Cancel' : 'Add Magnet/URL'}
+          </button>
         </div>
       </div>
 
-      {error && <div className="error-message">{error}</div>}
-
-      <div className="torrents-list">
-        <table>
-          <thead>
-            <tr>
-              <th>Name</th>
-              <th>Status</th>
-              <th>Progress</th>
-              <th>Size</th>
-              <th>Owner</th>
-              <th>Block Auto-Remove</th>
-              <th>Actions</th>
-            </tr>
-          </thead>
-          <tbody>
-            {filteredTorrents.length === 0 ? (
-              <tr>
-                <td colSpan="6" className="no-torrents">
-                  {filter ? 'No torrents match filter' : 'No torrents'}
-                </td>
-              </tr>
-            ) : (
-              filteredTorrents.map(torrent => (
-                <tr key={torrent.id} className={torrent.is_own ? 'own-torrent' : ''}>
-                  <td title={torrent.name}>{torrent.name}</td>
-                  <td>
-                    <span className={`status-badge status-${torrent.statusLabel}`}>
-                      {torrent.statusLabel}
-                    </span>
-                  </td>
-                  <td>
-                    <div className="progress-bar">
-                      <div 
-                        className="progress-fill" 
-                        style={{ width: formatProgress(torrent.percentDone) }}
-                      />
-                      <span className="progress-text">{formatProgress(torrent.percentDone)}</span>
-                    </div>
-                  </td>
-                  <td>{formatBytes(torrent.totalSize)}</td>
-                  <td>
-                    <span className={torrent.is_own ? 'owner-badge own' : 'owner-badge'}>
-                      {torrent.owner}
-                    </span>
-                  </td>
-                  <td>
-                    {(torrent.is_own || user?.is_admin) && (
-                      <input
-                        type="checkbox"
-                        checked={torrent.block_auto_remove}
-                        onChange={() => toggleAutoRemoveBlock(torrent.id, torrent.block_auto_remove)}
-                      />
+      {(error || streamError) && <div className="error-message">{error || streamError}</div>}
+
+      {pendingUploads && (
+        <UploadDialog
+          files={pendingUploads}
+          categoryId={addCategory}
+          roots={downloadRoots}
+          onClose={() => setPendingUploads(null)}
+          onUploaded={loadTorrents}
+        />
+      )}
+
+      {notice && (
+        <div className="notice-message">
+          {notice}
+          <button onClick={() => setNotice('')} className="dismiss-button">Dismiss</button>
+        </div>
+      )}
+
+      {removing && (
+        <RemoveTorrentDialog
+          torrents={removing}
+          canKeepData={!!user?.is_admin}
+          onConfirm={handleDelete}
+          onClose={() => setRemoving(null)}
+        />
+      )}
+
+      {showAddUrls && (
+        <form className="add-urls-form" onSubmit={handleAddUrls}>
+          <textarea
+            placeholder="Paste magnet links or .torrent URLs, one per line"
+            value={urlsText}
+            onChange={(e) => setUrlsText(e.target.value)}
+            rows={4}
+            disabled={adding}
+          />
+          <div className="add-urls-footer">
+            <AddOptions
+              key={addOptionsKey}
+              roots={downloadRoots}
+              onChange={setAddOptions}
+              disabled={adding}
+            />
+            <button type="submit" disabled={adding || !urlsText.trim()}>
+              {adding ? 'Adding...' : 'Add'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {addResults.length > 0 && (
+        <ul className="add-results">
+          {addResults.map((result, index) => (
+            <li key={index} className={result.success ? 'add-success' : 'add-failure'}>
+              {result.success
+                ? `✓ ${result.name || result.url}${result.duplicate ? ' (already added)' : ''}${result.message ? ` — ${result.message}` : ''}`
+                : `✗ ${result.url}: ${result.error}`}
+            </li>
+          ))}
+          <li>
+            <button onClick={() => setAddResults([])} className="dismiss-button">
+              Dismiss
+            </button>
+          </li>
+        </ul>
+      )}
+
+      {selectedTorrents.length > 0 && (
+        <BulkActionBar
+          count={selectedTorrents.length}
+          categories={categories}
+          busy={bulkBusy}
+          onAction={runBulk}
+          onDelete={() => setRemoving(selectedTorrents)}
+          onClear={() => setSelected(new Set())}
+        />
+      )}
+
+      <div className="torrents-body">
+        <TorrentFilters
+          facets={list?.facets}
+          query={query}
+          categories={categories}
+          onChange={updateQuery}
+        />
+
+        <div className="torrents-list" ref={virtual.containerRef} onScroll={virtual.onScroll}>
+          {compact ? (
+            <div className="torrent-cards">
+              {filteredTorrents.length === 0 ? (
+                <p className="no-torrents">{hasFilters ? 'No torrents match filter' : 'No torrents'}</p>
+              ) : (
+                <>
+                  <div style={{ height: virtual.paddingTop }} />
+                  {visibleTorrents.map((torrent, offset) => (
+                    <TorrentCard
+                      key={torrent.hashString}
+                      torrent={torrent}
+                      index={virtual.start + offset}
+                      selected={selected.has(torrent.hashString)}
+                      canManage={canManage(torrent)}
+                      onAction={handleRowAction}
+                    />
+                  ))}
+                  <div style={{ height: virtual.paddingBottom }} />
+                </>
+              )}
+            </div>
+          ) : (
+            <table style={{ minWidth: tableWidth }}>
+              <colgroup>
+                <col style={{ width: FIXED_COLUMN_WIDTHS.select }} />
+                <col />
+                <col style={{ width: FIXED_COLUMN_WIDTHS.status }} />
+                <col style={{ width: FIXED_COLUMN_WIDTHS.progress }} />
+                <col style={{ width: FIXED_COLUMN_WIDTHS.size }} />
+                <col style={{ width: FIXED_COLUMN_WIDTHS.owner }} />
+                {columns.map(column => (
+                  <col key={column.id} style={{ width: column.width }} />
+                ))}
+                <col style={{ width: FIXED_COLUMN_WIDTHS.actions }} />
+              </colgroup>
+              <thead>
+                <tr>
+                  <th className="select-cell">
+                    <input
+                      type="checkbox"
+                      checked={allVisibleSelected}
+                      onChange={toggleSelectAll}
+                      disabled={selectable.length === 0}
+                      title="Select all shown torrents"
+                    />
+                  </th>
+                  {sortHeader('Name', 'name')}
+                  {sortHeader('Status', 'status')}
+                  {sortHeader('Progress', 'progress')}
+                  {sortHeader('Size', 'size')}
+                  {sortHeader('Owner', 'owner')}
+                  {columns.map(column => (column.sort
+                    ? sortHeader(column.label, column.sort)
+                    : <th key={column.id}>{column.label}</th>
+                  ))}
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredTorrents.length === 0 ? (
+                  <tr>
+                    <td colSpan={columnCount} className="no-torrents">
+                      {hasFilters ? 'No torrents match filter' : 'No torrents'}
+                    </td>
+                  </tr>
+                ) : (
+                  <>
+                    {virtual.paddingTop > 0 && (
+                      <tr className="spacer-row" style={{ height: virtual.paddingTop }}>
+                        <td colSpan={columnCount} />
+                      </tr>
                     )}
-                  </td>
-                  <td>
-                    {(torrent.is_own || user?.is_admin) && (
-                      <button
-                        onClick={() => handleDelete(torrent.id, torrent.name)}
-                        className="delete-button"
-                      >
-                        Delete
-                      </button>
+                    {visibleTorrents.map((torrent, offset) => (
+                      <TorrentRow
+                        key={torrent.hashString}
+                        torrent={torrent}
+                        trackerHosts={trackerHosts.get(torrent.hashString)}
+                        index={virtual.start + offset}
+                        selected={selected.has(torrent.hashString)}
+                        canManage={canManage(torrent)}
+                        columns={columns}
+                        categories={categories}
+                        editingLabels={editingLabels?.id === torrent.id ? editingLabels.text : null}
+                        onAction={handleRowAction}
+                      />
+                    ))}
+                    {virtual.paddingBottom > 0 && (
+                      <tr className="spacer-row" style={{ height: virtual.paddingBottom }}>
+                        <td colSpan={columnCount} />
+                      </tr>
                     )}
-                  </td>
-                </tr>
-              ))
-            )}
-          </tbody>
-        </table>
+                  </>
+                )}
+              </tbody>
+            </table>
+          )}
+        </div>
       </div>
+
+      {hash && (
+        <TorrentDetails hash={hash} onClose={() => navigate(`/torrents${detailsSearch}`)} />
+      )}
     </div>
   );
 }
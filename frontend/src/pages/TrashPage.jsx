@@ -0,0 +1,143 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import apiClient from '../api/client';
+import { formatBytes } from '../components/torrentColumns';
+import './TrashPage.css';
+
+// "in 2d 5h" / "in 40m" until the purge time
+const formatRemaining = (isoDate) => {
+  const minutes = Math.round((new Date(isoDate) - Date.now()) / 60000);
+  if (minutes <= 0) return 'any moment';
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `in ${days}d ${hours}h`;
+  if (hours > 0) return `in ${hours}h ${minutes % 60}m`;
+  return `in ${minutes}m`;
+};
+
+function TrashPage() {
+  const { user } = useAuth();
+  const [trash, setTrash] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(null);
+
+  // Refresh after a restore or purge
+  const fetchTrash = async () => {
+    try {
+      const response = await apiClient.get('/trash');
+      setTrash(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load trash');
+    }
+  };
+
+  useEffect(() => {
+    const loadTrash = async () => {
+      try {
+        const response = await apiClient.get('/trash');
+        setTrash(response.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load trash');
+        setTrash({ enabled: true, entries: [] });
+      }
+    };
+
+    loadTrash();
+  }, []);
+
+  const handleRestore = async (entry) => {
+    setBusy(entry.hash_string);
+    setError('');
+    try {
+      await apiClient.post(`/trash/${entry.hash_string}/restore`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore torrent');
+    }
+    await fetchTrash();
+    setBusy(null);
+  };
+
+  const handlePurge = async (entry) => {
+    if (!confirm(`Permanently delete "${entry.name}" and its files now? This cannot be undone.`)) return;
+
+    setBusy(entry.hash_string);
+    setError('');
+    try {
+      await apiClient.delete(`/trash/${entry.hash_string}`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete torrent');
+    }
+    await fetchTrash();
+    setBusy(null);
+  };
+
+  if (trash === null) {
+    return <div className="trash-page"><p>Loading...</p></div>;
+  }
+
+  return (
+    <div className="trash-page">
+      <div className="trash-header">
+        <h2>Trash</h2>
+        {trash.enabled && (
+          <p className="trash-hint">
+            Deleted torrents are kept for {trash.grace_hours} hours before their files are deleted,
+            or earlier when disk space runs low.
+          </p>
+        )}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {!trash.enabled && (
+        <p className="trash-hint">The trash is disabled; deleted torrents are removed immediately.</p>
+      )}
+
+      {trash.entries.length === 0 ? (
+        <p className="empty-message">The trash is empty.</p>
+      ) : (
+        <table className="trash-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Size</th>
+              {user?.is_admin && <th>Owner</th>}
+              <th>Deleted</th>
+              <th>Purged</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {trash.entries.map(entry => (
+              <tr key={entry.hash_string}>
+                <td title={entry.download_dir}>{entry.name}</td>
+                <td>{formatBytes(entry.total_size)}</td>
+                {user?.is_admin && <td>{entry.owner_username || 'unknown'}</td>}
+                <td title={`by ${entry.trashed_by}`}>{new Date(entry.trashed_at).toLocaleString()}</td>
+                <td title={new Date(entry.purge_at).toLocaleString()}>{formatRemaining(entry.purge_at)}</td>
+                <td className="actions-cell">
+                  <button
+                    onClick={() => handleRestore(entry)}
+                    disabled={busy === entry.hash_string}
+                    className="restore-button"
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handlePurge(entry)}
+                    disabled={busy === entry.hash_string}
+                    className="delete-button"
+                  >
+                    Delete now
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default TrashPage;